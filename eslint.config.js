@@ -26,4 +26,12 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['src/sw.js'],
+    languageOptions: { globals: globals.serviceworker },
+  },
+  {
+    files: ['vite.config.js', 'server/**/*.js', 'src/**/*.test.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -0,0 +1,189 @@
+/**
+ * Check-It live relay — plain Node (no dependencies), for development and tests. Rooms live in memory only and
+ * are dropped when their last browser leaves; browsers keep their own copy and send back what a room is missing.
+ *
+ *   npm run relay-server             → ws://localhost:8788
+ *   PORT=9001 npm run relay-server
+ *
+ * Browsers editing the same shared checklist join one room. The relay keeps the room's document (every field's
+ * last-writer-wins register, see "Live shared checklists" in src/App.jsx), forwards operations and tells
+ * everyone who is there. Messages are JSON text frames:
+ *
+ *   → { type: "join", room, peer: { id, name } }   ← { type: "welcome", ops: [...] }  (the room so far)
+ *   → { type: "ops", ops: [...] }                  ← { type: "ops", ops: [...] }      (to the others)
+ *   → { type: "presence", away }                   ← { type: "peers", peers: [{ id, name, away }] }
+ */
+
+import { createHash } from 'node:crypto'
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT) || 8788
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const MAX_MESSAGE = 5 * 1024 * 1024
+const ROOM_RE = /^[\w-]{1,64}$/
+
+/* ---------- Rooms ---------- */
+
+const rooms = new Map() // name → { name, doc: Map("<t>|<id>|<f>" → op), clients: Set }
+
+const stampAfter = (x, y) => !y || x.c > y.c || (x.c === y.c && x.by > y.by)
+
+function room(name) {
+  if (!rooms.has(name)) rooms.set(name, { name, doc: new Map(), clients: new Set() })
+  return rooms.get(name)
+}
+
+// Keeps the winning operation per register (what a newcomer needs); returns the ones that won
+function merge(r, ops) {
+  return ops.filter((op) => {
+    if (!op || typeof op.t !== 'string' || typeof op.f !== 'string' || !Number.isFinite(op.c)) return false
+    const key = `${op.t}|${op.id}|${op.f}`
+    if (!stampAfter(op, r.doc.get(key))) return false
+    r.doc.set(key, op)
+    return true
+  })
+}
+
+const peersOf = (r) => [...r.clients].map((c) => c.peer)
+
+function broadcast(r, msg, except) {
+  for (const c of r.clients) if (c !== except) c.send(msg)
+}
+
+// Messages of an unknown type or shape are ignored, like a newer client's extras would be
+function onMessage(client, msg) {
+  if (!msg || typeof msg !== 'object') return
+  if (msg.type === 'join' && !client.room) {
+    if (typeof msg.room !== 'string' || !ROOM_RE.test(msg.room)) {
+      return client.close(1008, 'Room names use letters, digits, - and _')
+    }
+    client.room = room(msg.room)
+    client.peer = { id: String(msg.peer?.id || ''), name: String(msg.peer?.name || '').slice(0, 40), away: false }
+    client.room.clients.add(client)
+    client.send({ type: 'welcome', ops: [...client.room.doc.values()] })
+    broadcast(client.room, { type: 'peers', peers: peersOf(client.room) })
+  } else if (msg.type === 'ops' && client.room && Array.isArray(msg.ops)) {
+    const won = merge(client.room, msg.ops)
+    if (won.length) broadcast(client.room, { type: 'ops', ops: won }, client)
+  } else if (msg.type === 'presence' && client.room) {
+    client.peer.away = !!msg.away
+    broadcast(client.room, { type: 'peers', peers: peersOf(client.room) })
+  }
+}
+
+function onClose(client) {
+  const r = client.room
+  if (!r || !r.clients.delete(client)) return
+  if (!r.clients.size && rooms.get(r.name) === r) rooms.delete(r.name)
+  else broadcast(r, { type: 'peers', peers: peersOf(r) })
+}
+
+/* ---------- WebSocket (RFC 6455: text frames, ping / pong, close) ---------- */
+
+function frame(opcode, payload) {
+  const len = payload.length
+  const head = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10)
+  head[0] = 0x80 | opcode
+  if (len < 126) head[1] = len
+  else if (len < 65536) {
+    head[1] = 126
+    head.writeUInt16BE(len, 2)
+  } else {
+    head[1] = 127
+    head.writeBigUInt64BE(BigInt(len), 2)
+  }
+  return Buffer.concat([head, payload])
+}
+
+function accept(req, socket) {
+  const key = req.headers['sec-websocket-key']
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+    return
+  }
+  const hash = createHash('sha1').update(key + WS_GUID).digest('base64')
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${hash}\r\n\r\n`)
+  socket.setNoDelay(true)
+
+  let buffer = Buffer.alloc(0)
+  let parts = [] // fragments of the message being received
+  let partsSize = 0
+  let closed = false
+  const client = {
+    room: null,
+    peer: null,
+    send: (msg) => !closed && socket.write(frame(0x1, Buffer.from(JSON.stringify(msg)))),
+    close: (code = 1000, reason = '') => {
+      if (closed) return
+      const body = Buffer.alloc(2 + Buffer.byteLength(reason))
+      body.writeUInt16BE(code, 0)
+      body.write(reason, 2)
+      socket.end(frame(0x8, body))
+      closed = true
+    },
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk])
+    while (buffer.length >= 2) {
+      const fin = buffer[0] & 0x80
+      const opcode = buffer[0] & 0x0f
+      const masked = buffer[1] & 0x80
+      let len = buffer[1] & 0x7f
+      let at = 2
+      if (len === 126) {
+        if (buffer.length < 4) return
+        len = buffer.readUInt16BE(2)
+        at = 4
+      } else if (len === 127) {
+        if (buffer.length < 10) return
+        len = Number(buffer.readBigUInt64BE(2))
+        at = 10
+      }
+      if (!masked || len > MAX_MESSAGE) return client.close(1009, 'Message too large or unmasked')
+      if (buffer.length < at + 4 + len) return
+      const mask = buffer.subarray(at, at + 4)
+      const payload = Buffer.from(buffer.subarray(at + 4, at + 4 + len))
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4]
+      buffer = buffer.subarray(at + 4 + len)
+
+      if (opcode === 0x8) return client.close()
+      if (opcode === 0x9) socket.write(frame(0xa, payload))
+      if (opcode !== 0x1 && opcode !== 0x0) continue
+      partsSize += payload.length
+      if (partsSize > MAX_MESSAGE) return client.close(1009, 'Message too large')
+      parts.push(payload)
+      if (!fin) continue
+      const text = Buffer.concat(parts).toString('utf8')
+      parts = []
+      partsSize = 0
+      let msg
+      try {
+        msg = JSON.parse(text)
+      } catch {
+        return client.close(1007, 'Expected JSON')
+      }
+      try {
+        onMessage(client, msg)
+      } catch (e) {
+        console.error(e)
+        return client.close(1011, 'Server error')
+      }
+    }
+  })
+  socket.on('close', () => {
+    closed = true
+    onClose(client)
+  })
+  socket.on('end', () => socket.end()) // the browser went away without a close frame
+  socket.on('error', () => socket.destroy())
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(req.url === '/health' ? 200 : 426, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(req.url === '/health' ? { ok: true, rooms: rooms.size } : { error: 'Connect with WebSocket' }))
+})
+server.on('upgrade', accept)
+server.listen(PORT, () => {
+  console.log(`Check-It live relay on ws://localhost:${PORT} (rooms are kept in memory)`)
+})
@@ -0,0 +1,165 @@
+/**
+ * Check-It reference sync server — plain Node (no dependencies), one JSON file per space.
+ *
+ *   npm run sync-server              → http://localhost:8787
+ *   PORT=9000 CHECKIT_SYNC_DATA=./data CHECKIT_SYNC_TOKEN=secret npm run sync-server
+ *
+ * A space is one synced workspace (name: letters, digits, - and _). It holds records keyed "<kind>:<id>"
+ * (an item, a section, a checklist, …), each with its own revision `rev` (1, 2, … per record) and the
+ * space-wide sequence number `seq` of its last change, so a client can ask for everything after a seq.
+ *
+ *   GET  /health                                → { ok: true }
+ *   GET  /v1/spaces/:space/changes?since=<seq>  → { seq, records: [{ key, rev, seq, deleted, data }] }
+ *   POST /v1/spaces/:space/push                 ← { changes: [{ key, baseRev, deleted, data }] }
+ *                                               → { seq, results: [{ key, status: "ok", rev } |
+ *                                                                  { key, status: "conflict", record }] }
+ *
+ * A change is accepted when `baseRev` is the record's current rev (0 = new); otherwise it is a conflict and the
+ * current record comes back for the client to merge. Deletes are kept as tombstones so every client sees them.
+ * With CHECKIT_SYNC_TOKEN set, requests need "Authorization: Bearer <token>".
+ */
+
+import { createServer } from 'node:http'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { join, resolve } from 'node:path'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_DIR = resolve(process.env.CHECKIT_SYNC_DATA || './sync-data')
+const TOKEN = process.env.CHECKIT_SYNC_TOKEN || ''
+const MAX_BODY = 20 * 1024 * 1024
+const SPACE_RE = /^[\w-]{1,64}$/
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+// Spaces are read once and kept in memory; writes go to a temp file that replaces the old one
+const spaces = new Map()
+const writing = new Map() // space → promise of its last push (pushes to one space never overlap)
+
+async function loadSpace(name) {
+  if (!spaces.has(name)) {
+    const text = await readFile(join(DATA_DIR, `${name}.json`), 'utf8').catch((e) => {
+      if (e.code === 'ENOENT') return null
+      throw e
+    })
+    if (!spaces.has(name)) spaces.set(name, text ? JSON.parse(text) : { seq: 0, records: {} })
+  }
+  return spaces.get(name)
+}
+
+async function saveSpace(name, space) {
+  const file = join(DATA_DIR, `${name}.json`)
+  await mkdir(DATA_DIR, { recursive: true })
+  await writeFile(`${file}.tmp`, JSON.stringify(space))
+  await rename(`${file}.tmp`, file)
+}
+
+// The push is applied to a copy, which replaces the cached space only once it is on disk: a failed write
+// leaves memory as it was, so the client's retry is checked against what was really saved
+function pushToSpace(name, changes) {
+  const next = (writing.get(name) || Promise.resolve()).then(async () => {
+    const space = await loadSpace(name)
+    const copy = { ...space, records: { ...space.records } }
+    const result = applyPush(copy, changes)
+    await saveSpace(name, copy)
+    spaces.set(name, copy)
+    return result
+  })
+  writing.set(name, next.catch(() => {}))
+  return next
+}
+
+function changesSince(space, since) {
+  const records = Object.entries(space.records)
+    .filter(([, r]) => r.seq > since)
+    .map(([key, r]) => ({ key, ...r }))
+    .sort((a, b) => a.seq - b.seq)
+  return { seq: space.seq, records }
+}
+
+function applyPush(space, changes) {
+  if (!Array.isArray(changes)) throw new HttpError(400, 'Expected { changes: [...] }')
+  if (changes.some((c) => !c || typeof c.key !== 'string' || !c.key.includes(':'))) {
+    throw new HttpError(400, 'Every change needs a "kind:id" key')
+  }
+  const results = changes.map((c) => {
+    const cur = space.records[c.key]
+    if (cur && cur.rev !== (Number(c.baseRev) || 0)) return { key: c.key, status: 'conflict', record: { key: c.key, ...cur } }
+    if (!cur && c.deleted) return { key: c.key, status: 'ok', rev: 0 }
+    space.seq += 1
+    const rev = (cur?.rev || 0) + 1
+    space.records[c.key] = c.deleted
+      ? { rev, seq: space.seq, deleted: true, data: null }
+      : { rev, seq: space.seq, deleted: false, data: c.data ?? null }
+    return { key: c.key, status: 'ok', rev }
+  })
+  return { seq: space.seq, results }
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0
+    const chunks = []
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY) {
+        reject(new HttpError(413, 'Request too large'))
+        req.destroy()
+      } else chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'))
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost')
+  if (req.method === 'OPTIONS') return send(res, 204)
+  if (url.pathname === '/health') return send(res, 200, { ok: true })
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) throw new HttpError(401, 'Missing or wrong token')
+
+  const m = url.pathname.match(/^\/v1\/spaces\/([^/]+)\/(changes|push)$/)
+  if (!m) throw new HttpError(404, 'Not found')
+  const [, name, action] = m
+  if (!SPACE_RE.test(name)) throw new HttpError(400, 'Space names use letters, digits, - and _ (up to 64)')
+
+  if (action === 'changes' && req.method === 'GET') {
+    const space = await loadSpace(name)
+    return send(res, 200, changesSince(space, Number(url.searchParams.get('since')) || 0))
+  }
+  if (action === 'push' && req.method === 'POST') {
+    const body = await readBody(req)
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Expected { changes: [...] }')
+    return send(res, 200, await pushToSpace(name, body.changes))
+  }
+  throw new HttpError(405, 'Method not allowed')
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    if (!(e instanceof HttpError)) console.error(e)
+    send(res, e.status || 500, { error: e instanceof HttpError ? e.message : 'Server error' })
+  })
+}).listen(PORT, () => {
+  console.log(`Check-It sync server on http://localhost:${PORT} (data in ${DATA_DIR}${TOKEN ? ', token required' : ''})`)
+})
@@ -1,46 +1,453 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ARCHIVE_AGES,
+  archiveDone,
+  archiveEntryText,
+  archiveSection,
+  purgeOldArchives,
+  restoreFromArchive,
+} from "./archive.js";
+import { csvToSections, parseCSV, toCSV } from "./csv.js";
+import { isISODate, isOverdue, isoDateInZone, nowISO, todayISO } from "./dates.js";
+import {
+  DUE_FILTERS,
+  EMPTY_FILTER,
+  isEmptyFilter,
+  matchesFilter,
+  matchesQuery,
+  parseQuery,
+  parseTags,
+  tagColor,
+} from "./filters.js";
+import {
+  COMPLETIONS_MAX,
+  completionEvents,
+  completionStats,
+  describeLateness,
+  historyToCSV,
+  mergeCompletions,
+} from "./history.js";
+import { buildICS, countDated } from "./ics.js";
+import {
+  MAX_DEPTH,
+  arrayMove,
+  indentItem,
+  indentable,
+  itemDepths,
+  leafItems,
+  moveItemById,
+  outdentItem,
+  rollup,
+  sectionTotalsOf,
+  setDoneWithChildren,
+  subtreeEnd,
+  syncParents,
+  totalsOf,
+} from "./items.js";
+import { DEFAULT_TITLE, cloneList, makeList, mergeById, uid } from "./lists.js";
+import { emptyLiveDoc, isLiveUrl, liveApply, liveDiff, liveMaterialize, liveMissing } from "./live.js";
+import { MD_TASK, adoptExisting, countItems, parseTaskList, pasteIntoSections, toMarkdown } from "./markdown.js";
+import { appendSections, diffSections, mergeSections, mergeWorkspaces } from "./merge.js";
+import { PRIORITIES, inlineParts, noteBlocks, noteTextLines, priorityOf } from "./notes.js";
+import { REMINDERS, dueReminders, formatDue, minutesFromNowISO, patchWorkspaceItem } from "./reminders.js";
+import {
+  WEEKDAYS,
+  describeRepeat,
+  firstOccurrence,
+  normalizeRepeat,
+  rollRecurringWorkspace,
+} from "./repeat.js";
+import {
+  DEFAULT_SETTINGS,
+  LS_KEY_V1,
+  SCHEMA_VERSION,
+  isObject,
+  readDocument,
+  readTemplates,
+  readWorkspace,
+  safeParse,
+} from "./schema.js";
+import { SORT_MODES, groupByDue, sortItems } from "./sorting.js";
+import {
+  applyPulled,
+  applyPushResults,
+  fromRecords,
+  hashRecord,
+  isStarterWorkspace,
+  planPush,
+  toRecords,
+} from "./sync.js";
+import { TEMPLATE_FORMAT, describeOffset, earliestDue, makeTemplate, templateSections } from "./templates.js";
 
 /**
  * ToolStack — Check-It (Styled v1: grey + lime/green accent)
- * - Sections + items
+ * - Sections + items (sub-tasks, notes, priority, tags)
  * - Delete section (in-app confirm modal)
- * - Reorder items via drag & drop (within a section)
+ * - Reorder items via drag & drop (within and across sections)
  * - Due date per item + overdue flag
  * - Print Preview (prints only the preview sheet)
  * - Export/Import JSON
- * - Autosave to localStorage
+ * - Autosave to IndexedDB
  *
  * Added:
- * - Search box (filters items across all sections)
- * - Filter pills: All / Today / Overdue
+ * - Search box with filter syntax + filter builder / saved views
  * - Email (mailto:) summary (no PDF attachment)
  * - Help “?” icon pinned far-right (Help Pack v1 modal)
+ * - Multiple checklists, templates, recurring items, reminders, history + stats, archive
+ * - Markdown / CSV export + import, calendar (.ics) export; sync and live sharing (server/)
  */
 
 const LS_KEY = "toolstack_checkit_v2";
-const uid = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
 
-const safeParse = (s, fallback) => {
+const DEVICE_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : ["UTC", "Europe/London", "Europe/Berlin", "America/New_York", "America/Los_Angeles", "Asia/Tokyo", "Australia/Sydney"];
+
+/* ---------- Tags, filters + search syntax ---------- */
+
+// Short description of the filter for the email summary / preview ("Open • This week • #errand")
+function describeFilter(f, sections) {
+  const parts = [];
+  if (f.status) parts.push(f.status === "open" ? "Open" : "Done");
+  if (f.due) parts.push(DUE_FILTERS.find((d) => d.id === f.due)?.label);
+  if (f.priority) parts.push(`${priorityOf(f.priority)?.label} priority`);
+  const section = sections.find((s) => s.id === f.sectionId);
+  if (section) parts.push(`Section “${section.name}”`);
+  for (const t of f.tags) parts.push(`#${t}`);
+  return parts.filter(Boolean).join(" • ");
+}
+
+/* ---------- Keyboard + command palette ---------- */
+
+// Nearest item above / below on the same level and under the same parent (what Alt+↑ / Alt+↓ swaps with)
+function adjacentSibling(items, itemId, dir) {
+  const i = items.findIndex((it) => it.id === itemId);
+  if (i < 0) return null;
+  const depth = itemDepths(items);
+  const d = depth.get(itemId);
+  for (let j = i + dir; j >= 0 && j < items.length; j += dir) {
+    const dj = depth.get(items[j].id);
+    if (dj < d) return null; // left the parent
+    if (dj === d) return items[j];
+  }
+  return null;
+}
+
+// Palette search: every word of the query appears in the label (any order), e.g. "sec pre" → "Go to section: Prep"
+const paletteMatch = (label, query) => {
+  const l = label.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every((w) => l.includes(w));
+};
+
+/* ---------- Offline app (service worker) ---------- */
+
+// Production builds only (the dev server has no /sw.js; try it with `npm run build && npm run preview`).
+// `onUpdate(worker)` gets a new build's worker once it is installed and waiting for the Reload prompt.
+// Installed apps stay open for days, so the check for a new build is repeated when the tab comes back.
+function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const sw = navigator.serviceWorker;
+  let reg = null;
+  const waitFor = (worker) =>
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && sw.controller) onUpdate(worker);
+    });
+  const onVisible = () => {
+    if (document.visibilityState === "visible") reg?.update().catch(() => {});
+  };
+
+  sw.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((r) => {
+      reg = r;
+      if (r.waiting && sw.controller) onUpdate(r.waiting);
+      waitFor(r.installing);
+      r.addEventListener("updatefound", () => waitFor(r.installing));
+    })
+    .catch(() => {
+      // no offline copy (e.g. private mode or a plain-http host); the app itself works as before
+    });
+  document.addEventListener("visibilitychange", onVisible);
+  return () => document.removeEventListener("visibilitychange", onVisible);
+}
+
+/* ---------- Storage adapters ---------- */
+
+/**
+ * Where the workspace lives. An adapter (IndexedDB here; a file or a local server could plug in the same way) is
+ *   { name, load(), save(prev, next), clear() }
+ * - load() → Promise of the saved document `{ version, activeId, lists, … }`, or null when nothing is saved
+ * - save(prev, next) → Promise of whether anything was written; `prev` is the document of the last successful
+ *   save or load (null = write everything), so an adapter can write only what changed — lists and the shared
+ *   parts are compared by reference
+ * - clear() → Promise; forget the saved data (used after migrating it to another adapter)
+ * Every write bumps a revision; a save made while another tab has saved since this one's last load / save
+ * rejects with a ConflictError and writes nothing (the app then merges and saves again).
+ * Other failures reject with the browser's error (e.g. QuotaExceededError); the app shows them and retries.
+ */
+const IDB_NAME = "toolstack-checkit";
+const IDB_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 400;
+const SHARED_KEYS = ["activeId", "settings", "templates", "views", "completions"]; // everything but the lists
+
+const conflictError = () => Object.assign(new Error("Saved data was changed in another tab"), { name: "ConflictError" });
+
+// Promise for an IDBRequest / the end of an IDBTransaction
+const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+const idbDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("The write was aborted", "AbortError"));
+  });
+
+// One record per checklist ("lists", by id) + one for everything shared ("meta", key "workspace"),
+// so typing in one checklist rewrites that checklist only
+function indexedDBStorage() {
+  let db = null;
+  let rev = 0; // revision of the meta record as this tab last read / wrote it
+  const open = () => {
+    if (db) return db;
+    if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("lists", { keyPath: "id" });
+      req.result.createObjectStore("meta");
+    };
+    db = idbRequest(req);
+    db.catch(() => {
+      db = null;
+    });
+    return db;
+  };
+
+  return {
+    name: "IndexedDB",
+    async load() {
+      const tx = (await open()).transaction(["meta", "lists"], "readonly");
+      const [meta, lists] = await Promise.all([
+        idbRequest(tx.objectStore("meta").get("workspace")),
+        idbRequest(tx.objectStore("lists").getAll()),
+      ]);
+      if (!meta) return null;
+      const { order = [], rev: saved = 0, ...shared } = meta;
+      rev = saved;
+      const rank = new Map(order.map((id, i) => [id, i]));
+      const at = (l) => (rank.has(l.id) ? rank.get(l.id) : order.length);
+      return { ...shared, lists: lists.sort((a, b) => at(a) - at(b)) };
+    },
+    async save(prev, next) {
+      const order = next.lists.map((l) => l.id);
+      const before = new Map((prev?.lists || []).map((l) => [l.id, l]));
+      const changedLists = next.lists.filter((l) => before.get(l.id) !== l);
+      const removed = [...before.keys()].filter((id) => !order.includes(id));
+      const sameShared =
+        prev?.version === next.version &&
+        order.join() === prev.lists.map((l) => l.id).join() &&
+        SHARED_KEYS.every((k) => prev[k] === next[k]);
+      if (prev && sameShared && !changedLists.length && !removed.length) return false;
+
+      // Transactions are serialized across tabs, so checking the revision inside this one is atomic
+      const tx = (await open()).transaction(["meta", "lists"], "readwrite");
+      const done = idbDone(tx);
+      const metaStore = tx.objectStore("meta");
+      const current = await idbRequest(metaStore.get("workspace"));
+      if ((current?.rev || 0) !== rev) {
+        tx.abort();
+        await done.catch(() => {});
+        throw conflictError();
+      }
+      const meta = { version: next.version, order, rev: rev + 1 };
+      for (const k of SHARED_KEYS) meta[k] = next[k];
+      metaStore.put(meta, "workspace");
+      const lists = tx.objectStore("lists");
+      for (const l of changedLists) lists.put(l);
+      const drop = (ids) => ids.filter((id) => !order.includes(id)).forEach((id) => lists.delete(id));
+      if (prev) drop(removed);
+      else lists.getAllKeys().onsuccess = (e) => drop(e.target.result);
+      await done;
+      rev += 1;
+      return true;
+    },
+    async clear() {
+      const tx = (await open()).transaction(["meta", "lists"], "readwrite");
+      tx.objectStore("meta").clear();
+      tx.objectStore("lists").clear();
+      await idbDone(tx);
+      rev = 0;
+    },
+  };
+}
+
+// The whole document as one JSON string (the pre-IndexedDB format; also the fallback where IndexedDB is missing).
+// Reads the current key, falling back to the v1 key. Unreadable data is kept under "<key>_corrupt".
+function localStorageStorage() {
+  const REV_KEY = `${LS_KEY}_rev`;
+  let rev = 0;
+  const savedRev = () => Number(localStorage.getItem(REV_KEY)) || 0;
+  return {
+    name: "localStorage",
+    async load() {
+      rev = savedRev();
+      const key = localStorage.getItem(LS_KEY) != null ? LS_KEY : localStorage.getItem(LS_KEY_V1) != null ? LS_KEY_V1 : null;
+      if (!key) return null;
+      const saved = localStorage.getItem(key);
+      const raw = safeParse(saved, undefined);
+      if (raw === undefined) {
+        localStorage.setItem(`${LS_KEY}_corrupt`, saved);
+        throw new Error(`Saved data is not valid JSON; a copy was kept as “${LS_KEY}_corrupt”.`);
+      }
+      return raw;
+    },
+    async save(prev, next) {
+      if (prev === next) return false;
+      if (savedRev() !== rev) throw conflictError();
+      localStorage.setItem(LS_KEY, JSON.stringify(next));
+      localStorage.setItem(REV_KEY, String(rev + 1));
+      rev += 1;
+      return true;
+    },
+    async clear() {
+      localStorage.removeItem(LS_KEY);
+      localStorage.removeItem(LS_KEY_V1);
+      localStorage.removeItem(REV_KEY);
+    },
+  };
+}
+
+const UNREADABLE_KEY = `${LS_KEY}_unreadable`; // saved data that could not be read, kept aside
+
+/**
+ * Opens IndexedDB (or localStorage where IndexedDB cannot open) and reads the workspace.
+ * The first time, data saved by older versions in localStorage is copied over and then removed there;
+ * if that copy fails, localStorage keeps it and the error is reported.
+ * Resolves { storage, workspace, saved, problems, error }: `saved` is the document the storage holds, when it
+ * matches `workspace` (null = the next save writes everything, e.g. after repairs).
+ */
+async function openWorkspace() {
+  const problems = [];
+  const legacy = localStorageStorage();
+  let storage = indexedDBStorage();
+  let raw = null;
+  let fromLegacy = false;
   try {
-    const v = JSON.parse(s);
-    return v ?? fallback;
+    raw = await storage.load();
   } catch {
-    return fallback;
+    storage = legacy;
   }
-};
+  if (raw == null) {
+    try {
+      raw = await legacy.load();
+      fromLegacy = storage !== legacy && raw != null;
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+
+  let read;
+  try {
+    read = readWorkspace(raw, problems);
+  } catch (e) {
+    read = { ...readWorkspace(null, [...problems, `Saved data could not be read: ${e.message}`]), unreadable: true };
+  }
+  const { workspace, problems: found } = read;
+  if (read.unreadable) {
+    // The fresh workspace will be saved over it, so the data that could not be read is kept aside
+    try {
+      localStorage.setItem(UNREADABLE_KEY, JSON.stringify(raw));
+      found.push(`A copy of it is kept in this browser’s localStorage as “${UNREADABLE_KEY}”.`);
+    } catch {
+      found.push("Export what you still need elsewhere before making changes: it could not be copied aside.");
+    }
+  }
+  const doc = { version: SCHEMA_VERSION, ...workspace };
+  let saved = raw != null && !fromLegacy && !found.length ? doc : null;
+  let error = null;
+  if (fromLegacy) {
+    try {
+      await storage.save(null, doc);
+      saved = doc;
+      await legacy.clear();
+    } catch (e) {
+      error = e;
+    }
+  }
+  return { storage, workspace, saved, problems: found, error };
+}
+
+// Once per page: React's StrictMode mounts twice, and two runs could both migrate
+let openingWorkspace = null;
+const openWorkspaceOnce = () => (openingWorkspace ??= openWorkspace());
 
-const todayISO = () => new Date().toISOString().slice(0, 10);
+// Plain-language message for a failed save
+function describeStorageError(e) {
+  if (e?.name === "QuotaExceededError")
+    return "Storage is full, so recent changes are not saved. Purge the archive, or export a backup and delete old checklists.";
+  return `Changes could not be saved (${e?.message || e?.name || "unknown error"}). Export a backup to be safe.`;
+}
+
+/* ---------- Sync with a self-hosted server ---------- */
+
+/**
+ * Optional sync through an HTTP server (reference: server/sync-server.js). The workspace is split into records
+ * keyed "<kind>:<id>" — one per item, section, checklist, archive entry, template, saved view and completion
+ * event, plus "order:lists" and "settings:workspace" — and every record has its own server revision.
+ *
+ * The device keeps a "shadow" of what it last synced: { [key]: { rev, hash } } (hash of the record's content;
+ * deleted = no hash). Whatever differs from the shadow is waiting to be pushed, so edits made offline are
+ * queued simply by being there, across reloads. A cycle pulls the server's changes since the last `seq`,
+ * merges them (applyPulled), then pushes what is still different with the rev it was based on. A rejected push
+ * returns the server's record, which is merged the same way and pushed again.
+ */
+const SYNC_KEY = "toolstack_checkit_sync";
+const SYNC_INTERVAL_MS = 30 * 1000;
+const SYNC_DEBOUNCE_MS = 2000;
+
+const readSyncState = () => {
+  const s = safeParse(localStorage.getItem(SYNC_KEY), null);
+  return isObject(s) ? { url: "", space: "", token: "", seq: 0, shadow: {}, lastSync: "", ...s } : null;
+};
+const writeSyncState = (s) => localStorage.setItem(SYNC_KEY, JSON.stringify(s));
 
-function arrayMove(arr, from, to) {
-  const a = [...arr];
-  const start = Math.max(0, Math.min(a.length - 1, from));
-  const end = Math.max(0, Math.min(a.length - 1, to));
-  if (start === end) return a;
-  const [item] = a.splice(start, 1);
-  a.splice(end, 0, item);
-  return a;
+// fetch + JSON, with the server's { error } turned into a readable message
+async function syncRequest(cfg, path, body) {
+  const res = await fetch(`${cfg.url.replace(/\/+$/, "")}/v1/spaces/${encodeURIComponent(cfg.space)}/${path}`, {
+    method: body ? "POST" : "GET",
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server answered ${res.status}`);
+  return data;
 }
 
+/* ---------- Live shared checklists ---------- */
+
+const LIVE_KEY = "toolstack_checkit_live";
+const LIVE_COLORS = ["#65a30d", "#0891b2", "#7c3aed", "#db2777", "#ea580c", "#0d9488", "#4f46e5", "#ca8a04"];
+const readLiveState = () => {
+  const s = safeParse(localStorage.getItem(LIVE_KEY), null);
+  return isObject(s) && s.url && s.room ? { name: "", listId: "", doc: emptyLiveDoc(), ...s } : null;
+};
+const writeLiveState = (s) => localStorage.setItem(LIVE_KEY, JSON.stringify(s));
+
+const liveColor = (id) => LIVE_COLORS[[...String(id)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7) % LIVE_COLORS.length];
+const initials = (name) =>
+  String(name || "?")
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((w) => w[0]?.toUpperCase() || "")
+    .join("") || "?";
+
 const btnSecondary =
   "print:hidden px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition disabled:opacity-50 disabled:cursor-not-allowed";
 const btnPrimary =
@@ -52,6 +459,12 @@ const inputBase =
 const card = "rounded-2xl bg-white border border-neutral-200 shadow-sm";
 const cardHead = "px-4 py-3 border-b border-neutral-100";
 const cardPad = "p-4";
+const filterSelect =
+  "w-full rounded-xl border border-neutral-200 bg-white px-2 py-2 text-sm text-neutral-800 focus:outline-none focus:ring-2 focus:ring-lime-400/25";
+const subtaskBtn =
+  "print:hidden rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs text-neutral-800 hover:bg-neutral-50 transition disabled:opacity-40 disabled:cursor-not-allowed";
+// Left margin per sub-task level (index = depth)
+const SUBTASK_INDENT = ["", "ml-6 sm:ml-10", "ml-12 sm:ml-20"];
 
 function SmallButton({ children, onClick, tone = "default", disabled, title, className = "" }) {
   const cls = tone === "primary" ? btnPrimary : tone === "danger" ? btnDanger : btnSecondary;
@@ -81,7 +494,7 @@ function ActionButton({ children, onClick, tone = "default", disabled, title })
   );
 }
 
-function ActionFileButton({ children, onFile, accept = "application/json", tone = "primary", title }) {
+function ActionFileButton({ children, onFile, accept = "application/json", tone = "primary", title, inputRef }) {
   const cls =
     tone === "primary"
       ? "bg-neutral-700 hover:bg-neutral-600 text-white border-neutral-700"
@@ -91,10 +504,14 @@ function ActionFileButton({ children, onFile, accept = "application/json", tone
     <label title={title} className={`${ACTION_BASE} ${cls} cursor-pointer`}>
       <span>{children}</span>
       <input
+        ref={inputRef}
         type="file"
         accept={accept}
         className="hidden"
-        onChange={(e) => onFile?.(e.target.files?.[0] || null)}
+        onChange={(e) => {
+          onFile?.(e.target.files?.[0] || null);
+          e.target.value = ""; // allow picking the same file again
+        }}
       />
     </label>
   );
@@ -115,16 +532,97 @@ function Pill({ children, tone = "default" }) {
   );
 }
 
-function Checkbox({ checked, onChange }) {
+// Inline Markdown → React nodes (text is never parsed as HTML, so a note can't inject markup)
+function renderInline(text, key) {
+  return inlineParts(text).map((p, i) => {
+    const k = `${key}-${i}`;
+    if (p.kind === "link") {
+      return (
+        <a
+          key={k}
+          href={p.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-emerald-700 underline underline-offset-2 break-all hover:text-emerald-600"
+        >
+          {p.text}
+        </a>
+      );
+    }
+    if (p.kind === "strong") return <strong key={k}>{p.text}</strong>;
+    if (p.kind === "code") return <code key={k} className="rounded bg-neutral-100 px-1 text-[0.85em]">{p.text}</code>;
+    if (p.kind === "em") return <em key={k}>{p.text}</em>;
+    return p.text;
+  });
+}
+
+function NoteView({ text }) {
+  return (
+    <div className="space-y-1 text-sm text-neutral-700 break-words">
+      {noteBlocks(text).map((b, i) =>
+        b.kind === "ul" ? (
+          <ul key={i} className="list-disc pl-5">
+            {b.lines.map((l, j) => (
+              <li key={j}>{renderInline(l, `${i}-${j}`)}</li>
+            ))}
+          </ul>
+        ) : b.kind === "h" ? (
+          <div key={i} className="font-semibold text-neutral-800">
+            {renderInline(b.lines[0], i)}
+          </div>
+        ) : (
+          <p key={i}>
+            {b.lines.map((l, j) => (
+              <React.Fragment key={j}>
+                {j ? <br /> : null}
+                {renderInline(l, `${i}-${j}`)}
+              </React.Fragment>
+            ))}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+// `onClick` (toggle in the filter) and `onRemove` (✕) are optional
+function TagChip({ tag, active = false, onClick, onRemove }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium ${tagColor(tag)} ${
+        active ? "ring-2 ring-lime-400" : ""
+      }`}
+    >
+      {onClick ? (
+        <button type="button" onClick={onClick} aria-pressed={active} title={active ? "Remove from filter" : "Filter by this tag"}>
+          #{tag}
+        </button>
+      ) : (
+        <span>#{tag}</span>
+      )}
+      {onRemove ? (
+        <button type="button" className="print:hidden opacity-60 hover:opacity-100" onClick={onRemove} aria-label={`Remove tag ${tag}`}>
+          ✕
+        </button>
+      ) : null}
+    </span>
+  );
+}
+
+// `partial`: some (not all) sub-tasks done — shown as a dash; clicking checks everything
+function Checkbox({ checked, partial = false, onChange }) {
   return (
     <button
       type="button"
+      role="checkbox"
+      aria-checked={checked ? "true" : partial ? "mixed" : "false"}
       onClick={() => onChange(!checked)}
       className={`h-5 w-5 rounded-md border flex items-center justify-center transition ${
-        checked ? "bg-neutral-800 border-neutral-800" : "bg-white border-neutral-300 hover:bg-neutral-50"
+        checked ? "bg-neutral-800 border-neutral-800" : partial ? "bg-neutral-400 border-neutral-400" : "bg-white border-neutral-300 hover:bg-neutral-50"
       }`}
       aria-label={checked ? "Uncheck" : "Check"}
     >
+      {!checked && partial ? <span className="h-0.5 w-2.5 rounded bg-white" /> : null}
       {checked ? (
         <svg viewBox="0 0 20 20" className="h-4 w-4" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path
@@ -199,23 +697,72 @@ function HelpModal({ open, onClose }) {
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Autosave (default)</div>
             <p className="mt-1 text-neutral-700">
-              Your data saves automatically in this browser on this device (localStorage). If you clear browser data or
-              switch devices, it won’t follow automatically.
+              Your data saves automatically in this browser on this device (IndexedDB). If you clear browser data or
+              switch devices, it won’t follow automatically. If saving ever fails (for example, the browser’s storage is
+              full), a red banner says so — export a backup before closing the page. Check-It can be open in several
+              tabs or windows at once: changes show up in the others within a moment, and if two tabs change the same
+              item you’ll get a note saying which edit was kept.
             </p>
           </div>
 
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Export (backup / move devices)</div>
             <p className="mt-1 text-neutral-700">
-              Use <span className="font-medium">Export</span> to download a JSON backup file. Save it somewhere safe
-              (Drive/Dropbox/email to yourself).
+              Use <span className="font-medium">Export</span> to download a JSON backup of the current checklist, or{" "}
+              <span className="font-medium">Lists… → Export all</span> for every checklist. Save it somewhere safe
+              (Drive/Dropbox/email to yourself). Export can also give you a Markdown task list for docs and runbooks, or a
+              CSV (one row per item) for spreadsheets.
             </p>
           </div>
 
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Import (restore)</div>
             <p className="mt-1 text-neutral-700">
-              Use <span className="font-medium">Import</span> to load a previous JSON backup and continue.
+              Use <span className="font-medium">Import</span> to load a previous JSON backup (or a Markdown / plain-text
+              checklist, or a CSV with a header row) and continue. You’ll see what’s new, changed and missing first, then choose{" "}
+              <span className="font-medium">Replace</span>, <span className="font-medium">Merge</span> (newest edit wins)
+              or <span className="font-medium">Append</span>. To add a few items, just paste a Markdown list or some lines
+              into the page.
+            </p>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 p-4">
+            <div className="font-semibold text-neutral-800">Sync (several devices)</div>
+            <p className="mt-1 text-neutral-700">
+              To keep checklists the same on your phone and laptop, run your own sync server and open{" "}
+              <span className="font-medium">Sync…</span>: enter its address and the same space name on every device.
+              Changes are sent shortly after you make them; offline changes wait and go out when you’re back online. If
+              two devices change the same item, the newest edit is kept and you’ll get a note.
+            </p>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 p-4">
+            <div className="font-semibold text-neutral-800">Share live (team checklists)</div>
+            <p className="mt-1 text-neutral-700">
+              <span className="font-medium">Share live…</span> lets several people work on one checklist at the same time:
+              everyone enters the same relay address and room, and check-offs, new items and moves show up for all at once.
+              The coloured initials show who else has it open. If two people change the same thing at the same moment, one
+              change wins everywhere. Undo covers your changes since the last update from the others.
+            </p>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 p-4">
+            <div className="font-semibold text-neutral-800">Install + offline</div>
+            <p className="mt-1 text-neutral-700">
+              Check-It works without a connection once it has been opened here. Use your browser’s{" "}
+              <span className="font-medium">Install</span> / <span className="font-medium">Add to Home screen</span> to
+              get it as an app. When a new version is out you’ll see a <span className="font-medium">Reload</span> prompt —
+              your data stays as it is.
+            </p>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 p-4">
+            <div className="font-semibold text-neutral-800">Keyboard</div>
+            <p className="mt-1 text-neutral-700">
+              <span className="font-medium">Ctrl+K</span> (⌘K on Mac) opens the command palette: Preview, Print, Email,
+              Export, Import, Add section, Clear done and “Go to section”. Tab to an item, then: ↑/↓ next / previous item,
+              Space check, Enter new item below, F2 edit the text, Alt+↑/↓ move up / down, Delete delete (Undo brings it
+              back). While typing an item, Enter adds the next one and Esc goes back to the row.
             </p>
           </div>
 
@@ -236,277 +783,3018 @@ function HelpModal({ open, onClose }) {
   );
 }
 
-// DEV-only micro tests (kept tiny, no runtime impact in production builds)
-if (import.meta?.env?.DEV) {
-  console.assert(
-    JSON.stringify(arrayMove([1, 2, 3], 0, 2)) === JSON.stringify([2, 3, 1]),
-    "arrayMove should move item"
-  );
-  console.assert(safeParse("{\"a\":1}", null)?.a === 1, "safeParse should parse valid JSON");
-  console.assert(safeParse("not-json", "x") === "x", "safeParse should fallback on invalid JSON");
-  console.assert(/\d{4}-\d{2}-\d{2}/.test(todayISO()), "todayISO should be YYYY-MM-DD");
+/**
+ * useState with an undo/redo stack.
+ * set(next, { track: false }) changes state without a history entry (system updates).
+ * set(next, { merge: "key" }) folds rapid edits with the same key (typing) into one entry.
+ * set(next, { resetHistory: true }) replaces the state and clears undo / redo (changes from another tab).
+ */
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 1000;
+
+function useHistoryState(init) {
+  const [h, setH] = useState(() => ({
+    past: [],
+    present: typeof init === "function" ? init() : init,
+    future: [],
+    mergeKey: null,
+    at: 0,
+  }));
+
+  const set = useCallback((next, opts = {}) => {
+    setH((cur) => {
+      const value = typeof next === "function" ? next(cur.present) : next;
+      if (value === cur.present) return cur;
+      if (opts.resetHistory) return { past: [], present: value, future: [], mergeKey: null, at: 0 };
+      if (opts.track === false) return { ...cur, present: value };
+      const now = Date.now();
+      if (opts.merge && opts.merge === cur.mergeKey && now - cur.at < HISTORY_MERGE_MS) {
+        return { ...cur, present: value, future: [], at: now };
+      }
+      return {
+        past: [...cur.past, cur.present].slice(-HISTORY_LIMIT),
+        present: value,
+        future: [],
+        mergeKey: opts.merge || null,
+        at: now,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setH((cur) => {
+      if (!cur.past.length) return cur;
+      return {
+        past: cur.past.slice(0, -1),
+        present: cur.past[cur.past.length - 1],
+        future: [cur.present, ...cur.future],
+        mergeKey: null,
+        at: 0,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setH((cur) => {
+      if (!cur.future.length) return cur;
+      return {
+        past: [...cur.past, cur.present],
+        present: cur.future[0],
+        future: cur.future.slice(1),
+        mergeKey: null,
+        at: 0,
+      };
+    });
+  }, []);
+
+  return [h.present, set, { undo, redo, canUndo: h.past.length > 0, canRedo: h.future.length > 0 }];
 }
 
-export default function App() {
-  const [title, setTitle] = useState("Check-It");
+// Tells the other tabs of this app that a save happened: BroadcastChannel, or a localStorage "ping" key
+// (its `storage` event reaches the other tabs) where BroadcastChannel is missing
+const TAB_CHANNEL = "toolstack-checkit";
+function tabChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const ch = new BroadcastChannel(TAB_CHANNEL);
+    ch.onmessage = (e) => onMessage(e.data);
+    return { post: (msg) => ch.postMessage(msg), close: () => ch.close() };
+  }
+  const key = `${LS_KEY}_ping`;
+  const onStorage = (e) => {
+    if (e.key === key && e.newValue) onMessage(safeParse(e.newValue, null));
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post: (msg) => localStorage.setItem(key, JSON.stringify({ ...msg, at: Date.now() })),
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
 
-  // Help
-  const [helpOpen, setHelpOpen] = useState(false);
+/**
+ * Debounced autosave of `workspace` through a storage adapter (one write at a time, only what changed).
+ * Pending changes are written at once when the tab is hidden or closed. A failed write is kept as `error`
+ * (shown in the UI) and retried with the next change or retry(); while it lasts, leaving the page asks first.
+ *
+ * Other tabs: after each save the others are told, load the saved data and merge it into what they show
+ * (mergeWorkspaces). A save that finds another tab's newer save merges first and then saves again, so
+ * neither tab's edits are lost. Items both tabs edited are collected in `conflicts` for a warning.
+ */
+function useAutosave(storage, workspace, setWorkspace, initial) {
+  const [error, setError] = useState(initial.error || null);
+  const [conflicts, setConflicts] = useState([]);
+  const saved = useRef(initial.saved); // document of the last successful save / load
+  const latest = useRef(workspace);
+  const merging = useRef(false); // a merged workspace is on its way to the screen; `latest` is outdated
+  const queue = useRef(Promise.resolve());
+  const timer = useRef(null);
+  const channel = useRef(null);
 
-  // Search + filter
-  const [search, setSearch] = useState("");
-  const [filter, setFilter] = useState("all"); // all | today | overdue
-
-  const [sections, setSections] = useState(() => {
-    const base = [
-      { id: uid(), name: "General", items: [{ id: uid(), text: "Add your first task", done: false, dueDate: "" }] },
-    ];
-    const saved = localStorage.getItem(LS_KEY);
-    const data = saved ? safeParse(saved, null) : null;
-    if (data?.sections && Array.isArray(data.sections)) {
-      return data.sections.map((s) => ({
-        ...s,
-        items: (s.items || []).map((it) => ({
-          ...it,
-          text: String(it.text ?? ""),
-          done: !!it.done,
-          dueDate: typeof it.dueDate === "string" ? it.dueDate : "",
-        })),
-      }));
+  // Load what another tab saved and merge it in (runs in the queue, so never during a save)
+  const pull = useCallback(async () => {
+    const raw = await storage.load();
+    if (raw == null) return;
+    const remote = readWorkspace(raw).workspace;
+    const from = latest.current;
+    const base = saved.current || { lists: [] };
+    const merged = mergeWorkspaces(base, from, remote);
+    saved.current = { version: SCHEMA_VERSION, ...merged.synced };
+    if (merged.workspace !== from) {
+      merging.current = true;
+      // Undo would bring back the other tab's changes as they were before, so history starts over
+      setWorkspace((cur) => (cur === from ? merged.workspace : mergeWorkspaces(base, cur, remote).workspace), {
+        track: false,
+        resetHistory: true,
+      });
     }
-    return base;
+    if (merged.conflicts.length) setConflicts((prev) => [...prev, ...merged.conflicts]);
+  }, [storage, setWorkspace]);
+
+  const flush = useCallback(() => {
+    clearTimeout(timer.current);
+    timer.current = null;
+    const save = async (retries) => {
+      if (merging.current) return; // the render with the merge schedules the next save
+      const ws = latest.current;
+      const prev = saved.current;
+      if (prev && prev.lists === ws.lists && SHARED_KEYS.every((k) => prev[k] === ws[k])) return;
+      const next = { version: SCHEMA_VERSION, ...ws };
+      try {
+        const wrote = await storage.save(prev, next);
+        saved.current = next;
+        setError(null);
+        if (wrote) channel.current?.post({ type: "saved" });
+      } catch (e) {
+        if (e.name !== "ConflictError" || !retries) return setError(e);
+        await pull();
+        await save(retries - 1);
+      }
+    };
+    queue.current = queue.current.then(() => save(3)).catch(setError);
+    return queue.current;
+  }, [storage, pull]);
+
+  useEffect(() => {
+    latest.current = workspace;
+    merging.current = false;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(flush, SAVE_DEBOUNCE_MS);
+  }, [workspace, flush]);
+
+  useEffect(() => {
+    channel.current = tabChannel((msg) => {
+      if (msg?.type === "saved") queue.current = queue.current.then(pull).catch(setError);
+    });
+    return () => channel.current.close();
+  }, [pull]);
+
+  useEffect(() => {
+    const onHide = () => {
+      if (timer.current) flush();
+    };
+    const onVisibility = () => {
+      if (document.visibilityState === "hidden") onHide();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("pagehide", onHide);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("pagehide", onHide);
+    };
+  }, [flush]);
+
+  useEffect(() => {
+    if (!error) return;
+    const onBeforeUnload = (e) => e.preventDefault();
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [error]);
+
+  return { error, retry: flush, conflicts, dismissConflicts: () => setConflicts([]) };
+}
+
+/**
+ * Sync with a self-hosted server (see "Sync with a self-hosted server" above), off until a server is set.
+ * One tab syncs (it holds a Web Lock); the others get its changes through autosave. Runs a cycle shortly after
+ * each change, every 30 s, when the browser is back online and when the tab becomes visible.
+ * status.state: "off" | "idle" | "syncing" | "offline" | "error" | "other-tab"
+ */
+function useSync(workspace, setWorkspace) {
+  const [config, setConfig] = useState(() => {
+    const s = readSyncState();
+    return s?.url && s.space ? { url: s.url, space: s.space, token: s.token } : null;
   });
+  const [status, setStatus] = useState(() => ({ state: "idle", lastSync: readSyncState()?.lastSync || "", pending: 0 }));
+  const [leader, setLeader] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const latest = useRef(workspace);
+  const applied = useRef(null); // workspace this hook put on screen (not a change to push)
+  const running = useRef(null);
+  const again = useRef(false);
+  const timer = useRef(null);
+  const hasLocks = typeof navigator !== "undefined" && !!navigator.locks;
+  const active = !!config && (leader || !hasLocks);
 
-  const [previewOpen, setPreviewOpen] = useState(false);
-  const [toast, setToast] = useState(null);
-  const toastTimer = useRef(null);
+  const cycle = useCallback(
+    async (cfg) => {
+      const st = readSyncState();
+      if (!st || st.url !== cfg.url || st.space !== cfg.space) return;
+      const show = (next, redo) => {
+        const from = latest.current;
+        latest.current = applied.current = next;
+        // Undo would bring back what the other device changed, so history starts over
+        setWorkspace((cur) => (cur === from ? next : redo(cur)), { track: false, resetHistory: true });
+      };
+      const apply = (records) => {
+        const before = st.shadow;
+        const res = applyPulled(latest.current, before, records);
+        st.shadow = res.shadow;
+        if (res.workspace !== latest.current) show(res.workspace, (cur) => applyPulled(cur, before, records).workspace);
+        if (res.conflicts.length) setConflicts((prev) => [...prev, ...res.conflicts]);
+      };
 
-  const [confirm, setConfirm] = useState({ open: false, sectionId: null });
+      const pulled = await syncRequest(cfg, `changes?since=${st.seq}`);
+      const firstTime = !st.seq && !Object.keys(st.shadow).length;
+      const live = pulled.records.filter((r) => !r.deleted);
+      if (firstTime && live.length && isStarterWorkspace(latest.current)) {
+        // A new device joins: show the server's workspace instead of merging the starter checklist into it
+        const records = new Map(live.map((r) => [r.key, r.data]));
+        const shadow = Object.fromEntries(pulled.records.map((r) => [r.key, { rev: r.rev, hash: r.deleted ? null : hashRecord(r.data) }]));
+        st.shadow = shadow;
+        show(fromRecords(records, latest.current), (cur) => fromRecords(records, cur));
+      } else apply(pulled.records);
+      st.seq = pulled.seq;
 
-  const dragRef = useRef({ sectionId: null, fromIndex: null });
+      // Push; records someone else changed meanwhile come back, are merged in and pushed again
+      for (let tries = 0; tries < 3; tries += 1) {
+        const changes = planPush(toRecords(latest.current), st.shadow);
+        if (!changes.length) break;
+        const res = await syncRequest(cfg, "push", { changes });
+        const { shadow, rejected } = applyPushResults(st.shadow, changes, res.results);
+        st.shadow = shadow;
+        if (!rejected.length) break;
+        apply(rejected);
+      }
 
-  const notify = (msg) => {
-    setToast(msg);
-    if (toastTimer.current) clearTimeout(toastTimer.current);
-    toastTimer.current = setTimeout(() => setToast(null), 2000);
+      const now = readSyncState();
+      if (!now || now.url !== cfg.url || now.space !== cfg.space) return; // turned off / changed meanwhile
+      st.lastSync = nowISO();
+      writeSyncState({ ...now, seq: st.seq, shadow: st.shadow, lastSync: st.lastSync });
+      setStatus({ state: "idle", lastSync: st.lastSync, pending: planPush(toRecords(latest.current), st.shadow).length });
+    },
+    [setWorkspace]
+  );
+
+  // One cycle at a time; asked again while running = one more right after
+  const syncNow = useCallback(() => {
+    clearTimeout(timer.current);
+    if (!config || !active) return;
+    if (running.current) {
+      again.current = true;
+      return;
+    }
+    setStatus((s) => ({ ...s, state: "syncing" }));
+    const run = async () => {
+      do {
+        again.current = false;
+        await cycle(config);
+      } while (again.current);
+    };
+    running.current = run()
+      .catch((e) => {
+        const offline = !navigator.onLine || e instanceof TypeError; // fetch rejects with TypeError without a network
+        setStatus((s) => ({ ...s, state: offline ? "offline" : "error", error: offline ? "" : e.message }));
+      })
+      .finally(() => {
+        running.current = null;
+      });
+  }, [config, active, cycle]);
+
+  useEffect(() => {
+    latest.current = workspace;
+    if (!active || workspace === applied.current) return;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(syncNow, SYNC_DEBOUNCE_MS);
+  }, [workspace, active, syncNow]);
+
+  useEffect(() => {
+    if (!active) return;
+    const onVisibility = () => {
+      if (document.visibilityState === "visible") syncNow();
+    };
+    const first = setTimeout(syncNow, 0);
+    const every = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncNow);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      clearTimeout(first);
+      clearTimeout(timer.current);
+      clearInterval(every);
+      window.removeEventListener("online", syncNow);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [active, syncNow]);
+
+  // The tab holding the lock syncs until it closes (or sync is turned off); the next tab in line takes over
+  useEffect(() => {
+    if (!config || !hasLocks) return;
+    const stop = new AbortController();
+    let release = null;
+    navigator.locks
+      .request(SYNC_KEY, { signal: stop.signal }, () => {
+        setLeader(true);
+        return new Promise((r) => {
+          release = r;
+        });
+      })
+      .catch(() => {});
+    return () => {
+      stop.abort();
+      release?.();
+      setLeader(false);
+    };
+  }, [config, hasLocks]);
+
+  // { url, space, token } turns sync on (a different server or space starts from scratch), null turns it off
+  const configure = (next) => {
+    const prev = readSyncState();
+    if (!next) localStorage.removeItem(SYNC_KEY);
+    else if (prev && prev.url === next.url && prev.space === next.space) writeSyncState({ ...prev, token: next.token });
+    else writeSyncState({ ...next, seq: 0, shadow: {}, lastSync: "" });
+    setConfig(next);
+    setStatus({ state: "idle", lastSync: next ? readSyncState().lastSync : "", pending: 0 });
+  };
+
+  const state = !config ? "off" : !active ? "other-tab" : status.state;
+  return { config, status: { ...status, state }, configure, syncNow, conflicts, dismissConflicts: () => setConflicts([]) };
+}
+
+/**
+ * Live shared checklist through a relay (server/relay-server.js), see live.js.
+ * Changes to the shared checklist become operations (liveDiff) and go out at once; the room's operations are
+ * merged in as they arrive. The document is kept in localStorage, so edits made offline (or before a reload)
+ * reach the room on reconnect: whatever it lacks is sent after the welcome. Joining a room that already has a
+ * checklist adds it as a new one; an empty room gets the active checklist.
+ * status: "off" | "connecting" | "live" | "offline"
+ */
+function useLive(workspace, setWorkspace) {
+  const [saved] = useState(readLiveState);
+  const [config, setConfig] = useState(() => (saved ? { url: saved.url, room: saved.room, name: saved.name } : null));
+  const [status, setStatus] = useState(saved ? "connecting" : "off");
+  const [peers, setPeers] = useState([]);
+  const [listId, setListId] = useState(saved?.listId || "");
+  const [tabId] = useState(uid);
+  const doc = useRef(saved?.doc || emptyLiveDoc());
+  const shared = useRef(saved?.listId || ""); // listId for the socket handlers
+  const seen = useRef(null); // shared checklist as last diffed
+  const latest = useRef(workspace);
+  const socket = useRef(null);
+  const saveTimer = useRef(null);
+
+  const sharedList = workspace.lists.find((l) => l.id === listId);
+  const away = !sharedList || workspace.activeId !== listId;
+
+  const persist = useCallback(() => {
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      const s = readLiveState();
+      if (s) writeLiveState({ ...s, listId: shared.current, doc: doc.current });
+    }, SAVE_DEBOUNCE_MS);
+  }, []);
+
+  // Local edits → operations
+  useEffect(() => {
+    latest.current = workspace;
+    const list = workspace.lists.find((l) => l.id === listId);
+    if (!config || !list || list === seen.current) return;
+    seen.current = list;
+    const ops = liveDiff(doc.current, list, tabId);
+    if (!ops.length) return;
+    doc.current = liveApply(doc.current, ops);
+    if (socket.current?.readyState === WebSocket.OPEN) socket.current.send(JSON.stringify({ type: "ops", ops }));
+    persist();
+  }, [workspace, config, listId, tabId, persist]);
+
+  useEffect(() => {
+    if (!config) return;
+    let ws = null;
+    let retry = null;
+    let delay = 1000;
+    let stopped = false;
+
+    // The room's document on screen; edits this tab made since the last diff are laid over it (and sent next)
+    const show = (before) => {
+      const after = doc.current;
+      const id = shared.current;
+      setWorkspace(
+        (cur) => {
+          const list = cur.lists.find((l) => l.id === id);
+          if (!list) return cur;
+          const mine = liveDiff({ ...before, clock: after.clock }, list, tabId);
+          const next = liveMaterialize(liveApply(after, mine), list);
+          return next === list ? cur : { ...cur, lists: cur.lists.map((l) => (l.id === id ? next : l)) };
+        },
+        // Undo would take back the others' changes too, so history starts over
+        { track: false, resetHistory: true }
+      );
+    };
+
+    const onWelcome = (ops) => {
+      const room = liveApply(emptyLiveDoc(), ops);
+      const before = doc.current;
+      doc.current = liveApply(before, ops);
+      if (!shared.current && ops.length) {
+        // Joining a room with a checklist in it: it becomes a new checklist here
+        const list = { ...makeList(), ...liveMaterialize(doc.current, null), id: uid(), createdAt: nowISO() };
+        shared.current = list.id;
+        seen.current = list;
+        setWorkspace((cur) => ({ ...cur, lists: [...cur.lists, list], activeId: list.id }), { track: false, resetHistory: true });
+      } else if (!shared.current) {
+        const active = latest.current.lists.find((l) => l.id === latest.current.activeId);
+        shared.current = active.id;
+        seen.current = active;
+        doc.current = liveApply(doc.current, liveDiff(doc.current, active, tabId));
+      } else show(before);
+      setListId(shared.current);
+      const missing = liveMissing(doc.current, room);
+      if (missing.length) ws.send(JSON.stringify({ type: "ops", ops: missing }));
+      persist();
+      setStatus("live");
+    };
+
+    const connect = () => {
+      try {
+        ws = new WebSocket(config.url);
+      } catch {
+        // A bad URL saved by an older version: say so instead of retrying
+        ws = null;
+        setTimeout(() => !stopped && setStatus("error"));
+        return;
+      }
+      socket.current = ws;
+      ws.onopen = () => {
+        delay = 1000;
+        ws.send(JSON.stringify({ type: "join", room: config.room, peer: { id: tabId, name: config.name } }));
+      };
+      ws.onmessage = (e) => {
+        const msg = safeParse(e.data, null);
+        if (msg?.type === "welcome") onWelcome(Array.isArray(msg.ops) ? msg.ops : []);
+        else if (msg?.type === "peers") setPeers(Array.isArray(msg.peers) ? msg.peers : []);
+        else if (msg?.type === "ops" && Array.isArray(msg.ops)) {
+          const before = doc.current;
+          doc.current = liveApply(before, msg.ops);
+          if (doc.current === before) return;
+          show(before);
+          persist();
+        }
+      };
+      ws.onclose = () => {
+        if (socket.current === ws) socket.current = null;
+        if (stopped) return;
+        setPeers([]);
+        setStatus("offline");
+        retry = setTimeout(() => {
+          setStatus("connecting");
+          connect();
+        }, delay);
+        delay = Math.min(delay * 2, 15000);
+      };
+    };
+    connect();
+
+    const onOnline = () => {
+      if (socket.current) return;
+      clearTimeout(retry);
+      delay = 1000;
+      connect();
+    };
+    window.addEventListener("online", onOnline);
+    return () => {
+      stopped = true;
+      clearTimeout(retry);
+      window.removeEventListener("online", onOnline);
+      ws?.close();
+      socket.current = null;
+    };
+  }, [config, tabId, setWorkspace, persist]);
+
+  // Presence: "away" while the tab is hidden or another checklist is open
+  useEffect(() => {
+    if (status !== "live") return;
+    const tell = () => {
+      const msg = { type: "presence", away: away || document.visibilityState === "hidden" };
+      if (socket.current?.readyState === WebSocket.OPEN) socket.current.send(JSON.stringify(msg));
+    };
+    tell();
+    document.addEventListener("visibilitychange", tell);
+    return () => document.removeEventListener("visibilitychange", tell);
+  }, [status, away]);
+
+  // { url, room, name } joins (another room starts from scratch), null leaves; the checklist stays either way
+  const configure = (next) => {
+    const prev = readLiveState();
+    if (!next) localStorage.removeItem(LIVE_KEY);
+    else if (prev && prev.url === next.url && prev.room === next.room) writeLiveState({ ...prev, name: next.name });
+    else {
+      writeLiveState({ ...next, listId: "", doc: emptyLiveDoc() });
+      doc.current = emptyLiveDoc();
+      shared.current = "";
+      seen.current = null;
+      setListId("");
+    }
+    if (!next) setListId("");
+    setConfig(next);
+    setStatus(next ? "connecting" : "off");
+    setPeers([]);
+  };
+
+  return { config, status, listId, peers: peers.filter((p) => p.id !== tabId), configure };
+}
+
+// Recurrence picker (compact, sits under the item row)
+function RepeatEditor({ value, onChange }) {
+  const freq = value?.freq || "";
+  const small =
+    "rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs text-neutral-800 focus:outline-none focus:ring-2 focus:ring-lime-400/25";
+
+  const setFreq = (f) => {
+    if (!f) return onChange(undefined);
+    if (f === "weekly") return onChange({ freq: f, weekdays: [new Date().getDay()] });
+    if (f === "interval") return onChange({ freq: f, every: 2 });
+    if (f === "monthly") return onChange({ freq: f, monthDay: new Date().getDate() });
+    return onChange({ freq: f });
+  };
+
+  const toggleDay = (d) => {
+    const days = value.weekdays.includes(d) ? value.weekdays.filter((x) => x !== d) : [...value.weekdays, d];
+    if (!days.length) return;
+    onChange({ ...value, weekdays: days.sort((a, b) => a - b) });
+  };
+
+  return (
+    <div className="print:hidden flex flex-wrap items-center gap-2 text-xs text-neutral-700">
+      <select className={small} value={freq} onChange={(e) => setFreq(e.target.value)} aria-label="Repeat">
+        <option value="">No repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekly">Weekdays…</option>
+        <option value="interval">Every N days</option>
+        <option value="monthly">Monthly</option>
+      </select>
+
+      {freq === "weekly" ? (
+        <div className="flex gap-1">
+          {WEEKDAYS.map((label, d) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(d)}
+              className={`h-6 w-8 rounded-lg border text-[11px] font-medium transition ${
+                value.weekdays.includes(d)
+                  ? "border-neutral-700 bg-neutral-700 text-white"
+                  : "border-neutral-200 bg-white hover:bg-neutral-50"
+              }`}
+            >
+              {label.slice(0, 2)}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {freq === "interval" ? (
+        <label className="flex items-center gap-1">
+          every
+          <input
+            type="number"
+            min={1}
+            max={365}
+            className={`${small} w-16`}
+            value={value.every}
+            onChange={(e) => onChange({ ...value, every: Math.max(1, Math.min(365, Number(e.target.value) || 1)) })}
+          />
+          days
+        </label>
+      ) : null}
+
+      {freq === "monthly" ? (
+        <label className="flex items-center gap-1">
+          on day
+          <input
+            type="number"
+            min={1}
+            max={31}
+            className={`${small} w-16`}
+            value={value.monthDay}
+            onChange={(e) => onChange({ ...value, monthDay: Math.max(1, Math.min(31, Number(e.target.value) || 1)) })}
+          />
+        </label>
+      ) : null}
+    </div>
+  );
+}
+
+// Import preview (diff against current data + mode choice)
+const IMPORT_MODES = [
+  { id: "replace", label: "Replace", hint: "Use the file as-is. Anything not in the file is removed." },
+  { id: "merge", label: "Merge", hint: "Keep both. Where an item exists on both sides, the newest edit wins." },
+  { id: "append", label: "Append", hint: "Add everything from the file as new sections (or new checklists)." },
+];
+
+function DiffRows({ tone, rows, render, max = 8 }) {
+  if (!rows.length) return null;
+  const color = tone === "add" ? "text-emerald-700" : tone === "remove" ? "text-red-700" : "text-amber-700";
+  const mark = tone === "add" ? "+" : tone === "remove" ? "−" : "~";
+  return (
+    <ul className="space-y-1">
+      {rows.slice(0, max).map((r, i) => (
+        <li key={i} className="flex gap-2">
+          <span className={`w-3 shrink-0 font-bold ${color}`}>{mark}</span>
+          <span className="min-w-0 break-words">{render(r)}</span>
+        </li>
+      ))}
+      {rows.length > max ? <li className="pl-5 text-neutral-600">…and {rows.length - max} more</li> : null}
+    </ul>
+  );
+}
+
+function ProblemList({ problems, max = 50 }) {
+  return (
+    <ul className="list-disc pl-5 space-y-1">
+      {problems.slice(0, max).map((p, i) => (
+        <li key={i} className="break-words">
+          {p}
+        </li>
+      ))}
+      {problems.length > max ? <li className="text-neutral-600">…and {problems.length - max} more</li> : null}
+    </ul>
+  );
+}
+
+// Validation / migration report (load + import)
+function ProblemsModal({ open, title, message, problems, onClose }) {
+  if (!open) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-lg rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">{title}</div>
+          <div className="text-sm text-neutral-700 mt-1">{message}</div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+        <div className="p-4 text-sm text-neutral-700 max-h-[50vh] overflow-auto">
+          <ProblemList problems={problems} />
+        </div>
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-end">
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition"
+            onClick={onClose}
+          >
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ImportModal({ open, fileName, problems, groups, mode, onMode, onConfirm, onCancel }) {
+  if (!open) return null;
+
+  const sum = (fn) => groups.reduce((n, g) => n + fn(g), 0);
+  const added = sum((g) => (g.diff ? g.diff.items.added.length : g.itemCount || 0));
+  const changed = sum((g) => g.diff?.items.changed.length || 0);
+  const newer = sum((g) => g.diff?.items.changed.filter((c) => c.incomingNewer).length || 0);
+  const removed = sum((g) => g.diff?.items.removed.length || (g.removed ? g.itemCount : 0));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onCancel} />
+      <div className="relative w-full max-w-2xl rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Import “{fileName}”</div>
+          <div className="text-sm text-neutral-700 mt-1">Compared with your current data by section and item id.</div>
+          <div className="mt-3 h-[2px] w-52 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+          <div className="mt-3 flex flex-wrap gap-2">
+            <Pill tone="accent">{added} new</Pill>
+            <Pill tone="warn">
+              {changed} changed{changed ? ` (${newer} newer in file)` : ""}
+            </Pill>
+            <Pill>{removed} not in file</Pill>
+          </div>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm text-neutral-700 max-h-[45vh] overflow-auto">
+          {problems.length ? (
+            <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 space-y-2">
+              <div className="font-semibold text-neutral-800">{problems.length} problem(s) fixed while reading the file</div>
+              <ProblemList problems={problems} max={20} />
+            </div>
+          ) : null}
+          {groups.map((g) => (
+            <div key={g.key} className="rounded-2xl border border-neutral-200 p-3 space-y-2">
+              <div className="font-semibold text-neutral-800">
+                {g.label}
+                {g.isNew ? <span className="ml-2 text-xs font-medium text-emerald-700">new checklist</span> : null}
+                {g.removed ? <span className="ml-2 text-xs font-medium text-red-700">not in file</span> : null}
+              </div>
+              {g.diff ? (
+                <>
+                  <DiffRows tone="add" rows={g.diff.sections.added} render={(sec) => `Section “${sec.name}”`} />
+                  <DiffRows tone="remove" rows={g.diff.sections.removed} render={(sec) => `Section “${sec.name}”`} />
+                  <DiffRows
+                    tone="change"
+                    rows={g.diff.sections.renamed}
+                    render={(sec) => `Section renamed to “${sec.name}”`}
+                  />
+                  <DiffRows tone="add" rows={g.diff.items.added} render={(r) => `${r.it.text} (${r.section.name})`} />
+                  <DiffRows
+                    tone="change"
+                    rows={g.diff.items.changed}
+                    render={(c) => (
+                      <>
+                        {c.before.it.text}
+                        {c.before.it.text !== c.after.it.text ? ` → ${c.after.it.text}` : ""}
+                        {c.before.section.id !== c.after.section.id ? ` (moved to ${c.after.section.name})` : ""}
+                        {c.before.it.done !== c.after.it.done ? ` (${c.after.it.done ? "done" : "not done"} in file)` : ""}
+                        <span className="ml-1 text-xs text-neutral-600">{c.incomingNewer ? "• file is newer" : "• yours is newer"}</span>
+                      </>
+                    )}
+                  />
+                  <DiffRows tone="remove" rows={g.diff.items.removed} render={(r) => `${r.it.text} (${r.section.name})`} />
+                  {!g.diff.items.added.length &&
+                  !g.diff.items.changed.length &&
+                  !g.diff.items.removed.length &&
+                  !g.diff.sections.added.length &&
+                  !g.diff.sections.removed.length &&
+                  !g.diff.sections.renamed.length ? (
+                    <div className="text-neutral-600">No differences.</div>
+                  ) : null}
+                </>
+              ) : (
+                <div className="text-neutral-600">{g.itemCount} item(s)</div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {IMPORT_MODES.map((m) => (
+              <button
+                key={m.id}
+                type="button"
+                className={`px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
+                  mode === m.id
+                    ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
+                    : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
+                }`}
+                onClick={() => onMode(m.id)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <div className="text-xs text-neutral-600">{IMPORT_MODES.find((m) => m.id === mode)?.hint}</div>
+          <div className="flex items-center justify-end gap-2">
+            <button
+              type="button"
+              className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+              onClick={onCancel}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition"
+              onClick={onConfirm}
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Fired reminders (in-app; shown alongside the browser notification, or instead of it)
+function ReminderAlerts({ alerts, onOpen, onSnooze, onDismiss }) {
+  if (!alerts.length) return null;
+  const btn =
+    "px-2.5 py-1 rounded-lg text-xs font-semibold border border-white/20 bg-white/10 hover:bg-white/20 text-white transition";
+  return (
+    <div className="fixed bottom-6 left-6 z-40 w-[min(22rem,calc(100vw-3rem))] space-y-2 print:hidden">
+      {alerts.map((a) => (
+        <div key={a.key} className="rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl">
+          <div className="text-xs text-[#D5FF00] font-semibold">Reminder • {a.listTitle || DEFAULT_TITLE}</div>
+          <div className="text-sm mt-0.5 break-words">{a.text || "(untitled item)"}</div>
+          {a.due ? <div className="text-xs text-neutral-300 mt-0.5">Due {a.due}</div> : null}
+          <div className="mt-2 flex flex-wrap gap-2">
+            <button type="button" className={btn} onClick={() => onOpen(a)}>
+              Open
+            </button>
+            <button type="button" className={btn} onClick={() => onSnooze(a, 10)}>
+              Snooze 10 min
+            </button>
+            <button type="button" className={btn} onClick={() => onSnooze(a, 60)}>
+              1 h
+            </button>
+            <button type="button" className={btn} onClick={() => onDismiss(a)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Ctrl+K: type to filter, ↑/↓ to pick, Enter to run, Esc to close. `commands`: [{ id, label, hint }]
+function CommandPalette({ open, commands, onRun, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  if (!open) return null;
+  const shown = commands.filter((c) => paletteMatch(c.label, query));
+  const current = Math.min(active, Math.max(0, shown.length - 1));
+
+  const close = () => {
+    setQuery("");
+    setActive(0);
+    onClose();
+  };
+
+  // Closed first, so Print does not capture the palette and the file picker opens over the page
+  const run = (c) => {
+    close();
+    setTimeout(() => onRun(c.id), 0);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (shown.length) setActive((current + (e.key === "ArrowDown" ? 1 : -1) + shown.length) % shown.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (shown[current]) run(shown[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center p-4 sm:p-8 sm:pt-24">
+      <div className="absolute inset-0 bg-black/40" onClick={close} />
+      <div className="relative w-full max-w-lg rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-3 border-b border-neutral-100">
+          <input
+            autoFocus
+            className="w-full rounded-xl border border-neutral-200 px-3 py-2 text-sm outline-none focus:border-neutral-400"
+            placeholder="Type a command or a section name…"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActive(0);
+            }}
+            onKeyDown={onKeyDown}
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="checkit-palette"
+            aria-activedescendant={shown[current] ? `palette-${current}` : undefined}
+            aria-label="Command"
+            data-native-undo
+          />
+        </div>
+        <ul id="checkit-palette" role="listbox" className="max-h-[50vh] overflow-auto p-2">
+          {shown.map((c, i) => (
+            <li
+              key={c.id}
+              id={`palette-${i}`}
+              role="option"
+              aria-selected={i === current}
+              className={`flex items-center justify-between gap-3 rounded-xl px-3 py-2 text-sm cursor-pointer ${
+                i === current ? "bg-lime-50 text-neutral-900" : "text-neutral-700"
+              }`}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => run(c)}
+            >
+              <span className="truncate">{c.label}</span>
+              {c.hint ? <span className="shrink-0 text-xs text-neutral-500">{c.hint}</span> : null}
+            </li>
+          ))}
+          {!shown.length ? <li className="px-3 py-2 text-sm text-neutral-600">No matching command.</li> : null}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// Plain SVG bars; `data`: [{ key, label, value }]
+function BarChart({ data, title }) {
+  const bar = 22;
+  const gap = 8;
+  const h = 90;
+  const top = 14;
+  const width = data.length * (bar + gap);
+  const max = Math.max(1, ...data.map((d) => d.value));
+  return (
+    <svg viewBox={`0 0 ${width} ${top + h + 18}`} className="w-full h-auto" role="img" aria-label={title}>
+      {data.map((d, i) => {
+        const bh = d.value ? Math.max(2, Math.round((d.value / max) * h)) : 0;
+        const x = i * (bar + gap) + gap / 2;
+        return (
+          <g key={d.key}>
+            <title>{`${d.label}: ${d.value}`}</title>
+            <rect x={x} y={top + h - bh} width={bar} height={bh} rx="4" className="fill-lime-400" />
+            {d.value ? (
+              <text x={x + bar / 2} y={top + h - bh - 3} textAnchor="middle" fontSize="9" className="fill-neutral-700">
+                {d.value}
+              </text>
+            ) : null}
+            <text x={x + bar / 2} y={top + h + 12} textAnchor="middle" fontSize="8" className="fill-neutral-500">
+              {d.label}
+            </text>
+          </g>
+        );
+      })}
+      <line x1="0" x2={width} y1={top + h} y2={top + h} className="stroke-neutral-300" />
+    </svg>
+  );
+}
+
+function StatsModal({ open, events, activeListId, today, timeZone, onExport, onClose }) {
+  const [scope, setScope] = useState("list"); // list | all
+  if (!open) return null;
+  const picked = scope === "list" ? events.filter((e) => e.listId === activeListId) : events;
+  const st = completionStats(picked, { today, timeZone });
+  const pct = (n, of) => (of ? `${Math.round((n / of) * 100)}%` : "—");
+  const opt = (id, label) => (
+    <button
+      type="button"
+      className={`px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
+        scope === id
+          ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
+          : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
+      }`}
+      onClick={() => setScope(id)}
+    >
+      {label}
+    </button>
+  );
+  const tile = (label, value, hint) => (
+    <div className="rounded-2xl border border-neutral-200 p-3">
+      <div className="text-xs text-neutral-600">{label}</div>
+      <div className="text-xl font-semibold text-neutral-800">{value}</div>
+      {hint ? <div className="text-xs text-neutral-600">{hint}</div> : null}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-3xl rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Stats</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            {picked.length
+              ? `From ${picked.length} logged check(s) / uncheck(s) since ${isoDateInZone(new Date(picked[0].at), timeZone)}.`
+              : "Nothing logged yet — checked items show up here (the history survives “Clear done” and deletes)."}
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+
+        <div className="p-4 space-y-4 text-sm text-neutral-700 max-h-[70vh] overflow-auto">
+          <div className="flex flex-wrap gap-2">
+            {opt("list", "This checklist")}
+            {opt("all", "All checklists")}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {tile("Completed", st.completed, st.reopened ? `${st.reopened} unchecked again` : "")}
+            {tile("Last 7 days", st.last7)}
+            {tile("Done late", pct(st.late, st.dated), st.dated ? `${st.late} of ${st.dated} with a due date` : "no dated items")}
+            {tile("Avg vs due date", describeLateness(st.avgDays))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="rounded-2xl border border-neutral-200 p-3">
+              <div className="font-medium text-neutral-800 mb-2">Completed per day (last 14 days)</div>
+              <BarChart data={st.perDay} title="Completed per day" />
+            </div>
+            <div className="rounded-2xl border border-neutral-200 p-3">
+              <div className="font-medium text-neutral-800 mb-2">Completed per week (from Monday)</div>
+              <BarChart data={st.perWeek} title="Completed per week" />
+            </div>
+          </div>
+
+          {st.sections.length ? (
+            <table className="w-full text-left">
+              <thead className="text-xs text-neutral-600">
+                <tr>
+                  <th className="py-1 font-medium">Section</th>
+                  <th className="py-1 font-medium text-right">Completed</th>
+                  <th className="py-1 font-medium text-right">Late</th>
+                  <th className="py-1 font-medium text-right">Avg vs due date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {st.sections.map((r) => (
+                  <tr key={`${r.list}:${r.section}`} className="border-t border-neutral-100">
+                    <td className="py-1.5">
+                      {r.section}
+                      {scope === "all" ? <span className="text-xs text-neutral-600"> · {r.list}</span> : null}
+                    </td>
+                    <td className="py-1.5 text-right">{r.completed}</td>
+                    <td className="py-1.5 text-right">{pct(r.late, r.dated)}</td>
+                    <td className="py-1.5 text-right">{describeLateness(r.avgDays)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : null}
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition disabled:opacity-50"
+            onClick={() => onExport(picked)}
+            disabled={!picked.length}
+          >
+            Export history (.csv)
+          </button>
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Archive of the active checklist: cleared items + deleted sections, newest first
+function ArchiveModal({ open, archive, archiveDays, timeZone, onRestore, onPurge, onPurgeAll, onArchiveDays, onClose }) {
+  const [query, setQuery] = useState("");
+  if (!open) return null;
+  const q = query.trim().toLowerCase();
+  const shown = archive
+    .filter((e) => !q || archiveEntryText(e).includes(q))
+    .sort((a, b) => (a.archivedAt < b.archivedAt ? 1 : a.archivedAt > b.archivedAt ? -1 : 0));
+  const rowBtn =
+    "px-2.5 py-1.5 rounded-xl text-xs font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-2xl rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Archive</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            “Clear done” and section deletes land here. Restore puts things back where they were; Purge removes them for good.
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+
+        <div className="p-4 space-y-3 text-sm text-neutral-700 max-h-[60vh] overflow-auto">
+          <input
+            type="search"
+            className="w-full rounded-xl border border-neutral-200 px-3 py-2 text-sm outline-none focus:border-neutral-400"
+            placeholder="Search the archive"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {!archive.length ? (
+            <div className="text-neutral-600">Nothing archived in this checklist.</div>
+          ) : !shown.length ? (
+            <div className="text-neutral-600">No archived entries match “{query.trim()}”.</div>
+          ) : null}
+
+          <ul className="space-y-2">
+            {shown.map((e) => {
+              const items = e.kind === "section" ? e.section.items || [] : e.items;
+              return (
+                <li key={e.id} className="rounded-2xl border border-neutral-200 p-3 flex flex-col gap-2 sm:flex-row sm:items-center">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium text-neutral-800 truncate">
+                      {e.kind === "section" ? e.section.name || "Section" : items[0].text}
+                    </div>
+                    <div className="text-xs text-neutral-600 mt-0.5">
+                      {e.kind === "section"
+                        ? `${items.length} item(s)`
+                        : `from ${e.sectionName || "Section"}${items.length > 1 ? ` · ${items.length - 1} sub-task(s)` : ""}`}
+                      {` · archived ${isoDateInZone(new Date(e.archivedAt), timeZone)}`}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Pill tone={e.kind === "section" ? "accent" : "default"}>{e.kind === "section" ? "Section" : "Item"}</Pill>
+                    <button type="button" className={rowBtn} onClick={() => onRestore(e.id)}>
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      className={`${rowBtn} border-red-200 bg-red-50 hover:bg-red-100 text-red-700`}
+                      onClick={() => onPurge(e.id)}
+                    >
+                      Purge
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex flex-wrap items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-xs text-neutral-600">
+            Auto-purge (all checklists)
+            <select
+              className="rounded-xl border border-neutral-200 bg-white px-2 py-1.5 text-xs text-neutral-800"
+              value={archiveDays}
+              onChange={(e) => onArchiveDays(Number(e.target.value))}
+            >
+              {ARCHIVE_AGES.map((n) => (
+                <option key={n} value={n}>
+                  {n ? `after ${n} days` : "never"}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              className="px-3 py-2 rounded-xl text-sm font-medium border border-red-200 bg-red-50 hover:bg-red-100 text-red-700 transition disabled:opacity-50"
+              onClick={onPurgeAll}
+              disabled={!archive.length}
+            >
+              Purge all
+            </button>
+            <button
+              type="button"
+              className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition"
+              onClick={onClose}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Short state on the Sync button; describeSync() is the full line (tooltip / dialog)
+const SYNC_BADGE = { idle: "on", syncing: "syncing", offline: "offline", error: "failed", "other-tab": "on" };
+
+function describeSync(status) {
+  const at = status.lastSync ? new Date(status.lastSync).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "";
+  const waiting = status.pending ? `${status.pending} change(s) waiting` : "";
+  if (status.state === "off") return "Off";
+  if (status.state === "syncing") return "Syncing…";
+  if (status.state === "other-tab") return "Syncing in another tab";
+  if (status.state === "offline") return `Offline${waiting ? ` — ${waiting}` : ", changes are kept until then"}`;
+  if (status.state === "error") return `Failed: ${status.error || "server error"}`;
+  return at ? `Synced ${at}${waiting ? ` · ${waiting}` : ""}` : "Not synced yet";
+}
+
+function SyncModal({ open, ...props }) {
+  if (!open) return null;
+  return <SyncDialog {...props} />; // mounted on open, so the form starts from the saved settings
+}
+
+function SyncDialog({ config, status, onSave, onSyncNow, onClose }) {
+  const [url, setUrl] = useState(config?.url || "http://localhost:8787");
+  const [space, setSpace] = useState(config?.space || "");
+  const [token, setToken] = useState(config?.token || "");
+  const cleanUrl = url.trim();
+  const cleanSpace = space.trim();
+  const valid = /^https?:\/\/\S+$/i.test(cleanUrl) && /^[\w-]{1,64}$/.test(cleanSpace);
+  const changed = !config || config.url !== cleanUrl || config.space !== cleanSpace || (config.token || "") !== token.trim();
+  const field = "w-full rounded-xl border border-neutral-200 px-3 py-2 text-sm outline-none focus:border-neutral-400";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-lg rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Sync</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            Keep checklists the same on several devices through your own server (npm run sync-server). Everything still
+            works offline; changes are sent when the server can be reached.
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+
+        <div className="p-4 space-y-3 text-sm text-neutral-700">
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Server URL</span>
+            <input className={field} value={url} onChange={(e) => setUrl(e.target.value)} placeholder="http://localhost:8787" />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Space (the same on every device; letters, digits, - and _)</span>
+            <input className={field} value={space} onChange={(e) => setSpace(e.target.value)} placeholder="home" />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Token (if the server needs one)</span>
+            <input className={field} type="password" value={token} onChange={(e) => setToken(e.target.value)} autoComplete="off" />
+          </label>
+          <div className="rounded-2xl border border-neutral-200 p-3 flex items-center justify-between gap-2">
+            <div>
+              <span className="font-medium text-neutral-800">Status:</span> {describeSync(status)}
+            </div>
+            <SmallButton onClick={onSyncNow} disabled={!config || status.state === "other-tab" || status.state === "syncing"}>
+              Sync now
+            </SmallButton>
+          </div>
+          <div className="text-xs text-neutral-600">
+            Edits made at the same time on two devices are merged; where both changed the same item, the newest edit is kept
+            and you get a note.
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex flex-wrap items-center justify-between gap-2">
+          {config ? (
+            <SmallButton tone="danger" onClick={() => onSave(null)} title="This device stops syncing; nothing is deleted">
+              Turn off
+            </SmallButton>
+          ) : (
+            <span />
+          )}
+          <div className="flex items-center gap-2">
+            <SmallButton onClick={onClose}>Close</SmallButton>
+            <SmallButton
+              tone="primary"
+              disabled={!valid || !changed}
+              onClick={() => onSave({ url: cleanUrl, space: cleanSpace, token: token.trim() })}
+            >
+              {config ? "Save" : "Turn on"}
+            </SmallButton>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const LIVE_STATUS = {
+  live: "Live",
+  connecting: "Connecting…",
+  offline: "Offline — changes are sent on reconnect",
+  error: "Cannot connect — check the relay URL",
+};
+
+// Who else has the shared checklist open (faded: tab hidden or another checklist open)
+function PresenceChips({ peers }) {
+  if (!peers.length) return null;
+  return (
+    <div className="flex -space-x-1.5" aria-label={`${peers.length} other(s) here`}>
+      {peers.slice(0, 5).map((p) => (
+        <span
+          key={p.id}
+          title={`${p.name || "Someone"}${p.away ? " (away)" : " — viewing"}`}
+          className={`h-7 w-7 rounded-full border-2 border-white text-[10px] font-semibold text-white flex items-center justify-center ${
+            p.away ? "opacity-40" : ""
+          }`}
+          style={{ backgroundColor: liveColor(p.id) }}
+        >
+          {initials(p.name)}
+        </span>
+      ))}
+      {peers.length > 5 ? (
+        <span className="h-7 w-7 rounded-full border-2 border-white bg-neutral-200 text-[10px] font-semibold text-neutral-700 flex items-center justify-center">
+          +{peers.length - 5}
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
+function LiveModal({ open, ...props }) {
+  if (!open) return null;
+  return <LiveDialog {...props} />;
+}
+
+function LiveDialog({ config, status, peers, listTitle, activeTitle, onSave, onClose }) {
+  const [url, setUrl] = useState(config?.url || "ws://localhost:8788");
+  const [room, setRoom] = useState(config?.room || "");
+  const [name, setName] = useState(config?.name || "");
+  const cleanUrl = url.trim();
+  const cleanRoom = room.trim();
+  const valid = isLiveUrl(cleanUrl) && /^[\w-]{1,64}$/.test(cleanRoom) && !!name.trim();
+  const changed = !config || config.url !== cleanUrl || config.room !== cleanRoom || config.name !== name.trim();
+  const field = "w-full rounded-xl border border-neutral-200 px-3 py-2 text-sm outline-none focus:border-neutral-400";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-lg rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Share live</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            Edit one checklist together: check-offs, new items and moves show up for everyone at once. Everyone enters the
+            same relay and room (npm run relay-server for a local one).
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+
+        <div className="p-4 space-y-3 text-sm text-neutral-700">
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Relay URL</span>
+            <input className={field} value={url} onChange={(e) => setUrl(e.target.value)} placeholder="ws://localhost:8788" />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Room (letters, digits, - and _)</span>
+            <input className={field} value={room} onChange={(e) => setRoom(e.target.value)} placeholder="morning-checks" />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-neutral-600">Your name (shown to the others)</span>
+            <input className={field} value={name} onChange={(e) => setName(e.target.value)} maxLength={40} />
+          </label>
+          {config ? (
+            <div className="rounded-2xl border border-neutral-200 p-3 space-y-2">
+              <div>
+                <span className="font-medium text-neutral-800">{LIVE_STATUS[status] || status}</span>
+                {listTitle ? ` · sharing “${listTitle}”` : ""}
+              </div>
+              {peers.length ? (
+                <ul className="space-y-1">
+                  {peers.map((p) => (
+                    <li key={p.id} className="flex items-center gap-2">
+                      <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: liveColor(p.id) }} />
+                      {p.name || "Someone"}
+                      <span className="text-xs text-neutral-500">{p.away ? "away" : "viewing"}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-xs text-neutral-600">Nobody else is here right now.</div>
+              )}
+            </div>
+          ) : (
+            <div className="text-xs text-neutral-600">
+              An empty room gets the open checklist (“{activeTitle}”); joining a room that already has one adds it here as a
+              new checklist.
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex flex-wrap items-center justify-between gap-2">
+          {config ? (
+            <SmallButton tone="danger" onClick={() => onSave(null)} title="Stop sharing; the checklist stays here as it is">
+              Leave
+            </SmallButton>
+          ) : (
+            <span />
+          )}
+          <div className="flex items-center gap-2">
+            <SmallButton onClick={onClose}>Close</SmallButton>
+            <SmallButton
+              tone="primary"
+              disabled={!valid || !changed}
+              onClick={() => onSave({ url: cleanUrl, room: cleanRoom, name: name.trim() })}
+            >
+              {config ? "Save" : "Join"}
+            </SmallButton>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Export to calendar (.ics): choose events or tasks
+function CalendarModal({ open, sections, isFiltered, onExport, onClose }) {
+  const [kind, setKind] = useState("event");
+  if (!open) return null;
+  const count = countDated(sections);
+  const opt = (id, label) => (
+    <button
+      type="button"
+      className={`px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
+        kind === id
+          ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
+          : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
+      }`}
+      onClick={() => setKind(id)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-md rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Export to calendar</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            {count} dated item(s){isFiltered ? " in the current (filtered) view" : ""} → one .ics file.
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+        <div className="p-4 space-y-3 text-sm text-neutral-700">
+          <div className="flex flex-wrap gap-2">
+            {opt("event", "Events")}
+            {opt("todo", "Tasks")}
+          </div>
+          <div className="text-xs text-neutral-600">
+            {kind === "event"
+              ? "All-day events (timed if the item has a due time). Works with Google, Outlook and Apple Calendar."
+              : "To-dos with due date and done status (VTODO). Supported by Apple Reminders, Thunderbird and others."}{" "}
+            Importing the file again updates the same entries instead of adding duplicates.
+          </div>
+        </div>
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={!count}
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onExport(kind)}
+          >
+            Download .ics
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Export the active checklist: JSON backup (everything), Markdown task list (copy or download)
+// or CSV for spreadsheets (current view or everything)
+function ExportModal({ open, isFiltered, viewCount, totalCount, archiveCount, onExport, onCopy, onClose }) {
+  const [format, setFormat] = useState("json");
+  const [scope, setScope] = useState("view");
+  const [includeArchive, setIncludeArchive] = useState(true);
+  if (!open) return null;
+  const csvScope = isFiltered ? scope : "all";
+  const opt = (value, current, set, label) => (
+    <button
+      type="button"
+      className={`px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
+        current === value
+          ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
+          : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
+      }`}
+      onClick={() => set(value)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-md rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100">
+          <div className="text-lg font-semibold text-neutral-800">Export checklist</div>
+          <div className="text-sm text-neutral-700 mt-1">
+            {format === "csv"
+              ? `${csvScope === "view" ? viewCount : totalCount} item(s) → one row each.`
+              : "The whole checklist, not just the current view."}
+          </div>
+          <div className="mt-3 h-[2px] w-40 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+        </div>
+        <div className="p-4 space-y-3 text-sm text-neutral-700">
+          <div className="flex flex-wrap gap-2">
+            {opt("json", format, setFormat, "JSON backup")}
+            {opt("markdown", format, setFormat, "Markdown")}
+            {opt("csv", format, setFormat, "CSV")}
+          </div>
+          {format === "csv" && isFiltered ? (
+            <div className="flex flex-wrap gap-2">
+              {opt("view", scope, setScope, "Current view")}
+              {opt("all", scope, setScope, "Everything")}
+            </div>
+          ) : null}
+          {format === "json" && archiveCount ? (
+            <label className="flex items-center gap-2 cursor-pointer select-none">
+              <Checkbox checked={includeArchive} onChange={setIncludeArchive} />
+              <span>Include the archive ({archiveCount} entr{archiveCount === 1 ? "y" : "ies"})</span>
+            </label>
+          ) : null}
+          <div className="text-xs text-neutral-600">
+            {format === "json"
+              ? "Everything (repeats, reminders, ids) — use it to back up or move to another device."
+              : format === "markdown"
+                ? "GitHub-style task list: “## Section”, “- [ ]” / “- [x]” items and “(due YYYY-MM-DD)”. Import it again, or paste it into the app to add items."
+                : "Columns: section, text, done, dueDate, overdue, id, parentId (for sub-tasks). Opens in Excel, Numbers and Google Sheets; import it again to bulk-load edits."}
+          </div>
+        </div>
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          {format === "markdown" ? (
+            <button
+              type="button"
+              className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+              onClick={onCopy}
+            >
+              Copy
+            </button>
+          ) : null}
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600 transition"
+            onClick={() => onExport(format, csvScope, includeArchive)}
+          >
+            Download {format === "json" ? ".json" : format === "markdown" ? ".md" : ".csv"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Template library: save the checklist or one section, then use it to add a checklist / section
+function TemplatesModal({ open, templates, title, sections, today, onSave, onUse, onRename, onDelete, onExport, onImport, onClose }) {
+  const [source, setSource] = useState("list"); // "list" | section id
+  const [name, setName] = useState("");
+  const [clearDone, setClearDone] = useState(true);
+  const [dropDates, setDropDates] = useState(false);
+  const [saveStart, setSaveStart] = useState("");
+  const [useStart, setUseStart] = useState("");
+  if (!open) return null;
+
+  const section = sections.find((s) => s.id === source);
+  const picked = section ? [section] : sections;
+  const defaultName = section ? section.name : title || DEFAULT_TITLE;
+  const hasDates = !!earliestDue(picked);
+  const start = saveStart || earliestDue(picked) || today;
+  const useFrom = useStart || today;
+
+  const rowBtn =
+    "px-2.5 py-1.5 rounded-xl text-xs font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition disabled:opacity-50 disabled:cursor-not-allowed";
+  const toggle = (checked, onChange, label) => (
+    <label className="flex items-center gap-2 cursor-pointer select-none">
+      <Checkbox checked={checked} onChange={onChange} />
+      <span>{label}</span>
+    </label>
+  );
+
+  const save = () => {
+    onSave({
+      name: name.trim() || defaultName,
+      kind: section ? "section" : "list",
+      title: title || DEFAULT_TITLE,
+      sections: picked,
+      start,
+      keepDone: !clearDone,
+      keepDates: !dropDates,
+    });
+    setName("");
+    setSaveStart("");
+  };
+
+  const summary = (t) => {
+    const items = t.sections.flatMap((s) => s.items);
+    const offsets = items.map((it) => it.dueOffset).filter((n) => n != null);
+    const span = offsets.length
+      ? ` • due ${describeOffset(Math.min(...offsets))}${
+          Math.max(...offsets) !== Math.min(...offsets) ? ` … ${describeOffset(Math.max(...offsets))}` : ""
+        }`
+      : "";
+    return `${t.kind === "list" ? `${t.sections.length} section(s), ` : ""}${items.length} item(s)${span}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-2xl rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100 flex items-start justify-between gap-4">
+          <div>
+            <div className="text-lg font-semibold text-neutral-800">Templates</div>
+            <div className="text-sm text-neutral-700 mt-1">
+              Reuse checklists you run again and again (onboarding, release, end-of-day close).
+            </div>
+            <div className="mt-3 h-[2px] w-52 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+          </div>
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm text-neutral-700 max-h-[60vh] overflow-auto">
+          <div className="rounded-2xl border border-neutral-200 p-3 space-y-3">
+            <div className="font-semibold text-neutral-800">Save as template</div>
+            <div className="flex flex-col gap-2 sm:flex-row">
+              <select
+                className={`${inputBase} mt-0 sm:w-56`}
+                value={source}
+                onChange={(e) => {
+                  setSource(e.target.value);
+                  setSaveStart("");
+                }}
+              >
+                <option value="list">Whole checklist</option>
+                {sections.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    Section: {s.name || "Untitled"}
+                  </option>
+                ))}
+              </select>
+              <input
+                className={`${inputBase} mt-0`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => (e.key === "Enter" ? save() : null)}
+                placeholder={defaultName}
+                data-native-undo
+              />
+              <SmallButton tone="primary" onClick={save} className="shrink-0">
+                Save
+              </SmallButton>
+            </div>
+            <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+              {toggle(clearDone, setClearDone, "Clear done")}
+              {toggle(dropDates, setDropDates, "Drop due dates")}
+              {!dropDates && hasDates ? (
+                <label className="flex items-center gap-2">
+                  <span>Due dates relative to</span>
+                  <input
+                    type="date"
+                    className={`${inputBase} mt-0 w-auto py-1`}
+                    value={start}
+                    onChange={(e) => setSaveStart(e.target.value)}
+                  />
+                </label>
+              ) : null}
+            </div>
+          </div>
+
+          {templates.length ? (
+            <label className="flex items-center gap-2">
+              <span>Start date when used</span>
+              <input
+                type="date"
+                className={`${inputBase} mt-0 w-auto py-1`}
+                value={useFrom}
+                onChange={(e) => setUseStart(e.target.value)}
+              />
+            </label>
+          ) : (
+            <div className="text-neutral-600">No templates yet — save this checklist or one of its sections above.</div>
+          )}
+
+          <ul className="space-y-2">
+            {templates.map((t) => (
+              <li key={t.id} className="rounded-2xl border border-neutral-200 p-3 flex flex-col gap-2 sm:flex-row sm:items-center">
+                <div className="flex-1 min-w-0">
+                  <input
+                    className="w-full font-medium text-neutral-800 bg-transparent outline-none"
+                    value={t.name}
+                    onChange={(e) => onRename(t.id, e.target.value)}
+                  />
+                  <div className="text-xs text-neutral-600 mt-0.5">{summary(t)}</div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <Pill tone={t.kind === "list" ? "accent" : "default"}>{t.kind === "list" ? "Checklist" : "Section"}</Pill>
+                  <button
+                    type="button"
+                    className={rowBtn}
+                    onClick={() => onUse(t.id, useFrom)}
+                    title={t.kind === "list" ? "Create a new checklist from this template" : "Add this section to the current checklist"}
+                  >
+                    {t.kind === "list" ? "New checklist" : "Add section"}
+                  </button>
+                  <button type="button" className={rowBtn} onClick={() => onExport([t.id])}>
+                    Export
+                  </button>
+                  <button
+                    type="button"
+                    className={`${rowBtn} border-red-200 bg-red-50 hover:bg-red-100 text-red-700`}
+                    onClick={() => onDelete(t.id)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-between gap-2">
+          <div className="text-xs text-neutral-600">Template files can be shared and imported on another device.</div>
+          <div className="flex items-center gap-2">
+            <label className={`${btnSecondary} cursor-pointer`}>
+              Import
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  onImport(e.target.files?.[0] || null);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <SmallButton onClick={() => onExport(templates.map((t) => t.id))} disabled={!templates.length}>
+              Export all
+            </SmallButton>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Checklists manager (workspace)
+function ListsModal({ open, lists, activeId, onSelect, onCreate, onRename, onDuplicate, onArchive, onDelete, onExportAll, onClose }) {
+  const [newTitle, setNewTitle] = useState("");
+  if (!open) return null;
+
+  const activeCount = lists.filter((l) => !l.archived).length;
+  const rowBtn =
+    "px-2.5 py-1.5 rounded-xl text-xs font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition disabled:opacity-50 disabled:cursor-not-allowed";
+
+  const create = () => {
+    onCreate(newTitle.trim() || `Checklist ${lists.length + 1}`);
+    setNewTitle("");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-2xl rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-neutral-100 flex items-start justify-between gap-4">
+          <div>
+            <div className="text-lg font-semibold text-neutral-800">Checklists</div>
+            <div className="text-sm text-neutral-700 mt-1">Each checklist keeps its own title, sections and items.</div>
+            <div className="mt-3 h-[2px] w-52 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+          </div>
+          <button
+            type="button"
+            className="px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800 transition"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm text-neutral-700 max-h-[60vh] overflow-auto">
+          <div className="flex items-center gap-2">
+            <input
+              className={`${inputBase} mt-0`}
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              onKeyDown={(e) => (e.key === "Enter" ? create() : null)}
+              placeholder="New checklist name..."
+              data-native-undo
+            />
+            <SmallButton tone="primary" onClick={create} className="shrink-0">
+              New list
+            </SmallButton>
+          </div>
+
+          <ul className="space-y-2">
+            {lists.map((l) => (
+              <li
+                key={l.id}
+                className={`rounded-2xl border p-3 flex flex-col gap-2 sm:flex-row sm:items-center ${
+                  l.id === activeId ? "border-lime-300 bg-lime-50/40" : "border-neutral-200"
+                }`}
+              >
+                <input
+                  className="flex-1 min-w-0 font-medium text-neutral-800 bg-transparent outline-none"
+                  value={l.title}
+                  onChange={(e) => onRename(l.id, e.target.value)}
+                />
+                <div className="flex flex-wrap items-center gap-2">
+                  {l.archived ? <Pill>Archived</Pill> : null}
+                  <button
+                    type="button"
+                    className={rowBtn}
+                    onClick={() => onSelect(l.id)}
+                    disabled={l.id === activeId || l.archived}
+                  >
+                    {l.id === activeId ? "Open" : "Switch"}
+                  </button>
+                  <button type="button" className={rowBtn} onClick={() => onDuplicate(l.id)}>
+                    Duplicate
+                  </button>
+                  <button
+                    type="button"
+                    className={rowBtn}
+                    onClick={() => onArchive(l.id, !l.archived)}
+                    disabled={!l.archived && activeCount === 1}
+                    title={!l.archived && activeCount === 1 ? "Keep at least one active checklist" : ""}
+                  >
+                    {l.archived ? "Unarchive" : "Archive"}
+                  </button>
+                  <button
+                    type="button"
+                    className={`${rowBtn} border-red-200 bg-red-50 hover:bg-red-100 text-red-700`}
+                    onClick={() => onDelete(l.id)}
+                    disabled={lists.length === 1 || (!l.archived && activeCount === 1)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="p-4 border-t border-neutral-100 flex items-center justify-between gap-2">
+          <div className="text-xs text-neutral-600">Export all saves every checklist (including archived) in one file.</div>
+          <SmallButton onClick={onExportAll}>Export all</SmallButton>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Saved data is read (migrated + validated) once, asynchronously; the app renders when it is there
+export default function App() {
+  const [boot, setBoot] = useState(null);
+  const [failed, setFailed] = useState(null);
+  useEffect(() => {
+    let live = true;
+    openWorkspaceOnce()
+      .then((b) => live && setBoot(b))
+      .catch((e) => live && setFailed(e));
+    return () => {
+      live = false;
+    };
+  }, []);
+  if (failed) {
+    return (
+      <div role="alert" className="min-h-screen bg-neutral-50 p-8 text-sm text-red-800">
+        Check-It could not open its saved data: {failed.message || String(failed)}. Reload to try again.
+      </div>
+    );
+  }
+  if (!boot) return <div className="min-h-screen bg-neutral-50" />;
+  return <CheckIt boot={boot} />;
+}
+
+function CheckIt({ boot }) {
+  // Workspace (many checklists); title/sections below always refer to the active list
+  // Anything repaired while loading is listed in a modal
+  const [problems, setProblems] = useState(() =>
+    boot.problems.length
+      ? { title: "Saved data was repaired", message: "Some saved data had to be fixed while loading.", problems: boot.problems }
+      : null
+  );
+
+  // Every change made through setWorkspace/setSections/setTitle is undoable
+  const [workspace, setWorkspace, history] = useHistoryState(() =>
+    purgeOldArchives(rollRecurringWorkspace(boot.workspace, todayISO(boot.workspace.settings?.timeZone)))
+  );
+  const activeList = workspace.lists.find((l) => l.id === workspace.activeId) || workspace.lists[0];
+  const title = activeList.title;
+  const sections = activeList.sections;
+
+  // "Today" in the chosen zone; the minute clock below re-renders so it flips at local midnight
+  const timeZone = workspace.settings?.timeZone || "";
+  const includeNotes = workspace.settings?.includeNotes !== false;
+  const [, setClock] = useState(0);
+  const today = todayISO(timeZone);
+
+  const updateActiveList = (fn, opts) =>
+    setWorkspace((ws) => ({ ...ws, lists: ws.lists.map((l) => (l.id === ws.activeId ? fn(l) : l)) }), opts);
+
+  const setTitle = (next, opts = { merge: "title" }) =>
+    updateActiveList((l) => ({ ...l, title: typeof next === "function" ? next(l.title) : next }), opts);
+
+  const setSections = (next, opts) =>
+    updateActiveList((l) => ({ ...l, sections: typeof next === "function" ? next(l.sections) : next }), opts);
+
+  // Help
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [listsOpen, setListsOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false); // Ctrl+K
+
+  // Search + filter
+  const [search, setSearch] = useState("");
+  const [filter, setFilter] = useState(EMPTY_FILTER); // filter builder: tags, status, due, priority, section
+  const [sortMode, setSortMode] = useState("manual"); // manual | due | status | alpha
+  const [groupMode, setGroupMode] = useState("sections"); // sections | due
+  const manualOrder = sortMode === "manual" && groupMode === "sections"; // drag & indent only make sense here
+  const viewModeLabel = [
+    groupMode === "due" ? "Grouped by due date" : "",
+    sortMode !== "manual" ? `Sorted: ${SORT_MODES.find((m) => m.id === sortMode).label}` : "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [detailsOpen, setDetailsOpen] = useState(() => new Set()); // item ids with the note / priority panel open
+  const [toast, setToast] = useState(null);
+  const toastTimer = useRef(null);
+
+  const [confirm, setConfirm] = useState({ open: false, sectionId: null });
+  const [listConfirm, setListConfirm] = useState({ open: false, listId: null });
+
+  // Pending import: { fileName, kind: "list" | "workspace", data } until the user picks a mode
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // Reminders that fired and are waiting for Open / Snooze / Dismiss
+  const [alerts, setAlerts] = useState([]);
+  const [flashItemId, setFlashItemId] = useState(null);
+  const [importMode, setImportMode] = useState("replace");
+
+  // Drag & drop uses pointer events (native HTML5 drag does not fire on touch screens)
+  // dragRef: { kind: "item", sectionId, itemId } | { kind: "section", sectionId }
+  const dragRef = useRef(null);
+  const [dragOver, setDragOver] = useState(null); // { sectionId, itemId } for items | { sectionIndex } for sections
+  const [dragging, setDragging] = useState(null); // id of the dragged item/section (dimmed while dragging)
+
+  // notify(msg, { undo: true }) adds an “Undo” action to the toast (and keeps it up longer)
+  const notify = (msg, opts = {}) => {
+    setToast({ msg, undo: !!opts.undo });
+    if (toastTimer.current) clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setToast(null), opts.undo ? 5000 : 2000);
+  };
+
+  const undo = () => {
+    if (!history.canUndo) return;
+    history.undo();
+    notify("Undone");
+  };
+
+  const redo = () => {
+    if (!history.canRedo) return;
+    history.redo();
+    notify("Redone");
+  };
+
+  // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo (fields marked data-native-undo keep the browser's own);
+  // Ctrl/Cmd+K = command palette, from anywhere
+  const { undo: historyUndo, redo: historyRedo } = history;
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const k = e.key.toLowerCase();
+      if (k === "k" && !e.shiftKey) {
+        e.preventDefault();
+        setPaletteOpen(true);
+        return;
+      }
+      if (e.target?.closest?.("[data-native-undo]")) return;
+      if (k === "z") {
+        e.preventDefault();
+        if (e.shiftKey) historyRedo();
+        else historyUndo();
+      } else if (k === "y" && !e.shiftKey) {
+        e.preventDefault();
+        historyRedo();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [historyUndo, historyRedo]);
+
+  // Offline app: a new build is installed in the background and waits until the user picks Reload
+  // (the first install only makes the app work offline — nothing to reload)
+  const [updateWorker, setUpdateWorker] = useState(null);
+  useEffect(() => registerServiceWorker(setUpdateWorker), []);
+
+  const reloadForUpdate = () => {
+    navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+    updateWorker.postMessage({ type: "SKIP_WAITING" });
+  };
+
+  // Paste a Markdown task list (or plain lines) anywhere outside a text field to add items.
+  // Loose items land in the section that has focus; "## Name" headings go to that section (created if missing).
+  // In a one-line field only multi-line task lists are taken over — ordinary pastes stay native; free text
+  // (notes and other textareas) always keeps its own paste.
+  const pasteRef = useRef(null);
+  useEffect(() => {
+    pasteRef.current = (text, target) => {
+      const parsed = parseTaskList(text);
+      const count = countItems(parsed.sections);
+      if (!count) return false;
+      const sectionId = target?.closest?.("[data-section-id]")?.dataset.sectionId;
+      setSections((prev) => pasteIntoSections(prev, parsed, sectionId));
+      notify(`Pasted ${count} item(s)`, { undo: true });
+      return true;
+    };
+  });
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (e.target?.closest?.("textarea, [contenteditable]")) return;
+      const text = e.clipboardData?.getData("text/plain") || "";
+      const field = e.target?.closest?.("input, select");
+      if (field && !(text.includes("\n") && text.split("\n").some((l) => MD_TASK.test(l)))) return;
+      if (pasteRef.current?.(text, e.target)) e.preventDefault();
+    };
+    document.addEventListener("paste", onPaste);
+    return () => document.removeEventListener("paste", onPaste);
+  }, []);
+
+  // Debounced, per-checklist writes (IndexedDB); a failed save shows a banner until a later save succeeds.
+  // Saves from other tabs are merged in live; items both tabs edited are listed in a warning.
+  const autosave = useAutosave(boot.storage, workspace, setWorkspace, boot);
+  const sync = useSync(workspace, setWorkspace);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const live = useLive(workspace, setWorkspace);
+  const [liveOpen, setLiveOpen] = useState(false);
+  const liveList = workspace.lists.find((l) => l.id === live.listId);
+  const conflicts = [...autosave.conflicts, ...sync.conflicts];
+  const dismissConflicts = () => {
+    autosave.dismissConflicts();
+    sync.dismissConflicts();
+  };
+
+  // Reminders: checked every 15 s against the latest workspace (read through a ref so the timer is set once)
+  const workspaceRef = useRef(workspace);
+  useEffect(() => {
+    workspaceRef.current = workspace;
+  }, [workspace]);
+
+  const goToItem = useCallback(
+    ({ listId, itemId }) => {
+      setWorkspace((ws) => ({ ...ws, activeId: listId }), { track: false });
+      setSearch("");
+      setFilter(EMPTY_FILTER);
+      setFlashItemId(itemId);
+      setTimeout(() => {
+        const el = document.getElementById(`item-${itemId}`);
+        el?.scrollIntoView({ block: "center", behavior: "smooth" });
+        el?.querySelector("input")?.focus({ preventScroll: true });
+      }, 50);
+      setTimeout(() => setFlashItemId(null), 2500);
+    },
+    [setWorkspace]
+  );
+
+  useEffect(() => {
+    const check = () => {
+      const fired = dueReminders(workspaceRef.current, Date.now());
+      if (!fired.length) return;
+      const byKey = new Map(fired.map((f) => [f.itemId, f.key]));
+      setWorkspace(
+        (ws) => ({
+          ...ws,
+          lists: ws.lists.map((l) => ({
+            ...l,
+            sections: l.sections.map((s) => ({
+              ...s,
+              items: (s.items || []).map((it) => (byKey.has(it.id) ? { ...it, notifiedFor: byKey.get(it.id) } : it)),
+            })),
+          })),
+        }),
+        { track: false }
+      );
+
+      const due = (f) => {
+        const it = workspaceRef.current.lists
+          .find((l) => l.id === f.listId)
+          ?.sections.flatMap((s) => s.items || [])
+          .find((x) => x.id === f.itemId);
+        return it ? formatDue(it) : "";
+      };
+      const entries = fired.map((f) => ({ ...f, due: due(f) }));
+      setAlerts((prev) => [...prev.filter((a) => !byKey.has(a.itemId)), ...entries]);
+
+      if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+        // A burst (e.g. after the laptop wakes) becomes one summary notification
+        const shown = entries.length > 3 ? [{ ...entries[0], text: `${entries.length} reminders are due`, due: "" }] : entries;
+        for (const e of shown) {
+          try {
+            const n = new Notification(`Check-It • ${e.listTitle || DEFAULT_TITLE}`, {
+              body: e.due ? `${e.text}\nDue ${e.due}` : e.text,
+              tag: e.itemId,
+            });
+            n.onclick = () => {
+              window.focus();
+              goToItem(e);
+              n.close();
+            };
+          } catch {
+            // some mobile browsers only allow notifications from a service worker; the in-app alert still shows
+          }
+        }
+      }
+    };
+    const timer = setInterval(check, 15 * 1000);
+    const first = setTimeout(check, 1000);
+    return () => {
+      clearInterval(timer);
+      clearTimeout(first);
+    };
+  }, [setWorkspace, goToItem]);
+
+  const dismissAlert = (a) => setAlerts((prev) => prev.filter((x) => x.key !== a.key));
+
+  const snoozeAlert = (a, minutes) => {
+    const until = minutesFromNowISO(minutes);
+    setWorkspace((ws) => patchWorkspaceItem(ws, a.listId, a.itemId, { snoozedUntil: until }), { track: false });
+    dismissAlert(a);
+    notify(`Snoozed ${minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`}`);
+  };
+
+  const openAlert = (a) => {
+    dismissAlert(a);
+    goToItem(a);
+  };
+
+  // Alerts disappear once their item is done or deleted
+  const visibleAlerts = alerts.filter((a) => {
+    const l = workspace.lists.find((x) => x.id === a.listId);
+    const it = l?.sections.flatMap((s) => s.items || []).find((x) => x.id === a.itemId);
+    return it && !it.done;
+  });
+
+  // Clock + recurring items + archive auto-purge: re-check once a minute and when the tab comes back
+  // (the day may have rolled over)
+  useEffect(() => {
+    const roll = () => {
+      setClock((n) => n + 1);
+      setWorkspace((ws) => purgeOldArchives(rollRecurringWorkspace(ws, todayISO(ws.settings?.timeZone))), { track: false });
+    };
+    const onVisible = () => {
+      if (document.visibilityState === "visible") roll();
+    };
+    const timer = setInterval(roll, 60 * 1000);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [setWorkspace]);
+
+  // Totals count leaf items: a parent with sub-tasks is as done as its sub-tasks
+  const totals = useMemo(() => totalsOf(sections, today), [sections, today]);
+  const sectionTotals = useMemo(() => sectionTotalsOf(sections, today), [sections, today]);
+
+  // Per section: depth of each item + { done, total } of each parent's sub-tasks (from the unfiltered items)
+  const trees = useMemo(
+    () =>
+      new Map(
+        sections.map((s) => {
+          const depth = itemDepths(s.items || []);
+          return [s.id, { depth, progress: rollup(s.items || []), canIndent: indentable(s.items || [], depth) }];
+        })
+      ),
+    [sections]
+  );
+
+  // Filtered sections (for display/preview)
+  // A section picked in the filter hides the other sections; a section of another checklist is ignored
+  const filteredSections = useMemo(() => {
+    const terms = parseQuery(search);
+    const onlySection = sections.some((s) => s.id === filter.sectionId) ? filter.sectionId : "";
+
+    // A matching sub-task brings its parents along, so it is shown in context
+    return sections.filter((s) => !onlySection || s.id === onlySection).map((s) => {
+      const items = s.items || [];
+      const ctx = { today, section: s.name };
+      const keep = new Set(
+        items.filter((it) => matchesFilter(it, filter, today) && matchesQuery(it, terms, ctx)).map((it) => it.id)
+      );
+      for (let i = items.length - 1; i >= 0; i -= 1) {
+        if (keep.has(items[i].id) && items[i].parentId) keep.add(items[i].parentId);
+      }
+      return { ...s, items: items.filter((it) => keep.has(it.id)) };
+    });
+  }, [sections, search, filter, today]);
+
+  const isFiltered = useMemo(() => !!search.trim() || !isEmptyFilter(filter), [search, filter]);
+
+  // What the list, print preview and email show: the filtered items sorted / grouped by the view mode
+  const displaySections = useMemo(
+    () =>
+      groupMode === "due"
+        ? groupByDue(filteredSections, today, sortMode)
+        : filteredSections.map((s) => ({ ...s, items: sortItems(s.items || [], sortMode) })),
+    [filteredSections, groupMode, sortMode, today]
+  );
+
+  // Section of every item (due buckets mix sections)
+  const sectionOfItem = useMemo(
+    () => new Map(sections.flatMap((s) => (s.items || []).map((it) => [it.id, s]))),
+    [sections]
+  );
+
+  // Every tag used in this checklist, for the filter chips and the tag input suggestions
+  const allTags = useMemo(
+    () => [...new Set(sections.flatMap((s) => (s.items || []).flatMap((it) => it.tags || [])))].sort(),
+    [sections]
+  );
+
+  const filteredTotals = useMemo(() => {
+    let total = 0;
+    for (const s of filteredSections) total += leafItems(s.items || []).length;
+    return { total };
+  }, [filteredSections]);
+
+  const filteredSectionTotals = useMemo(() => sectionTotalsOf(filteredSections, today), [filteredSections, today]);
+
+  // build plain-text email summary of CURRENT VIEW (filtered)
+  const buildEmailText = () => {
+    const lines = [];
+    const now = new Date();
+    const iso = today;
+
+    lines.push(`ToolStack • Check-It`);
+    lines.push(`Title: ${title || "Check-It"}`);
+    lines.push(`Date: ${iso}`);
+    lines.push(`Generated: ${now.toLocaleString()}`);
+    lines.push("");
+    lines.push(
+      `Summary: ${totals.done}/${totals.total} completed${totals.overdue ? ` • ${totals.overdue} overdue` : ""}`
+    );
+    if (isFiltered) {
+      const view = [describeFilter(filter, sections), search.trim() && `“${search.trim()}”`].filter(Boolean).join(" • ");
+      lines.push(`View: ${view} • Showing ${filteredTotals.total} item(s)`);
+    }
+    if (!manualOrder) lines.push(`Order: ${viewModeLabel}`);
+    lines.push("");
+
+    for (const s of displaySections) {
+      const items = s.items || [];
+      if (!items.length) continue;
+      const stAll = sectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
+      const stShown =
+        filteredSectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
+
+      lines.push(`== ${s.name} ==`);
+      if (s.group) lines.push(`Items: ${items.length}`);
+      else lines.push(isFiltered ? `Showing: ${stShown.total}/${stAll.total}` : `Items: ${stAll.total}`);
+      const { depth, progress } = trees.get(s.id) || { depth: new Map(), progress: new Map() };
+      for (const it of items) {
+        const p = s.group ? trees.get(sectionOfItem.get(it.id)?.id)?.progress.get(it.id) : progress.get(it.id);
+        const mark = it.done ? "[x]" : p?.done ? "[-]" : "[ ]";
+        const due = it.dueDate ? ` (due ${formatDue(it)})` : "";
+        const prio = it.priority ? ` [${priorityOf(it.priority).label} priority]` : "";
+        const tags = (it.tags || []).map((t) => ` #${t}`).join("");
+        const pad = "    ".repeat(depth.get(it.id) || 0);
+        const where = s.group ? ` — ${sectionOfItem.get(it.id)?.name || ""}` : "";
+        lines.push(`${pad}${mark} ${it.text}${due}${prio}${tags}${where}`);
+        if (includeNotes) lines.push(...noteTextLines(it.note, pad));
+      }
+      lines.push("");
+    }
+
+    lines.push(`Link: https://toolstack-check-it.vercel.app`);
+    return lines.join("\n");
+  };
+
+  const emailCurrentView = () => {
+    const subject = `ToolStack Check-It: ${title || "Checklist"} (${today})`;
+    const body = buildEmailText();
+    const mailto = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    window.location.href = mailto;
+  };
+
+  const addSection = () => {
+    setSections((prev) => [
+      ...prev,
+      { id: uid(), name: `Section ${prev.length + 1}`, items: [], updatedAt: nowISO() },
+    ]);
+    notify("Section added");
+  };
+
+  const renameSection = (id, name) => {
+    setSections((prev) => prev.map((s) => (s.id === id ? { ...s, name, updatedAt: nowISO() } : s)), {
+      merge: `section-name:${id}`,
+    });
+  };
+
+  const requestDeleteSection = (id) => {
+    if (sections.length === 1) return;
+    setConfirm({ open: true, sectionId: id });
+  };
+
+  const deleteSectionNow = () => {
+    const id = confirm.sectionId;
+    updateActiveList((l) => archiveSection(l, id));
+    setConfirm({ open: false, sectionId: null });
+    notify("Section moved to the archive", { undo: true });
+  };
+
+  // New items start empty (the field shows a "New item" placeholder) and get the focus, ready to type.
+  // With `afterId` the item goes right below that item (after its sub-tasks) at the same level.
+  const addItem = (sectionId, afterId = null) => {
+    const item = { id: uid(), text: "", done: false, dueDate: "", updatedAt: nowISO() };
+    updateSectionItems(sectionId, (items) => {
+      const i = afterId ? items.findIndex((it) => it.id === afterId) : -1;
+      if (i < 0) return [...items, item];
+      const end = subtreeEnd(items, i);
+      const parentId = items[i].parentId;
+      return syncParents([...items.slice(0, end), parentId ? { ...item, parentId } : item, ...items.slice(end)]);
+    });
+    focusItemLater(item.id, true);
+    notify("Item added");
+  };
+
+  const updateItem = (sectionId, itemId, patch) => {
+    setSections(
+      (prev) =>
+        prev.map((s) =>
+          s.id === sectionId
+            ? {
+                ...s,
+                items: (s.items || []).map((it) => (it.id === itemId ? { ...it, ...patch, updatedAt: nowISO() } : it)),
+              }
+            : s
+        ),
+      "text" in patch ? { merge: `item-text:${itemId}` } : "note" in patch ? { merge: `item-note:${itemId}` } : undefined
+    );
+  };
+
+  // Setting a rule on an undated item gives it its first due date so rollover has an anchor
+  const setItemRepeat = (sectionId, it, repeat) => {
+    const rule = normalizeRepeat(repeat);
+    const patch = { repeat: rule };
+    if (rule && !isISODate(it.dueDate)) patch.dueDate = firstOccurrence(rule, today);
+    updateItem(sectionId, it.id, patch);
+  };
+
+  // Any change to when an item is due clears its snooze (so the new reminder time applies)
+  const setItemSchedule = (sectionId, itemId, patch) => {
+    updateItem(sectionId, itemId, { ...patch, snoozedUntil: undefined });
+  };
+
+  const setItemReminder = (sectionId, itemId, remind) => {
+    setItemSchedule(sectionId, itemId, { remind: remind || undefined });
+    if (remind && typeof Notification !== "undefined" && Notification.permission === "default") {
+      Notification.requestPermission().catch(() => {});
+    }
+  };
+
+  // Deleting a parent deletes its sub-tasks too
+  const deleteItem = (sectionId, itemId) => {
+    const items = sections.find((s) => s.id === sectionId)?.items || [];
+    const index = items.findIndex((it) => it.id === itemId);
+    const count = index < 0 ? 0 : subtreeEnd(items, index) - index;
+    setSections((prev) =>
+      prev.map((s) => {
+        if (s.id !== sectionId) return s;
+        const i = s.items.findIndex((it) => it.id === itemId);
+        if (i < 0) return s;
+        return { ...s, items: syncParents([...s.items.slice(0, i), ...s.items.slice(subtreeEnd(s.items, i))]) };
+      })
+    );
+    notify(count > 1 ? `Item and ${count - 1} sub-task(s) deleted` : "Item deleted", { undo: true });
+  };
+
+  /* Sub-tasks */
+  const updateSectionItems = (sectionId, fn) =>
+    setSections((prev) => prev.map((s) => (s.id === sectionId ? { ...s, items: fn(s.items || []) } : s)));
+
+  // Checking a parent checks all its sub-tasks; the last sub-task checked completes the parent.
+  // Logged in the completion history in the same update, so Undo takes both back.
+  const setItemDone = (sectionId, itemId, done) =>
+    setWorkspace((ws) => {
+      const list = ws.lists.find((l) => l.id === ws.activeId);
+      const section = list?.sections.find((s) => s.id === sectionId);
+      if (!section) return ws;
+      const items = setDoneWithChildren(section.items || [], itemId, done);
+      const events = completionEvents(list, section, section.items || [], items);
+      const sections = list.sections.map((s) => (s.id === sectionId ? { ...s, items } : s));
+      return {
+        ...ws,
+        lists: ws.lists.map((l) => (l.id === list.id ? { ...l, sections } : l)),
+        completions: [...(ws.completions || []), ...events].slice(-COMPLETIONS_MAX),
+      };
+    });
+
+  const indent = (sectionId, itemId) => updateSectionItems(sectionId, (items) => indentItem(items, itemId));
+
+  const outdent = (sectionId, itemId) => updateSectionItems(sectionId, (items) => outdentItem(items, itemId));
+
+  const addSubtask = (sectionId, parentId) => {
+    const item = { id: uid(), text: "", done: false, dueDate: "", parentId, updatedAt: nowISO() };
+    updateSectionItems(sectionId, (items) => {
+      const i = items.findIndex((it) => it.id === parentId);
+      if (i < 0) return items;
+      const end = subtreeEnd(items, i);
+      return syncParents([...items.slice(0, end), item, ...items.slice(end)]);
+    });
+    focusItemLater(item.id, true);
+    notify("Sub-task added");
+  };
+
+  const setTimeZone = (tz) => {
+    setWorkspace((ws) => ({ ...ws, settings: { ...ws.settings, timeZone: tz } }));
+  };
+
+  // Tags: typed as "errand, #client-x" (Enter / comma / leaving the field adds them)
+  const addItemTags = (sectionId, it, text) => {
+    const tags = parseTags([...(it.tags || []), ...parseTags(text)].join(" "));
+    if (tags.length !== (it.tags || []).length) updateItem(sectionId, it.id, { tags });
+  };
+
+  const removeItemTag = (sectionId, it, tag) => {
+    const tags = (it.tags || []).filter((t) => t !== tag);
+    updateItem(sectionId, it.id, { tags: tags.length ? tags : undefined });
+  };
+
+  const toggleFilterTag = (tag) =>
+    setFilter((f) => ({ ...f, tags: f.tags.includes(tag) ? f.tags.filter((t) => t !== tag) : [...f.tags, tag] }));
+
+  // Saved views (workspace-wide, so they work for every checklist; a section pick only applies to its own list)
+  const views = workspace.views || [];
+  const [viewName, setViewName] = useState("");
+
+  const saveView = () => {
+    const name = viewName.trim() || describeFilter(filter, sections) || search.trim() || `View ${views.length + 1}`;
+    const existing = views.find((v) => v.name.toLowerCase() === name.toLowerCase());
+    const view = { id: existing?.id || uid(), name, filter, search: search.trim() };
+    setWorkspace((ws) => ({ ...ws, views: mergeById(ws.views, [view]) }));
+    setViewName("");
+    notify(existing ? `View “${name}” updated` : `View “${name}” saved`);
+  };
+
+  const applyView = (view) => {
+    setFilter(view.filter);
+    setSearch(view.search);
+  };
+
+  const deleteView = (id) => {
+    setWorkspace((ws) => ({ ...ws, views: (ws.views || []).filter((v) => v.id !== id) }));
+    notify("View deleted", { undo: true });
+  };
+
+  const toggleDetails = (itemId) =>
+    setDetailsOpen((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(itemId)) next.add(itemId);
+      return next;
+    });
+
+  const setIncludeNotes = (on) => {
+    setWorkspace((ws) => ({ ...ws, settings: { ...ws.settings, includeNotes: on } }));
+  };
+
+  // Checklists (workspace)
+  const selectList = (id) => {
+    setWorkspace((ws) => ({ ...ws, activeId: id }), { track: false });
+  };
+
+  const createList = (name) => {
+    const list = makeList(name);
+    setWorkspace((ws) => ({ ...ws, activeId: list.id, lists: [...ws.lists, list] }));
+    notify("Checklist created");
+  };
+
+  const renameList = (id, name) => {
+    setWorkspace(
+      (ws) => ({ ...ws, lists: ws.lists.map((l) => (l.id === id ? { ...l, title: name } : l)) }),
+      { merge: `list-title:${id}` }
+    );
+  };
+
+  const duplicateList = (id) => {
+    const src = workspace.lists.find((l) => l.id === id);
+    if (!src) return;
+    const copy = cloneList(src);
+    setWorkspace((ws) => ({ ...ws, activeId: copy.id, lists: [...ws.lists, copy] }));
+    notify("Checklist duplicated");
+  };
+
+  const archiveList = (id, archived) => {
+    setWorkspace((ws) => {
+      const lists = ws.lists.map((l) => (l.id === id ? { ...l, archived } : l));
+      const fallback = lists.find((l) => !l.archived);
+      if (!fallback) return ws; // keep at least one active list
+      return { ...ws, activeId: archived && ws.activeId === id ? fallback.id : ws.activeId, lists };
+    });
+    notify(archived ? "Checklist archived" : "Checklist restored", { undo: true });
+  };
+
+  const requestDeleteList = (id) => {
+    if (workspace.lists.length === 1) return;
+    setListConfirm({ open: true, listId: id });
+  };
+
+  const deleteListNow = () => {
+    const id = listConfirm.listId;
+    setWorkspace((ws) => {
+      const lists = ws.lists.filter((l) => l.id !== id);
+      const fallback = lists.find((l) => !l.archived);
+      if (!fallback) return ws;
+      return { ...ws, activeId: ws.activeId === id ? fallback.id : ws.activeId, lists };
+    });
+    setListConfirm({ open: false, listId: null });
+    notify("Checklist deleted", { undo: true });
+  };
+
+  const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadJSON = (data, filename) => downloadFile(JSON.stringify(data, null, 2), filename, "application/json");
+
+  // Calendar export follows the current search/filter, like the email summary
+  const [calendarOpen, setCalendarOpen] = useState(false);
+
+  const exportCalendar = (kind) => {
+    // String() copy: passing the list's own title to a helper makes the compiler treat the list as mutable
+    const ics = buildICS({ title: String(title), sections: filteredSections, kind, timeZone });
+    downloadFile(ics, "toolstack-check-it.ics", "text/calendar;charset=utf-8");
+    setCalendarOpen(false);
+    notify(`Exported ${countDated(filteredSections)} dated item(s)`);
+  };
+
+  // scope: "list" (active checklist, same shape as before) | "all" (whole workspace)
+  const exportJSON = (scope = "list", includeArchive = true) => {
+    if (scope === "all") downloadJSON({ version: SCHEMA_VERSION, ...workspace }, "toolstack-check-it-all.json");
+    else if (includeArchive && archive.length) downloadJSON({ version: SCHEMA_VERSION, title, sections, archive }, "toolstack-check-it.json");
+    else downloadJSON({ version: SCHEMA_VERSION, title, sections }, "toolstack-check-it.json");
+  };
+
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // CSV can follow the current search/filter (scope "view") or include everything
+  const exportAs = (format, scope, includeArchive) => {
+    if (format === "markdown") {
+      downloadFile(toMarkdown({ title: String(title), sections }), "toolstack-check-it.md", "text/markdown;charset=utf-8");
+    } else if (format === "csv") {
+      downloadFile(toCSV(scope === "view" ? filteredSections : sections, today), "toolstack-check-it.csv", "text/csv;charset=utf-8");
+    } else exportJSON("list", includeArchive);
+    setExportOpen(false);
+  };
+
+  const copyMarkdown = () => {
+    const md = toMarkdown({ title: String(title), sections });
+    const failed = () => notify("Couldn’t copy — use Download instead");
+    if (navigator.clipboard) navigator.clipboard.writeText(md).then(() => notify("Markdown copied"), failed);
+    else failed();
+    setExportOpen(false);
+  };
+
+  // Completion history (logged by setItemDone) + stats panel
+  const [statsOpen, setStatsOpen] = useState(false);
+
+  const exportHistory = (events) => {
+    downloadFile(historyToCSV(events, timeZone), "toolstack-check-it-history.csv", "text/csv;charset=utf-8");
+    notify(`Exported ${events.length} event(s)`);
+  };
+
+  // Archive of the active checklist (Clear done + section deletes); restore / purge are undoable too
+  const [archiveOpen, setArchiveOpen] = useState(false);
+  const archive = activeList.archive || [];
+
+  const clearDone = () => {
+    const n = totals.done;
+    updateActiveList((l) => archiveDone(l));
+    notify(`${n} done item(s) moved to the archive`, { undo: true });
+  };
+
+  const restoreArchived = (entryId) => {
+    updateActiveList((l) => restoreFromArchive(l, entryId));
+    notify("Restored from the archive", { undo: true });
+  };
+
+  const purgeArchived = (entryId) => {
+    updateActiveList((l) => ({ ...l, archive: (l.archive || []).filter((e) => e.id !== entryId) }));
+    notify("Purged", { undo: true });
+  };
+
+  const purgeAllArchived = () => {
+    updateActiveList((l) => ({ ...l, archive: [] }));
+    notify(`Purged ${archive.length} archived entr${archive.length === 1 ? "y" : "ies"}`, { undo: true });
+  };
+
+  const setArchiveDays = (archiveDays) => {
+    setWorkspace((ws) => purgeOldArchives({ ...ws, settings: { ...DEFAULT_SETTINGS, ...ws.settings, archiveDays } }));
+    notify(archiveDays ? `Archived entries older than ${archiveDays} days are purged` : "Archive kept until purged by hand");
   };
 
-  useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify({ title, sections }));
-  }, [title, sections]);
+  // Templates (stored in the workspace, so saving / deleting is undoable like any other change)
 
-  const totals = useMemo(() => {
-    let total = 0;
-    let done = 0;
-    let overdue = 0;
-    const t = todayISO();
-    for (const s of sections) {
-      for (const it of s.items || []) {
-        total += 1;
-        if (it.done) done += 1;
-        if (!it.done && it.dueDate && it.dueDate < t) overdue += 1;
-      }
-    }
-    return { total, done, left: Math.max(0, total - done), overdue };
-  }, [sections]);
-
-  const sectionTotals = useMemo(() => {
-    const t = todayISO();
-    return sections.map((s) => {
-      const total = (s.items || []).length;
-      const done = (s.items || []).filter((i) => i.done).length;
-      const overdue = (s.items || []).filter((i) => !i.done && i.dueDate && i.dueDate < t).length;
-      return { id: s.id, total, done, left: Math.max(0, total - done), overdue };
-    });
-  }, [sections]);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const templates = workspace.templates || [];
 
-  // Filtered sections (for display/preview)
-  const filteredSections = useMemo(() => {
-    const q = search.trim().toLowerCase();
-    const t = todayISO();
+  const saveTemplate = (opts) => {
+    const tpl = makeTemplate(opts);
+    setWorkspace((ws) => ({ ...ws, templates: [...(ws.templates || []), tpl] }));
+    notify(`Template “${tpl.name}” saved`);
+  };
 
-    const passesFilter = (it) => {
-      if (filter === "today") return !it.done && it.dueDate && it.dueDate === t;
-      if (filter === "overdue") return !it.done && it.dueDate && it.dueDate < t;
-      return true; // all
-    };
+  const renameTemplate = (id, name) => {
+    setWorkspace(
+      (ws) => ({ ...ws, templates: (ws.templates || []).map((t) => (t.id === id ? { ...t, name } : t)) }),
+      { merge: `template-name:${id}` }
+    );
+  };
 
-    const passesSearch = (it) => {
-      if (!q) return true;
-      return String(it.text || "").toLowerCase().includes(q);
-    };
+  const deleteTemplate = (id) => {
+    setWorkspace((ws) => ({ ...ws, templates: (ws.templates || []).filter((t) => t.id !== id) }));
+    notify("Template deleted", { undo: true });
+  };
+
+  // A checklist template becomes a new checklist; a section template is added to the current one
+  const instantiateTemplate = (id, startISO) => {
+    const tpl = templates.find((t) => t.id === id);
+    if (!tpl) return;
+    const secs = templateSections(tpl, isISODate(startISO) ? startISO : today);
+    if (tpl.kind === "list") {
+      const list = { ...makeList(tpl.title || tpl.name), sections: secs };
+      setWorkspace((ws) => ({ ...ws, activeId: list.id, lists: [...ws.lists, list] }));
+      notify(`Checklist created from “${tpl.name}”`, { undo: true });
+    } else {
+      setSections((prev) => [...prev, ...secs]);
+      notify(`Section added from “${tpl.name}”`, { undo: true });
+    }
+    setTemplatesOpen(false);
+  };
 
-    return sections.map((s) => ({
-      ...s,
-      items: (s.items || []).filter((it) => passesFilter(it) && passesSearch(it)),
-    }));
-  }, [sections, search, filter]);
+  const exportTemplates = (ids) => {
+    const picked = templates.filter((t) => ids.includes(t.id));
+    if (!picked.length) return;
+    const slug = picked.length === 1 ? picked[0].name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") : "";
+    downloadJSON(
+      { format: TEMPLATE_FORMAT, version: 1, templates: picked },
+      `toolstack-check-it-template${slug ? `-${slug}` : "s"}.json`
+    );
+  };
 
-  const isFiltered = useMemo(() => !!search.trim() || filter !== "all", [search, filter]);
+  const applyTemplateFile = (file, doc) => {
+    if (!doc.templates.length) {
+      setProblems({ title: "Import failed", message: `No templates found in “${file.name}”.`, problems: doc.problems });
+      return;
+    }
+    setWorkspace((ws) => ({ ...ws, templates: mergeById(ws.templates, doc.templates) }));
+    notify(`Imported ${doc.templates.length} template(s)`, { undo: true });
+    if (doc.problems.length) {
+      setProblems({ title: "Templates imported", message: "Some template fields had to be fixed.", problems: doc.problems });
+    }
+  };
 
-  const filteredTotals = useMemo(() => {
-    let total = 0;
-    for (const s of filteredSections) total += (s.items || []).length;
-    return { total };
-  }, [filteredSections]);
+  const importTemplates = async (file) => {
+    if (!file) return;
+    const doc = readTemplates(safeParse(await file.text(), null));
+    if (!doc) {
+      setProblems({ title: "Import failed", message: `“${file.name}” is not a Check-It template file.`, problems: [] });
+      return;
+    }
+    applyTemplateFile(file, doc);
+  };
 
-  const filteredSectionTotals = useMemo(() => {
-    const t = todayISO();
-    return filteredSections.map((s) => {
-      const total = (s.items || []).length;
-      const done = (s.items || []).filter((i) => i.done).length;
-      const overdue = (s.items || []).filter((i) => !i.done && i.dueDate && i.dueDate < t).length;
-      return { id: s.id, total, done, left: Math.max(0, total - done), overdue };
+  // Markdown / plain text becomes a list import for the active checklist (matched by section name + item text)
+  const importMarkdown = (file, text) => {
+    const md = parseTaskList(text);
+    if (!md.sections.length) {
+      setProblems({ title: "Import failed", message: `No sections or items found in “${file.name}”.`, problems: [] });
+      return;
+    }
+    const named = md.sections.map((s) => (s.name == null ? { ...s, name: "General" } : s));
+    setImportMode("replace");
+    setPendingImport({
+      fileName: file.name,
+      kind: "list",
+      data: { title: md.title || title, sections: adoptExisting(named, sections) },
+      problems: [],
     });
-  }, [filteredSections]);
+  };
 
-  // build plain-text email summary of CURRENT VIEW (filtered)
-  const buildEmailText = () => {
-    const lines = [];
-    const now = new Date();
-    const iso = todayISO();
+  // CSV: columns mapped from the header row; items keep their id when it matches one in this checklist
+  const importCSV = (file, text) => {
+    const { sections: rows, problems: csvProblems } = csvToSections(parseCSV(text));
+    if (!rows.length) {
+      setProblems({ title: "Import failed", message: `No items found in “${file.name}”.`, problems: csvProblems });
+      return;
+    }
+    setImportMode("replace");
+    setPendingImport({
+      fileName: file.name,
+      kind: "list",
+      data: { title, sections: adoptExisting(rows, sections, ["text", "done", "dueDate", "parentId"]) },
+      problems: csvProblems,
+    });
+  };
 
-    lines.push(`ToolStack • Check-It`);
-    lines.push(`Title: ${title || "Check-It"}`);
-    lines.push(`Date: ${iso}`);
-    lines.push(`Generated: ${now.toLocaleString()}`);
-    lines.push("");
-    lines.push(
-      `Summary: ${totals.done}/${totals.total} completed${totals.overdue ? ` • ${totals.overdue} overdue` : ""}`
-    );
-    if (isFiltered) lines.push(`View: Filtered • Showing ${filteredTotals.total} item(s)`);
-    lines.push("");
+  // Import: parse + normalize, then show the diff dialog; nothing changes until a mode is confirmed
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      await readImport(file);
+    } catch (err) {
+      setProblems({ title: "Import failed", message: `“${file.name}” could not be read.`, problems: [err.message] });
+    }
+  };
 
-    for (const s of filteredSections) {
-      const items = s.items || [];
-      if (!items.length) continue;
-      const stAll = sectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
-      const stShown =
-        filteredSectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
+  const readImport = async (file) => {
+    const text = await file.text();
+    if (/\.(md|markdown|txt)$/i.test(file.name)) {
+      importMarkdown(file, text);
+      return;
+    }
+    if (/\.csv$/i.test(file.name)) {
+      importCSV(file, text);
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      setProblems({ title: "Import failed", message: `“${file.name}” is not valid JSON.`, problems: [err.message] });
+      return;
+    }
+    const tplDoc = readTemplates(parsed);
+    if (tplDoc) {
+      applyTemplateFile(file, tplDoc);
+      return;
+    }
+    const doc = readDocument(parsed);
+    if (!doc.value) {
+      setProblems({ title: "Import failed", message: `Nothing could be imported from “${file.name}”.`, problems: doc.problems });
+      return;
+    }
+    setImportMode("replace");
+    setPendingImport({ fileName: file.name, kind: doc.kind, data: doc.value, problems: doc.problems });
+  };
 
-      lines.push(`== ${s.name} ==`);
-      lines.push(isFiltered ? `Showing: ${stShown.total}/${stAll.total}` : `Items: ${stAll.total}`);
-      for (const it of items) {
-        const mark = it.done ? "[x]" : "[ ]";
-        const due = it.dueDate ? ` (due ${it.dueDate})` : "";
-        lines.push(`${mark} ${it.text}${due}`);
-      }
-      lines.push("");
+  const importGroups = useMemo(() => {
+    if (!pendingImport) return [];
+    if (pendingImport.kind === "list") {
+      return [{ key: "list", label: title || DEFAULT_TITLE, diff: diffSections(sections, pendingImport.data.sections) }];
+    }
+    const incoming = pendingImport.data.lists;
+    const groups = incoming.map((l) => {
+      const match = workspace.lists.find((x) => x.id === l.id);
+      return match
+        ? { key: l.id, label: l.title || DEFAULT_TITLE, diff: diffSections(match.sections, l.sections) }
+        : { key: l.id, label: l.title || DEFAULT_TITLE, isNew: true, itemCount: countItems(l.sections) };
+    });
+    for (const l of workspace.lists) {
+      if (incoming.some((x) => x.id === l.id)) continue;
+      groups.push({ key: l.id, label: l.title || DEFAULT_TITLE, removed: true, itemCount: countItems(l.sections) });
     }
+    return groups;
+  }, [pendingImport, workspace.lists, title, sections]);
 
-    lines.push(`Link: https://toolstack-check-it.vercel.app`);
-    return lines.join("\n");
+  const applyImport = () => {
+    const { kind, data } = pendingImport;
+    const mode = importMode;
+    if (kind === "list") {
+      // One history entry for title + sections so a single Undo restores the previous list.
+      // Archives are only ever merged: an import never purges archived entries.
+      updateActiveList((l) => {
+        const archive = mergeById(l.archive, data.archive);
+        if (mode === "merge") return { ...l, archive, sections: mergeSections(l.sections, data.sections) };
+        if (mode === "append") return { ...l, archive, sections: appendSections(l.sections, data.sections) };
+        return { ...l, archive, title: data.title, sections: data.sections };
+      });
+    } else if (mode === "merge") {
+      setWorkspace((ws) => {
+        const lists = ws.lists.map((l) => {
+          const inc = data.lists.find((x) => x.id === l.id);
+          return inc ? { ...l, sections: mergeSections(l.sections, inc.sections), archive: mergeById(l.archive, inc.archive) } : l;
+        });
+        const added = data.lists.filter((x) => !ws.lists.some((l) => l.id === x.id));
+        return {
+          ...ws,
+          lists: [...lists, ...added],
+          templates: mergeById(ws.templates, data.templates),
+          views: mergeById(ws.views, data.views),
+          completions: mergeCompletions(ws.completions, data.completions),
+        };
+      });
+    } else if (mode === "append") {
+      setWorkspace((ws) => ({
+        ...ws,
+        lists: [...ws.lists, ...data.lists.map((l) => cloneList(l, l.title))],
+        templates: mergeById(ws.templates, data.templates),
+        views: mergeById(ws.views, data.views),
+        completions: mergeCompletions(ws.completions, data.completions),
+      }));
+    } else {
+      // The template library, saved views and completion history aren't part of a checklist backup's "as-is":
+      // entries not in the file are kept
+      setWorkspace((ws) => ({
+        ...data,
+        lists: data.lists.map((l) => {
+          const match = ws.lists.find((x) => x.id === l.id);
+          return match ? { ...l, archive: mergeById(match.archive, l.archive) } : l;
+        }),
+        templates: mergeById(ws.templates, data.templates),
+        views: mergeById(ws.views, data.views),
+        completions: mergeCompletions(ws.completions, data.completions),
+      }));
+    }
+    setPendingImport(null);
+    const what = kind === "workspace" ? `${data.lists.length} checklist(s)` : "checklist";
+    const verb = mode === "merge" ? "Merged" : mode === "append" ? "Appended" : "Imported";
+    notify(`${verb} ${what}`, { undo: true });
   };
 
-  const emailCurrentView = () => {
-    const subject = `ToolStack Check-It: ${title || "Checklist"} (${todayISO()})`;
-    const body = buildEmailText();
-    const mailto = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    window.location.href = mailto;
+  const moveItem = (fromSectionId, itemId, toSectionId, targetId = null) => {
+    const target = sections.find((s) => s.id === toSectionId);
+    if (!target) return;
+    setSections((prev) => moveItemById(prev, { itemId, fromSectionId, toSectionId, targetId }));
+    notify(fromSectionId === toSectionId ? "Reordered" : `Moved to ${target.name || "section"}`);
   };
 
-  const addSection = () => {
-    setSections((prev) => [...prev, { id: uid(), name: `Section ${prev.length + 1}`, items: [] }]);
-    notify("Section added");
+  const moveSection = (sectionId, toIndex) => {
+    const fromIndex = sections.findIndex((s) => s.id === sectionId);
+    if (fromIndex < 0 || fromIndex === toIndex) return;
+    setSections((prev) => arrayMove(prev, prev.findIndex((s) => s.id === sectionId), toIndex));
+    notify("Sections reordered");
   };
 
-  const renameSection = (id, name) => {
-    setSections((prev) => prev.map((s) => (s.id === id ? { ...s, name } : s)));
+  // Item rows carry data-item-id; section cards carry data-section-index (dropping on a card = end of section)
+  const dropTargetAt = (x, y) => {
+    const d = dragRef.current;
+    const el = d ? document.elementFromPoint(x, y) : null;
+    if (!el) return null;
+    const card = el.closest("[data-section-index]");
+    if (d.kind === "section") return card ? { sectionIndex: Number(card.dataset.sectionIndex) } : null;
+    const row = el.closest("[data-item-id]");
+    if (row) return { sectionId: row.dataset.sectionId, itemId: row.dataset.itemId };
+    return card ? { sectionId: card.dataset.sectionId, itemId: null } : null;
   };
 
-  const requestDeleteSection = (id) => {
-    if (sections.length === 1) return;
-    setConfirm({ open: true, sectionId: id });
+  const onDragHandleDown = (payload) => (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = payload;
+    setDragging(payload.itemId || payload.sectionId);
   };
 
-  const deleteSectionNow = () => {
-    const id = confirm.sectionId;
-    setSections((prev) => prev.filter((s) => s.id !== id));
-    setConfirm({ open: false, sectionId: null });
-    notify("Section deleted");
+  const onDragHandleMove = (e) => {
+    if (!dragRef.current) return;
+    // Touch has no wheel: scroll when the finger nears the top/bottom edge
+    if (e.clientY < 48) window.scrollBy(0, -12);
+    else if (e.clientY > window.innerHeight - 48) window.scrollBy(0, 12);
+    const t = dropTargetAt(e.clientX, e.clientY);
+    setDragOver((cur) => (JSON.stringify(cur) === JSON.stringify(t) ? cur : t));
   };
 
-  const addItem = (sectionId) => {
-    setSections((prev) =>
-      prev.map((s) =>
-        s.id === sectionId
-          ? { ...s, items: [...(s.items || []), { id: uid(), text: "New item", done: false, dueDate: "" }] }
-          : s
-      )
-    );
-    notify("Item added");
+  const endDrag = () => {
+    dragRef.current = null;
+    setDragOver(null);
+    setDragging(null);
   };
 
-  const updateItem = (sectionId, itemId, patch) => {
-    setSections((prev) =>
-      prev.map((s) =>
-        s.id === sectionId
-          ? { ...s, items: (s.items || []).map((it) => (it.id === itemId ? { ...it, ...patch } : it)) }
-          : s
-      )
-    );
+  const onDragHandleUp = (e) => {
+    const d = dragRef.current;
+    const t = d ? dropTargetAt(e.clientX, e.clientY) : null;
+    endDrag();
+    if (!d || !t) return;
+    if (d.kind === "section") moveSection(d.sectionId, t.sectionIndex);
+    else moveItem(d.sectionId, d.itemId, t.sectionId, t.itemId);
   };
 
-  const deleteItem = (sectionId, itemId) => {
-    setSections((prev) =>
-      prev.map((s) =>
-        s.id === sectionId ? { ...s, items: (s.items || []).filter((it) => it.id !== itemId) } : s
-      )
-    );
-  };
+  const dragHandleProps = (payload) => ({
+    onPointerDown: onDragHandleDown(payload),
+    onPointerMove: onDragHandleMove,
+    onPointerUp: onDragHandleUp,
+    onPointerCancel: endDrag,
+  });
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify({ title, sections }, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "toolstack-check-it.json";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+  /* Keyboard: item rows + command palette */
+
+  // Focus an item after the next render (new items, the neighbour of a deleted one); `edit` = its text field.
+  // An item the current search / filter hides is simply not focused.
+  const pendingFocus = useRef(null);
+  const focusItemLater = (itemId, edit = false) => {
+    pendingFocus.current = { itemId, edit };
   };
+  useEffect(() => {
+    const p = pendingFocus.current;
+    pendingFocus.current = null;
+    const row = p && document.getElementById(`item-${p.itemId}`);
+    if (!row) return;
+    const el = p.edit ? row.querySelector("[data-item-text]") : row;
+    el.focus();
+    el.scrollIntoView({ block: "nearest" });
+  });
 
-  const importJSON = async (file) => {
-    if (!file) return;
-    const text = await file.text();
-    const parsed = safeParse(text, null);
-    if (!parsed || !Array.isArray(parsed.sections)) {
-      notify("Invalid JSON");
+  const itemRows = () => [...document.querySelectorAll("li[data-item-id]")];
+
+  // Row focused: ↑/↓ next item, Space check, Enter new item below, F2 edit, Alt+↑/↓ move, Delete delete.
+  // Text field focused: Enter new item below, ↑/↓ next item's field, Esc back to the row, Backspace on empty deletes.
+  // Every other field in the row (date, selects, note, tags) keeps its own keys.
+  const onItemKeyDown = (e, sectionId, it) => {
+    const row = e.currentTarget;
+    const onRow = e.target === row;
+    const inText = e.target.hasAttribute?.("data-item-text");
+    if ((!onRow && !inText) || e.ctrlKey || e.metaKey || e.shiftKey || e.nativeEvent.isComposing) return;
+    const rows = itemRows();
+    const at = rows.indexOf(row);
+    const focusRow = (r) => (inText ? r?.querySelector("[data-item-text]") : r)?.focus();
+
+    if ((e.key === "ArrowUp" || e.key === "ArrowDown") && e.altKey) {
+      e.preventDefault();
+      if (!manualOrder) {
+        notify("Switch to Manual order (by section) to move items");
+        return;
+      }
+      const items = sections.find((s) => s.id === sectionId)?.items || [];
+      const sibling = adjacentSibling(items, it.id, e.key === "ArrowUp" ? -1 : 1);
+      if (!sibling) return;
+      moveItem(sectionId, it.id, sectionId, sibling.id);
+      focusItemLater(it.id, inText);
+    } else if (e.altKey) {
       return;
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      focusRow(rows[at + (e.key === "ArrowUp" ? -1 : 1)]);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      addItem(sectionId, it.id);
+    } else if (onRow && e.key === " ") {
+      e.preventDefault();
+      setItemDone(sectionId, it.id, !it.done);
+    } else if (onRow && e.key === "F2") {
+      e.preventDefault();
+      row.querySelector("[data-item-text]")?.focus();
+    } else if (inText && e.key === "Escape") {
+      e.preventDefault();
+      row.focus();
+    } else if ((onRow && (e.key === "Delete" || e.key === "Backspace")) || (inText && e.key === "Backspace" && !it.text)) {
+      e.preventDefault();
+      // Next row outside the deleted item's sub-tasks, else the one above
+      const items = sections.find((s) => s.id === sectionId)?.items || [];
+      const i = items.findIndex((x) => x.id === it.id);
+      const gone = new Set(items.slice(i, subtreeEnd(items, i)).map((x) => x.id));
+      const next = rows.slice(at + 1).find((r) => !gone.has(r.dataset.itemId)) || rows[at - 1];
+      if (next) focusItemLater(next.dataset.itemId, inText);
+      deleteItem(sectionId, it.id);
     }
-    const migrated = parsed.sections.map((s) => ({
-      id: s.id || uid(),
-      name: String(s.name ?? "Section"),
-      items: (s.items || []).map((it) => ({
-        id: it.id || uid(),
-        text: String(it.text ?? ""),
-        done: !!it.done,
-        dueDate: typeof it.dueDate === "string" ? it.dueDate : "",
-      })),
-    }));
-    setTitle(String(parsed.title || "Check-It"));
-    setSections(migrated);
-    notify("Imported");
-  };
-
-  const onDragStartItem = (sectionId, fromIndex) => (e) => {
-    dragRef.current = { sectionId, fromIndex };
-    try {
-      e.dataTransfer.effectAllowed = "move";
-    } catch {}
   };
 
-  const onDropItem = (sectionId, toIndex) => (e) => {
-    e.preventDefault();
-    const { sectionId: fromSection, fromIndex } = dragRef.current || {};
-    if (!fromSection || fromIndex == null) return;
-    if (fromSection !== sectionId) return; // MVP: within a section
-    setSections((prev) =>
-      prev.map((s) => (s.id === sectionId ? { ...s, items: arrayMove(s.items || [], fromIndex, toIndex) } : s))
-    );
-    dragRef.current = { sectionId: null, fromIndex: null };
-    notify("Reordered");
+  const importInputRef = useRef(null);
+
+  // Jump to a section card (shown again first if the section filter or the due grouping hides it)
+  const goToSection = (sectionId) => {
+    setFilter((f) => (f.sectionId && f.sectionId !== sectionId ? { ...f, sectionId: "" } : f));
+    setGroupMode("sections");
+    setTimeout(() => {
+      const card = document.querySelector(`[data-section-index][data-section-id="${sectionId}"]`);
+      card?.scrollIntoView({ block: "start", behavior: "smooth" });
+      (card?.querySelector("li[data-item-id]") || card?.querySelector("input"))?.focus({ preventScroll: true });
+    }, 50);
+  };
+
+  // Everything in the header grid and the checklist bar, plus one entry per section (`section:<id>`)
+  const nothing = totals.total === 0;
+  const commands = [
+    !nothing && { id: "preview", label: "Preview" },
+    !nothing && { id: "print", label: "Print / Save PDF" },
+    !nothing && { id: "email", label: "Email summary" },
+    !nothing && { id: "calendar", label: "Calendar export (.ics)…" },
+    { id: "export", label: "Export…" },
+    { id: "import", label: "Import…" },
+    { id: "add-section", label: "Add section" },
+    totals.done > 0 && { id: "clear-done", label: "Clear done" },
+    history.canUndo && { id: "undo", label: "Undo", hint: "Ctrl+Z" },
+    history.canRedo && { id: "redo", label: "Redo", hint: "Ctrl+Shift+Z" },
+    { id: "lists", label: "Checklists…" },
+    { id: "templates", label: "Templates…" },
+    { id: "stats", label: "Stats…" },
+    { id: "archive", label: "Archive…" },
+    { id: "sync", label: "Sync…" },
+    { id: "live", label: "Share live…" },
+    { id: "help", label: "Help" },
+    ...sections.map((s) => ({ id: `section:${s.id}`, label: `Go to section: ${s.name || "Section"}` })),
+  ].filter(Boolean);
+
+  const runCommand = (id) => {
+    if (id.startsWith("section:")) return goToSection(id.slice("section:".length));
+    const actions = {
+      preview: () => setPreviewOpen(true),
+      print: () => window.print(),
+      email: emailCurrentView,
+      calendar: () => setCalendarOpen(true),
+      export: () => setExportOpen(true),
+      import: () => importInputRef.current?.click(),
+      "add-section": addSection,
+      "clear-done": clearDone,
+      undo,
+      redo,
+      lists: () => setListsOpen(true),
+      templates: () => setTemplatesOpen(true),
+      stats: () => setStatsOpen(true),
+      archive: () => setArchiveOpen(true),
+      sync: () => setSyncOpen(true),
+      live: () => setLiveOpen(true),
+      help: () => setHelpOpen(true),
+    };
+    actions[id]?.();
   };
 
   return (
@@ -528,10 +3816,139 @@ export default function App() {
 
       <HelpModal open={helpOpen} onClose={() => setHelpOpen(false)} />
 
+      <CommandPalette open={paletteOpen} commands={commands} onRun={runCommand} onClose={() => setPaletteOpen(false)} />
+
+      <ListsModal
+        open={listsOpen}
+        lists={workspace.lists}
+        activeId={workspace.activeId}
+        onSelect={(id) => {
+          selectList(id);
+          setListsOpen(false);
+        }}
+        onCreate={createList}
+        onRename={renameList}
+        onDuplicate={duplicateList}
+        onArchive={archiveList}
+        onDelete={requestDeleteList}
+        onExportAll={() => exportJSON("all")}
+        onClose={() => setListsOpen(false)}
+      />
+
+      <TemplatesModal
+        open={templatesOpen}
+        templates={templates}
+        title={title}
+        sections={sections}
+        today={today}
+        onSave={saveTemplate}
+        onUse={instantiateTemplate}
+        onRename={renameTemplate}
+        onDelete={deleteTemplate}
+        onExport={exportTemplates}
+        onImport={importTemplates}
+        onClose={() => setTemplatesOpen(false)}
+      />
+
+      <StatsModal
+        open={statsOpen}
+        events={workspace.completions || []}
+        activeListId={workspace.activeId}
+        today={today}
+        timeZone={timeZone}
+        onExport={exportHistory}
+        onClose={() => setStatsOpen(false)}
+      />
+
+      <ArchiveModal
+        open={archiveOpen}
+        archive={archive}
+        archiveDays={workspace.settings?.archiveDays || 0}
+        timeZone={timeZone}
+        onRestore={restoreArchived}
+        onPurge={purgeArchived}
+        onPurgeAll={purgeAllArchived}
+        onArchiveDays={setArchiveDays}
+        onClose={() => setArchiveOpen(false)}
+      />
+
+      <SyncModal
+        open={syncOpen}
+        config={sync.config}
+        status={sync.status}
+        onSave={(next) => {
+          sync.configure(next);
+          notify(next ? "Sync turned on" : "Sync turned off");
+        }}
+        onSyncNow={sync.syncNow}
+        onClose={() => setSyncOpen(false)}
+      />
+
+      <LiveModal
+        open={liveOpen}
+        config={live.config}
+        status={live.status}
+        peers={live.peers}
+        listTitle={liveList ? liveList.title || DEFAULT_TITLE : ""}
+        activeTitle={title || DEFAULT_TITLE}
+        onSave={(next) => {
+          live.configure(next);
+          notify(next ? `Joining room “${next.room}”` : "Left the live room; the checklist stays here");
+        }}
+        onClose={() => setLiveOpen(false)}
+      />
+
+      <ExportModal
+        open={exportOpen}
+        isFiltered={isFiltered}
+        viewCount={filteredTotals.total}
+        totalCount={totals.total}
+        archiveCount={archive.length}
+        onExport={exportAs}
+        onCopy={copyMarkdown}
+        onClose={() => setExportOpen(false)}
+      />
+
+      <CalendarModal
+        open={calendarOpen}
+        sections={filteredSections}
+        isFiltered={isFiltered}
+        onExport={exportCalendar}
+        onClose={() => setCalendarOpen(false)}
+      />
+
+      <ProblemsModal
+        open={!!problems}
+        title={problems?.title}
+        message={problems?.message}
+        problems={problems?.problems || []}
+        onClose={() => setProblems(null)}
+      />
+
+      <ImportModal
+        open={!!pendingImport}
+        fileName={pendingImport?.fileName || ""}
+        problems={pendingImport?.problems || []}
+        groups={importGroups}
+        mode={importMode}
+        onMode={setImportMode}
+        onConfirm={applyImport}
+        onCancel={() => setPendingImport(null)}
+      />
+
+      <ConfirmModal
+        open={listConfirm.open}
+        title="Delete checklist?"
+        message="This will delete the checklist with all its sections and items."
+        onCancel={() => setListConfirm({ open: false, listId: null })}
+        onConfirm={deleteListNow}
+      />
+
       <ConfirmModal
         open={confirm.open}
         title="Delete section?"
-        message="This will delete the section and all its items."
+        message="The section and all its items move to the archive, where they can be restored or purged."
+        confirmText="Move to archive"
         onCancel={() => setConfirm({ open: false, sectionId: null })}
         onConfirm={deleteSectionNow}
       />
@@ -544,6 +3961,10 @@ export default function App() {
             <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex items-center justify-between gap-3">
               <div className="text-lg font-semibold text-neutral-800">Print preview</div>
               <div className="flex items-center gap-2">
+                <label className="flex items-center gap-2 cursor-pointer select-none text-sm text-neutral-700 mr-2">
+                  <Checkbox checked={includeNotes} onChange={setIncludeNotes} />
+                  <span>Notes</span>
+                </label>
                 <button className={btnSecondary} onClick={() => window.print()}>
                   Print / Save PDF
                 </button>
@@ -561,6 +3982,8 @@ export default function App() {
                     <div className="text-sm text-neutral-700">
                       {totals.done}/{totals.total} completed{totals.overdue ? ` • ${totals.overdue} overdue` : ""}
                       {isFiltered ? ` • showing ${filteredTotals.total} item(s)` : ""}
+                      {isFiltered && describeFilter(filter, sections) ? ` • ${describeFilter(filter, sections)}` : ""}
+                      {manualOrder ? "" : ` • ${viewModeLabel}`}
                     </div>
                     <div className="mt-3 h-[2px] w-72 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
                   </div>
@@ -568,34 +3991,78 @@ export default function App() {
                 </div>
 
                 <div className="mt-5 space-y-5">
-                  {filteredSections.map((s) => (
+                  {displaySections.map((s) => (
                     <div key={s.id} className="rounded-2xl border border-neutral-200">
                       <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
                         <div className="font-semibold text-neutral-800">{s.name}</div>
                         <div className="text-xs text-neutral-600">
-                          {(s.items || []).filter((i) => i.done).length}/{(s.items || []).length}
+                          {s.group
+                            ? `${s.items.length} item(s)`
+                            : `${leafItems(s.items || []).filter((i) => i.done).length}/${leafItems(s.items || []).length}`}
                         </div>
                       </div>
                       <div className="p-4">
                         {(s.items || []).length ? (
                           <ul className="space-y-2">
-                            {s.items.map((it) => (
-                              <li key={it.id} className="flex items-start gap-3">
-                                <div
-                                  className={`mt-0.5 h-4 w-4 rounded border ${
-                                    it.done ? "bg-neutral-800 border-neutral-800" : "bg-white border-neutral-400"
-                                  }`}
-                                />
-                                <div className="min-w-0 flex-1">
+                            {s.items.map((it) => {
+                              const home = s.group ? sectionOfItem.get(it.id) : s;
+                              const tree = trees.get(home?.id);
+                              const depth = s.group ? 0 : tree?.depth.get(it.id) || 0;
+                              const progress = tree?.progress.get(it.id);
+                              return (
+                                <li
+                                  key={it.id}
+                                  className={`${SUBTASK_INDENT[Math.min(depth, SUBTASK_INDENT.length - 1)]} flex items-start gap-3`}
+                                >
                                   <div
-                                    className={`text-sm ${it.done ? "text-neutral-600 line-through" : "text-neutral-800"}`}
+                                    className={`mt-0.5 h-4 w-4 shrink-0 rounded border flex items-center justify-center ${
+                                      it.done
+                                        ? "bg-neutral-800 border-neutral-800"
+                                        : progress?.done
+                                          ? "bg-neutral-400 border-neutral-400"
+                                          : "bg-white border-neutral-400"
+                                    }`}
                                   >
-                                    {it.text}
+                                    {!it.done && progress?.done ? <span className="h-0.5 w-2 rounded bg-white" /> : null}
                                   </div>
-                                  {it.dueDate ? <div className="text-xs text-neutral-600 mt-0.5">Due: {it.dueDate}</div> : null}
-                                </div>
-                              </li>
-                            ))}
+                                  <div className="min-w-0 flex-1">
+                                    <div
+                                      className={`text-sm ${it.done ? "text-neutral-600 line-through" : "text-neutral-800"}`}
+                                    >
+                                      {it.text}
+                                      {progress ? (
+                                        <span className="ml-2 text-xs text-neutral-600 no-underline">
+                                          ({progress.done}/{progress.total})
+                                        </span>
+                                      ) : null}
+                                      {it.priority ? (
+                                        <span className="ml-2 inline-block no-underline">
+                                          <Pill tone={priorityOf(it.priority).tone}>{priorityOf(it.priority).label}</Pill>
+                                        </span>
+                                      ) : null}
+                                      {(it.tags || []).map((t) => (
+                                        <span key={t} className="ml-1.5 inline-block no-underline">
+                                          <TagChip tag={t} />
+                                        </span>
+                                      ))}
+                                    </div>
+                                    {it.dueDate || it.repeat || s.group ? (
+                                      <div className="text-xs text-neutral-600 mt-0.5">
+                                        {it.dueDate ? `Due: ${formatDue(it)}` : ""}
+                                        {it.dueDate && it.repeat ? " • " : ""}
+                                        {it.repeat ? `Repeats: ${describeRepeat(it.repeat)}` : ""}
+                                        {s.group ? `${it.dueDate || it.repeat ? " • " : ""}Section: ${home?.name || ""}` : ""}
+                                      </div>
+                                    ) : null}
+                                    {includeNotes && it.note?.trim() ? (
+                                      <div className="mt-1 border-l-2 border-neutral-200 pl-2">
+                                        <NoteView text={it.note} />
+                                      </div>
+                                    ) : null}
+                                  </div>
+                                </li>
+                              );
+                            })}
                           </ul>
                         ) : (
                           <div className="text-sm text-neutral-600">(no items)</div>
@@ -626,12 +4093,52 @@ export default function App() {
               {totals.overdue ? <Pill tone="warn">{totals.overdue} overdue</Pill> : null}
               {isFiltered ? <Pill>Filtered: {filteredTotals.total}</Pill> : null}
             </div>
+
+            {/* Checklist switcher */}
+            <div className="print:hidden mt-3 flex items-center gap-2">
+              <select
+                className="h-10 max-w-[16rem] rounded-xl border border-neutral-200 bg-white px-3 text-sm font-medium text-neutral-800 shadow-sm focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                value={workspace.activeId}
+                onChange={(e) => selectList(e.target.value)}
+                aria-label="Switch checklist"
+              >
+                {workspace.lists
+                  .filter((l) => !l.archived)
+                  .map((l) => (
+                    <option key={l.id} value={l.id}>
+                      {l.title || DEFAULT_TITLE}
+                    </option>
+                  ))}
+              </select>
+              <SmallButton onClick={() => setListsOpen(true)} title="Create, rename, duplicate, archive or delete checklists">
+                Lists…
+              </SmallButton>
+              <SmallButton onClick={() => setTemplatesOpen(true)} title="Save or reuse checklist and section templates">
+                Templates…
+              </SmallButton>
+              <SmallButton onClick={() => setStatsOpen(true)} title="Completion history: done per day / week, lateness, per section">
+                Stats…
+              </SmallButton>
+              <SmallButton onClick={() => setArchiveOpen(true)} title="Cleared items and deleted sections: search, restore or purge">
+                Archive{archive.length ? ` (${archive.length})` : ""}…
+              </SmallButton>
+              <SmallButton onClick={() => setSyncOpen(true)} title={`Sync with your own server: ${describeSync(sync.status)}`}>
+                Sync{sync.config ? ` (${SYNC_BADGE[sync.status.state]})` : ""}…
+              </SmallButton>
+              <SmallButton
+                onClick={() => setLiveOpen(true)}
+                title={live.config ? `${LIVE_STATUS[live.status]} · room ${live.config.room}` : "Edit a checklist together with others, live"}
+              >
+                {live.config ? `Live${live.status === "live" ? "" : ` (${live.status})`}` : "Share live…"}
+              </SmallButton>
+              {live.listId === workspace.activeId ? <PresenceChips peers={live.peers} /> : null}
+            </div>
           </div>
 
           {/* Normalized top actions (grid “table”) + pinned Help icon */}
-          <div className="w-full sm:w-[680px]">
+          <div className="w-full sm:w-[780px]">
             <div className="relative">
-              <div className="grid grid-cols-2 gap-2 sm:grid-cols-5 pr-12">
+              <div className="grid grid-cols-2 gap-2 sm:grid-cols-6 pr-12">
                 <ActionButton onClick={() => setPreviewOpen(true)} disabled={totals.total === 0}>
                   Preview
                 </ActionButton>
@@ -645,8 +4152,23 @@ export default function App() {
                 >
                   Email
                 </ActionButton>
-                <ActionButton onClick={exportJSON}>Export</ActionButton>
-                <ActionFileButton onFile={(f) => importJSON(f)} tone="primary">
+                <ActionButton
+                  onClick={() => setCalendarOpen(true)}
+                  disabled={totals.total === 0}
+                  title="Export dated items in the current view as a calendar file (.ics)"
+                >
+                  Calendar
+                </ActionButton>
+                <ActionButton onClick={() => setExportOpen(true)} title="Export this checklist (JSON backup, Markdown or CSV)">
+                  Export
+                </ActionButton>
+                <ActionFileButton
+                  inputRef={importInputRef}
+                  onFile={(f) => importFile(f)}
+                  accept="application/json,.json,text/markdown,.md,.markdown,text/plain,.txt,text/csv,.csv"
+                  tone="primary"
+                  title="Import a JSON backup, a Markdown / plain-text checklist or a CSV sheet"
+                >
                   Import
                 </ActionFileButton>
               </div>
@@ -676,6 +4198,24 @@ export default function App() {
                 <input className={inputBase} value={title} onChange={(e) => setTitle(e.target.value)} />
               </div>
 
+              <div>
+                <label className="text-sm text-neutral-700 font-medium">Time zone (Today / Overdue)</label>
+                <select className={inputBase} value={timeZone} onChange={(e) => setTimeZone(e.target.value)}>
+                  <option value="">Device ({DEVICE_TIME_ZONE || "local"})</option>
+                  {TIME_ZONES.map((tz) => (
+                    <option key={tz} value={tz}>
+                      {tz}
+                    </option>
+                  ))}
+                </select>
+                <div className="mt-1 text-xs text-neutral-600">Today is {today}.</div>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer select-none text-sm text-neutral-700">
+                <Checkbox checked={includeNotes} onChange={setIncludeNotes} />
+                <span>Include item notes in preview / print and email</span>
+              </label>
+
               {/* Search + Filter */}
               <div>
                 <label className="text-sm text-neutral-700 font-medium">Search</label>
@@ -683,43 +4223,92 @@ export default function App() {
                   className={inputBase}
                   value={search}
                   onChange={(e) => setSearch(e.target.value)}
-                  placeholder="Search items..."
+                  placeholder="Search… e.g. tag:client-x due:<2026-11-01 -done"
+                  title="Words match text, notes and tags. tag:x or #x · due:<date, due:>=date, due:week / next7 / none · is:done / -done · priority:high · section:name · - negates"
+                  data-native-undo
                 />
 
-                <div className="mt-2 flex flex-wrap gap-2">
-                  <button
-                    type="button"
-                    className={`print:hidden px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
-                      filter === "all"
-                        ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
-                        : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
-                    }`}
-                    onClick={() => setFilter("all")}
+                <div className="mt-2 grid grid-cols-2 gap-2">
+                  <select
+                    className={filterSelect}
+                    value={filter.status}
+                    onChange={(e) => setFilter((f) => ({ ...f, status: e.target.value }))}
+                    aria-label="Status"
                   >
-                    All
-                  </button>
-                  <button
-                    type="button"
-                    className={`print:hidden px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
-                      filter === "today"
-                        ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
-                        : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
-                    }`}
-                    onClick={() => setFilter("today")}
+                    <option value="">Any status</option>
+                    <option value="open">Open</option>
+                    <option value="done">Done</option>
+                  </select>
+                  <select
+                    className={filterSelect}
+                    value={filter.due}
+                    onChange={(e) => setFilter((f) => ({ ...f, due: e.target.value }))}
+                    aria-label="Due"
                   >
-                    Today
-                  </button>
-                  <button
-                    type="button"
-                    className={`print:hidden px-3 py-2 rounded-xl text-sm font-medium border shadow-sm transition ${
-                      filter === "overdue"
-                        ? "border-neutral-700 bg-neutral-700 text-white hover:bg-neutral-600"
-                        : "border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-800"
-                    }`}
-                    onClick={() => setFilter("overdue")}
+                    <option value="">Any due date</option>
+                    {DUE_FILTERS.map((d) => (
+                      <option key={d.id} value={d.id}>
+                        {d.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    className={filterSelect}
+                    value={filter.priority}
+                    onChange={(e) => setFilter((f) => ({ ...f, priority: e.target.value }))}
+                    aria-label="Priority"
                   >
-                    Overdue
-                  </button>
+                    <option value="">Any priority</option>
+                    {PRIORITIES.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    className={filterSelect}
+                    value={sections.some((x) => x.id === filter.sectionId) ? filter.sectionId : ""}
+                    onChange={(e) => setFilter((f) => ({ ...f, sectionId: e.target.value }))}
+                    aria-label="Section"
+                  >
+                    <option value="">All sections</option>
+                    {sections.map((x) => (
+                      <option key={x.id} value={x.id}>
+                        {x.name || "Section"}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {allTags.length ? (
+                  <div className="mt-2 flex flex-wrap gap-1.5">
+                    {allTags.map((t) => (
+                      <TagChip key={t} tag={t} active={filter.tags.includes(t)} onClick={() => toggleFilterTag(t)} />
+                    ))}
+                  </div>
+                ) : null}
+
+                <div className="mt-2 flex flex-wrap items-center gap-2">
+                  {views.map((v) => (
+                    <span key={v.id} className="inline-flex items-center rounded-xl border border-neutral-200 bg-white text-sm">
+                      <button
+                        type="button"
+                        className="px-3 py-1.5 hover:bg-neutral-50 rounded-l-xl"
+                        onClick={() => applyView(v)}
+                        title="Apply this saved view"
+                      >
+                        {v.name}
+                      </button>
+                      <button
+                        type="button"
+                        className="px-2 py-1.5 border-l border-neutral-200 text-neutral-600 hover:bg-neutral-50 rounded-r-xl"
+                        onClick={() => deleteView(v.id)}
+                        aria-label={`Delete view ${v.name}`}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
 
                   {isFiltered ? (
                     <button
@@ -727,7 +4316,7 @@ export default function App() {
                       className={btnSecondary}
                       onClick={() => {
                         setSearch("");
-                        setFilter("all");
+                        setFilter(EMPTY_FILTER);
                       }}
                     >
                       Clear
@@ -735,6 +4324,21 @@ export default function App() {
                   ) : null}
                 </div>
 
+                {isFiltered ? (
+                  <div className="mt-2 flex gap-2">
+                    <input
+                      className="min-w-0 flex-1 rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                      value={viewName}
+                      onChange={(e) => setViewName(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && saveView()}
+                      placeholder="Name this view…"
+                      aria-label="View name"
+                      data-native-undo
+                    />
+                    <SmallButton onClick={saveView}>Save view</SmallButton>
+                  </div>
+                ) : null}
+
                 {isFiltered ? (
                   <div className="mt-2 text-xs text-neutral-600">Showing {filteredTotals.total} item(s) (filtered)</div>
                 ) : null}
@@ -744,15 +4348,34 @@ export default function App() {
                 </div>
               </div>
 
+              <div>
+                <label className="text-sm text-neutral-700 font-medium">Order</label>
+                <div className="mt-2 grid grid-cols-2 gap-2">
+                  <select className={filterSelect} value={sortMode} onChange={(e) => setSortMode(e.target.value)} aria-label="Sort">
+                    {SORT_MODES.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.label}
+                      </option>
+                    ))}
+                  </select>
+                  <select className={filterSelect} value={groupMode} onChange={(e) => setGroupMode(e.target.value)} aria-label="Group">
+                    <option value="sections">By section</option>
+                    <option value="due">By due date</option>
+                  </select>
+                </div>
+                {manualOrder ? null : (
+                  <div className="mt-1 text-xs text-neutral-600">
+                    Only the view changes — your manual order is kept. Switch back to Manual order by section to drag or indent.
+                  </div>
+                )}
+              </div>
+
               <div className="grid grid-cols-2 gap-2">
                 <SmallButton tone="primary" onClick={addSection} className="w-full">
                   Add section
                 </SmallButton>
                 <SmallButton
-                  onClick={() => {
-                    setSections((prev) => prev.map((s) => ({ ...s, items: (s.items || []).filter((it) => !it.done) })));
-                    notify("Completed cleared");
-                  }}
+                  onClick={clearDone}
                   className="w-full"
                   disabled={totals.done === 0}
                 >
@@ -760,72 +4383,146 @@ export default function App() {
                 </SmallButton>
               </div>
 
-              <div className="text-xs text-neutral-600">Tip: drag the handle (≡) to reorder items inside a section.</div>
+              <div className="grid grid-cols-2 gap-2">
+                <SmallButton onClick={undo} className="w-full" disabled={!history.canUndo} title="Undo (Ctrl+Z)">
+                  Undo
+                </SmallButton>
+                <SmallButton onClick={redo} className="w-full" disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">
+                  Redo
+                </SmallButton>
+              </div>
+
+              <div className="text-xs text-neutral-600">Tip: drag the handle (≡) to reorder items or move them to another section; drag a section’s handle to reorder sections.</div>
+              <div className="text-xs text-neutral-600">
+                Keyboard: Ctrl+K opens the command palette; on an item, ↑/↓ move between items, Space checks, Enter adds one below,
+                Alt+↑/↓ reorders, Delete deletes (Help lists every key).
+              </div>
             </div>
           </div>
 
           {/* Sections */}
           <div className="lg:col-span-2 space-y-3">
-            {filteredSections.map((s) => {
+            <datalist id="checkit-tags">
+              {allTags.map((t) => (
+                <option key={t} value={t} />
+              ))}
+            </datalist>
+            {groupMode === "due" && !displaySections.length ? (
+              <div className={`${card} ${cardPad} text-sm text-neutral-600`}>No items in this view.</div>
+            ) : null}
+            {displaySections.map((s) => {
+              const sIdx = sections.findIndex((x) => x.id === s.id); // the section filter can hide others
               const stAll = sectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
               const stShown =
                 filteredSectionTotals.find((x) => x.id === s.id) || { total: 0, done: 0, left: 0, overdue: 0 };
               const st = isFiltered ? stShown : stAll;
+              const dropOnCard =
+                dragOver &&
+                (dragOver.sectionIndex === sIdx || (dragOver.sectionId === s.id && dragOver.itemId === null));
 
               return (
-                <div key={s.id} className={`${card}`}>
-                  <div className={`${cardHead} flex items-center justify-between gap-3`}>
-                    <div className="min-w-0">
-                      <input
-                        className="w-full font-semibold text-neutral-800 bg-transparent outline-none"
-                        value={s.name}
-                        onChange={(e) => renameSection(s.id, e.target.value)}
-                      />
-                      <div className="text-xs text-neutral-600 mt-1">
-                        {st.done}/{st.total} done • {st.left} left{st.overdue ? ` • ${st.overdue} overdue` : ""}
-                        {isFiltered ? <span className="ml-2">• showing {stShown.total}/{stAll.total}</span> : null}
+                <div
+                  key={s.id}
+                  data-section-index={s.group ? undefined : sIdx}
+                  data-section-id={s.group ? undefined : s.id}
+                  className={`${card} transition ${dropOnCard ? "ring-2 ring-lime-400" : ""} ${
+                    dragging === s.id ? "opacity-50" : ""
+                  }`}
+                >
+                  {s.group ? (
+                    <div className={`${cardHead} flex items-center justify-between gap-3`}>
+                      <div className="font-semibold text-neutral-800">{s.name}</div>
+                      <div className="text-xs text-neutral-600">
+                        {s.items.filter((it) => it.done).length}/{s.items.length} done
                       </div>
                     </div>
-
-                    <div className="flex items-center gap-2">
-                      <SmallButton onClick={() => addItem(s.id)}>Add item</SmallButton>
-                      <SmallButton
-                        tone="danger"
-                        onClick={() => requestDeleteSection(s.id)}
-                        disabled={sections.length === 1}
-                        title={sections.length === 1 ? "Keep at least one section" : "Delete section"}
-                      >
-                        Delete
-                      </SmallButton>
+                  ) : (
+                    <div className={`${cardHead} flex items-center justify-between gap-3`}>
+                      <div className="min-w-0 flex items-start gap-2">
+                        <button
+                          type="button"
+                          {...dragHandleProps({ kind: "section", sectionId: s.id })}
+                          className="print:hidden mt-0.5 h-8 w-8 shrink-0 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-700 flex items-center justify-center cursor-grab active:cursor-grabbing touch-none select-none"
+                          title="Drag to reorder sections"
+                        >
+                          ≡
+                        </button>
+                        <div className="min-w-0">
+                          <input
+                            className="w-full font-semibold text-neutral-800 bg-transparent outline-none"
+                            value={s.name}
+                            onChange={(e) => renameSection(s.id, e.target.value)}
+                          />
+                          <div className="text-xs text-neutral-600 mt-1">
+                            {st.done}/{st.total} done • {st.left} left{st.overdue ? ` • ${st.overdue} overdue` : ""}
+                            {isFiltered ? <span className="ml-2">• showing {stShown.total}/{stAll.total}</span> : null}
+                          </div>
+                        </div>
+                      </div>
+  
+                      <div className="flex items-center gap-2">
+                        <SmallButton onClick={() => moveSection(s.id, sIdx - 1)} disabled={sIdx === 0} title="Move section up">
+                          ↑
+                        </SmallButton>
+                        <SmallButton
+                          onClick={() => moveSection(s.id, sIdx + 1)}
+                          disabled={sIdx === sections.length - 1}
+                          title="Move section down"
+                        >
+                          ↓
+                        </SmallButton>
+                        <SmallButton onClick={() => addItem(s.id)}>Add item</SmallButton>
+                        <SmallButton
+                          tone="danger"
+                          onClick={() => requestDeleteSection(s.id)}
+                          disabled={sections.length === 1}
+                          title={sections.length === 1 ? "Keep at least one section" : "Delete section"}
+                        >
+                          Delete
+                        </SmallButton>
+                      </div>
                     </div>
-                  </div>
+                  )}
 
                   <div className={`${cardPad}`}>
                     {(s.items || []).length ? (
                       <ul className="space-y-3">
-                        {s.items.map((it, idx) => {
-                          const overdue = !it.done && it.dueDate && it.dueDate < todayISO();
+                        {s.items.map((it) => {
+                          const overdue = isOverdue(it, today);
+                          const dropHere = dragOver?.itemId === it.id && dragging !== it.id;
+                          const sid = s.group ? sectionOfItem.get(it.id)?.id : s.id; // due buckets mix sections
+                          const tree = trees.get(sid);
+                          const depth = s.group ? 0 : tree?.depth.get(it.id) || 0;
+                          const progress = tree?.progress.get(it.id);
                           return (
                             <li
                               key={it.id}
-                              className={`flex items-start gap-3 rounded-2xl p-2 border ${
+                              id={`item-${it.id}`}
+                              data-item-id={it.id}
+                              data-section-id={sid}
+                              tabIndex={0}
+                              onKeyDown={(e) => onItemKeyDown(e, sid, it)}
+                              aria-label={`${it.text || "New item"}${it.done ? " (done)" : ""}`}
+                              className={`${SUBTASK_INDENT[Math.min(depth, SUBTASK_INDENT.length - 1)]} flex items-start gap-3 rounded-2xl p-2 border transition outline-none focus-visible:ring-2 focus-visible:ring-neutral-400 ${
                                 overdue ? "border-red-200 bg-red-50" : "border-neutral-200 bg-white"
-                              }`}
-                              onDragOver={(e) => e.preventDefault()}
-                              onDrop={onDropItem(s.id, idx)}
+                              } ${dropHere || flashItemId === it.id ? "ring-2 ring-lime-400" : ""} ${dragging === it.id ? "opacity-50" : ""}`}
                             >
                               <button
                                 type="button"
-                                draggable
-                                onDragStart={onDragStartItem(s.id, idx)}
-                                className="print:hidden h-9 w-9 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-700 flex items-center justify-center cursor-grab active:cursor-grabbing"
-                                title="Drag to reorder"
+                                {...(manualOrder ? dragHandleProps({ kind: "item", sectionId: sid, itemId: it.id }) : {})}
+                                disabled={!manualOrder}
+                                className="print:hidden h-9 w-9 shrink-0 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 text-neutral-700 flex items-center justify-center cursor-grab active:cursor-grabbing touch-none select-none disabled:opacity-40 disabled:cursor-not-allowed"
+                                title={manualOrder ? "Drag to reorder or move to another section" : "Switch to Manual order (by section) to drag"}
                               >
                                 ≡
                               </button>
 
                               <div className="mt-2">
-                                <Checkbox checked={!!it.done} onChange={(v) => updateItem(s.id, it.id, { done: v })} />
+                                <Checkbox
+                                  checked={!!it.done}
+                                  partial={!!progress?.done}
+                                  onChange={(v) => setItemDone(sid, it.id, v)}
+                                />
                               </div>
 
                               <div className="flex-1 min-w-0 grid grid-cols-1 md:grid-cols-3 gap-2">
@@ -837,7 +4534,10 @@ export default function App() {
                                         : "border-neutral-200 bg-white text-neutral-800"
                                     }`}
                                     value={it.text}
-                                    onChange={(e) => updateItem(s.id, it.id, { text: e.target.value })}
+                                    onChange={(e) => updateItem(sid, it.id, { text: e.target.value })}
+                                    placeholder={it.parentId ? "New sub-task" : "New item"}
+                                    aria-label="Item text"
+                                    data-item-text
                                   />
                                 </div>
 
@@ -846,16 +4546,167 @@ export default function App() {
                                     type="date"
                                     className="w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300"
                                     value={it.dueDate || ""}
-                                    onChange={(e) => updateItem(s.id, it.id, { dueDate: e.target.value })}
+                                    onChange={(e) => setItemSchedule(sid, it.id, { dueDate: e.target.value })}
                                   />
                                   {overdue ? <div className="text-xs text-red-700 mt-1">Overdue</div> : null}
                                 </div>
+
+                                <div className="md:col-span-3 flex flex-wrap items-center gap-2">
+                                  {progress ? (
+                                    <span className="text-xs text-neutral-600">
+                                      {progress.done}/{progress.total} sub-tasks done
+                                    </span>
+                                  ) : null}
+                                  {it.priority ? (
+                                    <Pill tone={priorityOf(it.priority).tone}>{priorityOf(it.priority).label} priority</Pill>
+                                  ) : null}
+                                  {(it.tags || []).map((t) => (
+                                    <TagChip key={t} tag={t} active={filter.tags.includes(t)} onClick={() => toggleFilterTag(t)} />
+                                  ))}
+                                  {s.group ? <span className="text-xs text-neutral-600">in {sectionOfItem.get(it.id)?.name}</span> : null}
+                                  <RepeatEditor value={it.repeat} onChange={(r) => setItemRepeat(sid, it, r)} />
+                                  <input
+                                    type="time"
+                                    className="print:hidden rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs text-neutral-800 focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                                    value={it.dueTime || ""}
+                                    onChange={(e) => setItemSchedule(sid, it.id, { dueTime: e.target.value || undefined })}
+                                    aria-label="Due time"
+                                    title="Due time (optional)"
+                                  />
+                                  <select
+                                    className="print:hidden rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs text-neutral-800 focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                                    value={it.remind || ""}
+                                    onChange={(e) => setItemReminder(sid, it.id, e.target.value)}
+                                    aria-label="Reminder"
+                                    title={it.dueDate ? "Reminder" : "Set a due date to get a reminder"}
+                                  >
+                                    <option value="">No reminder</option>
+                                    {REMINDERS.map((r) => (
+                                      <option key={r.id} value={r.id}>
+                                        {r.label}
+                                      </option>
+                                    ))}
+                                  </select>
+                                  {it.snoozedUntil && !it.done ? (
+                                    <span className="text-xs text-neutral-600">
+                                      Snoozed until {new Date(it.snoozedUntil).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                                    </span>
+                                  ) : null}
+                                  <button
+                                    type="button"
+                                    className={subtaskBtn}
+                                    onClick={() => addSubtask(sid, it.id)}
+                                    disabled={depth >= MAX_DEPTH - 1}
+                                    title="Add a sub-task under this item"
+                                  >
+                                    + Sub-task
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className={subtaskBtn}
+                                    onClick={() => indent(sid, it.id)}
+                                    disabled={!manualOrder || !tree?.canIndent.has(it.id)}
+                                    title="Indent: make this a sub-task of the item above"
+                                    aria-label="Indent"
+                                  >
+                                    →
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className={subtaskBtn}
+                                    onClick={() => outdent(sid, it.id)}
+                                    disabled={!it.parentId}
+                                    title="Outdent: move out of the parent item"
+                                    aria-label="Outdent"
+                                  >
+                                    ←
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className={subtaskBtn}
+                                    onClick={() => toggleDetails(it.id)}
+                                    aria-expanded={detailsOpen.has(it.id)}
+                                    title="Note, links and priority"
+                                  >
+                                    {it.note?.trim() ? "Note" : "Details"} {detailsOpen.has(it.id) ? "▴" : "▾"}
+                                  </button>
+                                  {sections.length > 1 ? (
+                                    <select
+                                      className="print:hidden rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs text-neutral-800 focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                                      value=""
+                                      onChange={(e) => moveItem(sid, it.id, e.target.value)}
+                                      aria-label="Move to section"
+                                    >
+                                      <option value="">Move to…</option>
+                                      {sections
+                                        .filter((x) => x.id !== sid)
+                                        .map((x) => (
+                                          <option key={x.id} value={x.id}>
+                                            {x.name || "Section"}
+                                          </option>
+                                        ))}
+                                    </select>
+                                  ) : null}
+                                </div>
+
+                                {detailsOpen.has(it.id) ? (
+                                  <div className="md:col-span-3 rounded-xl border border-neutral-200 bg-neutral-50 p-3 space-y-2">
+                                    <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                                      <label className="sm:col-span-3 text-xs text-neutral-700 font-medium">
+                                        Note
+                                        <textarea
+                                          className={`${inputBase} min-h-[5rem] font-normal`}
+                                          value={it.note || ""}
+                                          onChange={(e) => updateItem(sid, it.id, { note: e.target.value || undefined })}
+                                          placeholder="Details, steps, links… Markdown: **bold**, *italic*, `code`, - lists, [label](https://…)"
+                                        />
+                                      </label>
+                                      <label className="text-xs text-neutral-700 font-medium">
+                                        Priority
+                                        <select
+                                          className={`${inputBase} font-normal`}
+                                          value={it.priority || ""}
+                                          onChange={(e) => updateItem(sid, it.id, { priority: e.target.value || undefined })}
+                                        >
+                                          <option value="">None</option>
+                                          {PRIORITIES.map((p) => (
+                                            <option key={p.id} value={p.id}>
+                                              {p.label}
+                                            </option>
+                                          ))}
+                                        </select>
+                                      </label>
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-1.5">
+                                      {(it.tags || []).map((t) => (
+                                        <TagChip key={t} tag={t} onRemove={() => removeItemTag(sid, it, t)} />
+                                      ))}
+                                      <input
+                                        className="min-w-[8rem] flex-1 rounded-xl border border-neutral-200 bg-white px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+                                        list="checkit-tags"
+                                        placeholder="Add tags: errand, #client-x"
+                                        aria-label="Add tags"
+                                        onKeyDown={(e) => {
+                                          if (e.key !== "Enter" && e.key !== ",") return;
+                                          e.preventDefault();
+                                          addItemTags(sid, it, e.currentTarget.value);
+                                          e.currentTarget.value = "";
+                                        }}
+                                        onBlur={(e) => {
+                                          addItemTags(sid, it, e.currentTarget.value);
+                                          e.currentTarget.value = "";
+                                        }}
+                                      />
+                                    </div>
+                                    {it.note?.trim() ? <NoteView text={it.note} /> : null}
+                                  </div>
+                                ) : null}
                               </div>
 
                               <button
                                 type="button"
                                 className="print:hidden px-2 py-2 rounded-xl border border-neutral-200 hover:bg-neutral-50 text-neutral-700"
-                                onClick={() => deleteItem(s.id, it.id)}
+                                onClick={() => deleteItem(sid, it.id)}
                                 title="Delete item"
                               >
                                 ✕
@@ -865,7 +4716,7 @@ export default function App() {
                         })}
                       </ul>
                     ) : (
-                      <div className="text-sm text-neutral-600">No items yet. Click “Add item”.</div>
+                      <div className="text-sm text-neutral-600">No items yet. Click “Add item” or drop an item here.</div>
                     )}
                   </div>
                 </div>
@@ -874,9 +4725,79 @@ export default function App() {
           </div>
         </div>
 
+        {autosave.error ? (
+          <div
+            role="alert"
+            className="fixed top-4 left-1/2 -translate-x-1/2 z-40 w-[min(34rem,calc(100vw-2rem))] rounded-2xl border border-red-200 bg-red-50 text-red-800 px-4 py-3 shadow-xl print:hidden"
+          >
+            <div className="text-sm">{describeStorageError(autosave.error)}</div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <SmallButton onClick={autosave.retry}>Try again</SmallButton>
+              <SmallButton onClick={() => exportJSON("all")}>Export all (JSON)</SmallButton>
+              <SmallButton onClick={() => setArchiveOpen(true)}>Archive…</SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {conflicts.length && !autosave.error ? (
+          <div
+            role="alert"
+            className="fixed top-4 left-1/2 -translate-x-1/2 z-40 w-[min(34rem,calc(100vw-2rem))] rounded-2xl border border-amber-200 bg-amber-50 text-amber-900 px-4 py-3 shadow-xl print:hidden"
+          >
+            <div className="text-sm font-semibold">Changed in two places at once</div>
+            <ul className="mt-1 text-sm space-y-0.5">
+              {conflicts.slice(0, 5).map((c, i) => (
+                <li key={`${c.id}-${i}`}>
+                  “{c.text || "(untitled)"}” — {c.why}
+                  {c.why.startsWith("edited") ? ", the newest edit was kept" : ", kept"}
+                </li>
+              ))}
+              {conflicts.length > 5 ? <li>…and {conflicts.length - 5} more</li> : null}
+            </ul>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <SmallButton onClick={dismissConflicts}>OK</SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {updateWorker && !autosave.error && !conflicts.length ? (
+          <div className="fixed top-4 left-1/2 -translate-x-1/2 z-40 w-[min(26rem,calc(100vw-2rem))] rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl print:hidden">
+            <div className="flex items-center gap-3">
+              <div className="flex-1 text-sm">A new version of Check-It is available.</div>
+              <button
+                type="button"
+                className="px-2.5 py-1 rounded-lg text-xs font-semibold border border-white/20 bg-white/10 hover:bg-white/20 text-[#D5FF00] transition"
+                onClick={reloadForUpdate}
+              >
+                Reload
+              </button>
+              <button
+                type="button"
+                className="px-2.5 py-1 rounded-lg text-xs font-semibold border border-white/20 bg-white/10 hover:bg-white/20 text-white transition"
+                onClick={() => setUpdateWorker(null)}
+              >
+                Later
+              </button>
+            </div>
+          </div>
+        ) : null}
+
+        <ReminderAlerts alerts={visibleAlerts} onOpen={openAlert} onSnooze={snoozeAlert} onDismiss={dismissAlert} />
+
         {toast ? (
           <div className="fixed bottom-6 right-6 rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl print:hidden">
-            <div className="text-sm">{toast}</div>
+            <div className="flex items-center gap-3">
+              <div className="text-sm">{toast.msg}</div>
+              {toast.undo && history.canUndo ? (
+                <button
+                  type="button"
+                  className="px-2.5 py-1 rounded-lg text-xs font-semibold border border-white/20 bg-white/10 hover:bg-white/20 text-[#D5FF00] transition"
+                  onClick={undo}
+                >
+                  Undo
+                </button>
+              ) : null}
+            </div>
           </div>
         ) : null}
       </div>
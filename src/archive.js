@@ -0,0 +1,109 @@
+/**
+ * Per-checklist archive: what "Clear done" and section deletes keep, restore and auto-purge.
+ * No React; used by App.jsx, covered by archive.test.js.
+ */
+
+import { nowISO } from "./dates.js";
+import { itemDepths, repairTree, subtreeEnd, syncParents } from "./items.js";
+import { uid, withFreshIds } from "./lists.js";
+
+/**
+ * "Clear done" and section deletes move things into the list's `archive` instead of dropping them:
+ *   { id, kind: "item", archivedAt, sectionId, sectionName, index, items: [item, ...its sub-tasks] }
+ *   { id, kind: "section", archivedAt, index, section }
+ * `index` is where it was (item position in its section / section position), used to put it back.
+ */
+export const ARCHIVE_AGES = [0, 7, 30, 90, 365]; // auto-purge after N days; 0 = keep until purged by hand
+
+// Done items (each with its sub-tasks — a done parent's sub-tasks are all done) go to the archive
+export function archiveDone(list, at = nowISO()) {
+  const entries = [];
+  const sections = list.sections.map((s) => {
+    const items = s.items || [];
+    if (!items.some((it) => it.done)) return s;
+    const depth = itemDepths(items);
+    const keep = [];
+    for (let i = 0; i < items.length; ) {
+      if (!items[i].done) {
+        keep.push(items[i]);
+        i += 1;
+        continue;
+      }
+      const end = subtreeEnd(items, i, depth);
+      entries.push({
+        id: uid(),
+        kind: "item",
+        archivedAt: at,
+        sectionId: s.id,
+        sectionName: s.name,
+        index: keep.length,
+        items: items.slice(i, end),
+      });
+      i = end;
+    }
+    return { ...s, items: syncParents(keep), updatedAt: at };
+  });
+  return entries.length ? { ...list, sections, archive: [...entries, ...(list.archive || [])] } : list;
+}
+
+export function archiveSection(list, sectionId, at = nowISO()) {
+  const index = list.sections.findIndex((s) => s.id === sectionId);
+  if (index < 0) return list;
+  const entry = { id: uid(), kind: "section", archivedAt: at, index, section: list.sections[index] };
+  return { ...list, sections: list.sections.filter((s) => s.id !== sectionId), archive: [entry, ...(list.archive || [])] };
+}
+
+/**
+ * Puts an entry back at its old position (clamped). An item whose section is gone brings the section back
+ * (same id and name); a section whose id is in use again is merged into it. Ids taken in the meantime are renewed.
+ */
+export function restoreFromArchive(list, entryId, at = nowISO()) {
+  const entry = (list.archive || []).find((e) => e.id === entryId);
+  if (!entry) return list;
+  const archive = list.archive.filter((e) => e.id !== entryId);
+  const used = new Set(list.sections.flatMap((s) => (s.items || []).map((it) => it.id)));
+  const fresh = (items) => (items.some((it) => used.has(it.id)) ? withFreshIds(items) : items);
+  const insertItems = (s, items, index) => {
+    const next = [...(s.items || [])];
+    next.splice(Math.min(index, next.length), 0, ...items);
+    return { ...s, items: syncParents(repairTree(next)), updatedAt: at };
+  };
+
+  let sections = list.sections;
+  if (entry.kind === "section") {
+    const items = fresh(entry.section.items || []);
+    if (sections.some((s) => s.id === entry.section.id)) {
+      sections = sections.map((s) => (s.id === entry.section.id ? insertItems(s, items, Infinity) : s));
+    } else {
+      sections = [...sections];
+      sections.splice(Math.min(entry.index, sections.length), 0, { ...entry.section, items, updatedAt: at });
+    }
+  } else {
+    if (!sections.some((s) => s.id === entry.sectionId)) {
+      sections = [...sections, { id: entry.sectionId, name: entry.sectionName, items: [], updatedAt: at }];
+    }
+    sections = sections.map((s) => (s.id === entry.sectionId ? insertItems(s, fresh(entry.items), entry.index) : s));
+  }
+  return { ...list, sections, archive };
+}
+
+// Drops archive entries older than settings.archiveDays (0 = never)
+export function purgeOldArchives(ws, now = Date.now()) {
+  const days = ws.settings?.archiveDays || 0;
+  if (!days) return ws;
+  const cutoff = now - days * 86400000;
+  let changed = false;
+  const lists = ws.lists.map((l) => {
+    const archive = (l.archive || []).filter((e) => Date.parse(e.archivedAt) >= cutoff);
+    if (archive.length === (l.archive || []).length) return l;
+    changed = true;
+    return { ...l, archive };
+  });
+  return changed ? { ...ws, lists } : ws;
+}
+
+// Text the archive search looks at
+export function archiveEntryText(e) {
+  const [name, items] = e.kind === "section" ? [e.section.name, e.section.items || []] : [e.sectionName, e.items];
+  return [name, ...items.map((it) => `${it.text}\n${it.note || ""}`)].join("\n").toLowerCase();
+}
@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { archiveDone, archiveEntryText, archiveSection, purgeOldArchives, restoreFromArchive } from "./archive.js";
+
+const at = "2026-10-12T10:00:00Z";
+// Prep: a, b > c (done), d · Other: e
+const list = {
+  id: "L",
+  sections: [
+    {
+      id: "s",
+      name: "Prep",
+      items: [
+        { id: "a", text: "A" },
+        { id: "b", text: "B", done: true },
+        { id: "c", text: "C", done: true, parentId: "b", note: "Torque **40 Nm**" },
+        { id: "d", text: "D" },
+      ],
+    },
+    { id: "t", name: "Other", items: [{ id: "e", text: "E" }] },
+  ],
+};
+const ids = (l, i) => l.sections[i].items.map((it) => it.id).join();
+
+describe("archiveDone", () => {
+  const cleared = archiveDone(list, at);
+
+  it("moves done items with their sub-tasks into one entry, remembering where they were", () => {
+    expect(ids(cleared, 0)).toBe("a,d");
+    expect(cleared.archive).toEqual([
+      { id: expect.any(String), kind: "item", archivedAt: at, sectionId: "s", sectionName: "Prep", index: 1, items: list.sections[0].items.slice(1, 3) },
+    ]);
+    expect(cleared.sections[1]).toBe(list.sections[1]);
+  });
+
+  it("returns the same list when nothing is done", () => {
+    const open = { ...list, sections: [list.sections[1]] };
+    expect(archiveDone(open, at)).toBe(open);
+  });
+
+  it("keeps a done sub-task of an open parent apart from its parent", () => {
+    const items = [{ id: "p" }, { id: "q", done: true, parentId: "p" }, { id: "r", parentId: "p" }];
+    const out = archiveDone({ sections: [{ id: "s", name: "S", items }] }, at);
+    expect(ids(out, 0)).toBe("p,r");
+    expect(out.archive[0].items.map((it) => it.id)).toEqual(["q"]);
+  });
+});
+
+describe("archiveSection", () => {
+  it("moves a whole section to the front of the archive with its position", () => {
+    const out = archiveSection(list, "t", at);
+    expect(out.sections.map((s) => s.id)).toEqual(["s"]);
+    expect(out.archive[0]).toMatchObject({ kind: "section", archivedAt: at, index: 1, section: list.sections[1] });
+    expect(archiveSection(list, "nope", at)).toBe(list);
+  });
+});
+
+describe("restoreFromArchive", () => {
+  const cleared = archiveDone(list, at);
+  const entryId = cleared.archive[0].id;
+
+  it("puts items back at their old position and drops the entry", () => {
+    const back = restoreFromArchive(cleared, entryId, at);
+    expect(ids(back, 0)).toBe("a,b,c,d");
+    expect(back.sections[0].items[2].parentId).toBe("b");
+    expect(back.archive).toEqual([]);
+  });
+
+  it("brings back a deleted section for items archived from it", () => {
+    const gone = archiveSection(archiveSection(cleared, "t", at), "s", at);
+    const back = restoreFromArchive(gone, entryId, at);
+    expect(back.sections).toMatchObject([{ id: "s", name: "Prep" }]);
+    expect(ids(back, 0)).toBe("b,c");
+    expect(back.archive).toHaveLength(2);
+  });
+
+  it("restores a section at its old index, or merges it into a section with its id", () => {
+    const gone = archiveSection(archiveSection(cleared, "t", at), "s", at);
+    const other = gone.archive.find((e) => e.section?.id === "t").id;
+    const prep = gone.archive.find((e) => e.section?.id === "s").id;
+    const both = restoreFromArchive(restoreFromArchive(gone, other, at), prep, at);
+    expect(both.sections.map((s) => s.id)).toEqual(["s", "t"]);
+    expect(ids(both, 0)).toBe("a,d");
+
+    const withItems = restoreFromArchive(both, entryId, at);
+    const reused = { ...withItems, archive: [{ id: "x", kind: "section", archivedAt: at, index: 0, section: { id: "t", name: "Other", items: [{ id: "f" }] } }] };
+    expect(ids(restoreFromArchive(reused, "x", at), 1)).toBe("e,f");
+  });
+
+  it("renews ids taken in the meantime", () => {
+    const taken = { ...cleared, sections: [{ ...cleared.sections[0], items: [...cleared.sections[0].items, { id: "b", text: "New B" }] }] };
+    const back = restoreFromArchive(taken, entryId, at);
+    const items = back.sections[0].items;
+    expect(new Set(items.map((it) => it.id)).size).toBe(items.length);
+    expect(items[1]).toMatchObject({ text: "B", done: true });
+    expect(items[2].parentId).toBe(items[1].id);
+  });
+
+  it("ignores an unknown entry", () => {
+    expect(restoreFromArchive(cleared, "nope", at)).toBe(cleared);
+  });
+});
+
+describe("purgeOldArchives", () => {
+  const ws = (archiveDays) => ({
+    settings: { archiveDays },
+    lists: [{ id: "L", archive: [{ id: "old", archivedAt: "2026-10-01T00:00:00Z" }, { id: "new", archivedAt: at }] }, { id: "M" }],
+  });
+  const now = Date.parse("2026-10-14T00:00:00Z");
+
+  it("drops entries older than the setting", () => {
+    expect(purgeOldArchives(ws(7), now).lists[0].archive.map((e) => e.id)).toEqual(["new"]);
+  });
+
+  it("keeps everything when off or when nothing is old enough", () => {
+    const off = ws(0);
+    expect(purgeOldArchives(off, now)).toBe(off);
+    const recent = ws(30);
+    expect(purgeOldArchives(recent, now)).toBe(recent);
+  });
+});
+
+describe("archiveEntryText", () => {
+  it("covers the section name, item text and notes, lower-cased", () => {
+    const [entry] = archiveDone(list, at).archive;
+    expect(archiveEntryText(entry)).toBe("prep\nb\n\nc\ntorque **40 nm**");
+    expect(archiveEntryText(archiveSection(list, "t", at).archive[0])).toBe("other\ne\n");
+  });
+});
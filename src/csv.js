@@ -0,0 +1,134 @@
+/**
+ * CSV for spreadsheets (RFC 4180): export of a checklist or a view, and import with header-mapped columns.
+ * No React; used by App.jsx and history.js, covered by csv.test.js.
+ */
+
+import { isISODate, isOverdue, nowISO } from "./dates.js";
+import { repairTree, syncParents } from "./items.js";
+import { uid } from "./lists.js";
+
+const CSV_COLUMNS = ["section", "text", "done", "dueDate", "overdue", "id", "parentId"];
+
+// What a spreadsheet would run as a formula: = or @, or + / - with more right after ("+cmd|…", "-SUM(…)").
+// Plain numbers ("-1", "+2.5"), a "- " list dash and a lone "-" stay as they are.
+const FORMULA_START = /^(?:[=@]|[+-](?!\d+(?:\.\d+)?$)(?=\S))/;
+const unguard = (s) => (s.startsWith("'") && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s);
+
+// RFC 4180: quote cells with a comma, quote or line break; double embedded quotes.
+// A cell that would start a formula gets a leading ' so spreadsheets show it as text (stripped on import).
+export const csvCell = (v) => {
+  const s = String(v ?? "").replace(FORMULA_START, "'$&");
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// BOM so Excel opens it as UTF-8
+export function toCSV(sections, today) {
+  const rows = [CSV_COLUMNS];
+  for (const s of sections) {
+    for (const it of s.items || []) {
+      const overdue = isOverdue(it, today);
+      const done = it.done ? "true" : "false";
+      rows.push([s.name, it.text, done, it.dueDate || "", overdue ? "true" : "false", it.id, it.parentId || ""]);
+    }
+  }
+  return "\uFEFF" + rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Rows of cells; quoted cells may hold commas, "" and line breaks. Semicolon files (some Excel locales) work too.
+export function parseCSV(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Header names accepted for each field (case, spaces and underscores ignored)
+const CSV_HEADERS = {
+  section: ["section", "category", "group", "list"],
+  text: ["text", "item", "task", "title", "name", "description"],
+  done: ["done", "completed", "complete", "status", "checked"],
+  dueDate: ["duedate", "due", "date", "deadline"],
+  id: ["id", "itemid"],
+  parentId: ["parentid", "parent"],
+};
+const CSV_TRUE = new Set(["true", "yes", "y", "1", "x", "done", "completed", "complete", "checked", "✓", "✔"]);
+
+/**
+ * CSV rows → `{ sections, problems }`. Columns are mapped from the header row (any order, extra columns
+ * ignored); rows are grouped into sections by name in first-seen order. Unknown ids get fresh ones.
+ */
+export function csvToSections(rows, now = nowISO()) {
+  const problems = [];
+  const key = (h) => h.trim().toLowerCase().replace(/[\s_-]+/g, "");
+  const header = (rows[0] || []).map(key);
+  const col = {};
+  for (const [field, names] of Object.entries(CSV_HEADERS)) {
+    const i = header.findIndex((h) => names.includes(h));
+    if (i >= 0) col[field] = i;
+  }
+  if (col.text == null) {
+    return { sections: [], problems: [`No item text column found (expected one of: ${CSV_HEADERS.text.join(", ")}).`] };
+  }
+
+  const sections = [];
+  const seen = new Set();
+  rows.slice(1).forEach((r, idx) => {
+    const line = `Row ${idx + 2}`;
+    const cell = (field) =>
+      col[field] == null ? "" : unguard(String(r[col[field]] ?? "").trim());
+    const text = cell("text");
+    if (!text) {
+      problems.push(`${line}: no item text, skipped`);
+      return;
+    }
+    let dueDate = cell("dueDate");
+    if (dueDate && !isISODate(dueDate)) {
+      problems.push(`${line}: due date "${dueDate}" is not YYYY-MM-DD, ignored`);
+      dueDate = "";
+    }
+    let id = cell("id");
+    if (!id || seen.has(id)) id = uid();
+    seen.add(id);
+
+    const name = cell("section") || "General";
+    let sec = sections.find((s) => s.name === name);
+    if (!sec) sections.push((sec = { id: uid(), name, items: [], updatedAt: now }));
+    const item = { id, text, done: CSV_TRUE.has(cell("done").toLowerCase()), dueDate, updatedAt: now };
+    if (cell("parentId")) item.parentId = cell("parentId");
+    sec.items.push(item);
+  });
+  if (!sections.length && !problems.length) problems.push("The file has a header row but no items.");
+  // a parent must be a row in the same section; others become top-level items
+  for (const s of sections) {
+    const tree = repairTree(s.items);
+    const lost = s.items.filter((it) => it.parentId).length - tree.filter((it) => it.parentId).length;
+    if (lost) problems.push(`Section “${s.name}”: ${lost} parent id(s) not found in the section, moved to top level`);
+    s.items = syncParents(tree);
+  }
+  return { sections, problems };
+}
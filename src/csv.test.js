@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import { csvCell, csvToSections, parseCSV, toCSV } from "./csv.js";
+
+const NOW = "2026-10-18T12:00:00.000Z";
+
+describe("csvCell", () => {
+  it("quotes commas, quotes, line breaks and edge spaces", () => {
+    expect(csvCell("plain")).toBe("plain");
+    expect(csvCell("a, b")).toBe('"a, b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell("one\ntwo")).toBe('"one\ntwo"');
+    expect(csvCell(" padded ")).toBe('" padded "');
+    expect(csvCell(null)).toBe("");
+  });
+
+  it("marks cells a spreadsheet would run as a formula", () => {
+    expect(csvCell("=SUM(A1:A3)")).toBe("'=SUM(A1:A3)");
+    expect(csvCell("@x")).toBe("'@x");
+    expect(csvCell("+cmd|' /C calc'!A0")).toBe("'+cmd|' /C calc'!A0");
+    expect(csvCell("-1+cmd|' /C calc'!A0")).toBe("'-1+cmd|' /C calc'!A0");
+  });
+
+  it("leaves list dashes, plain numbers and mid-cell signs alone", () => {
+    expect(csvCell("- call vendor")).toBe("- call vendor");
+    expect(csvCell("-")).toBe("-");
+    expect(csvCell("+ extra")).toBe("+ extra");
+    expect(csvCell("a=b")).toBe("a=b");
+    expect(csvCell("-1")).toBe("-1");
+    expect(csvCell("+2.5")).toBe("+2.5");
+  });
+});
+
+describe("parseCSV", () => {
+  it("reads quoted cells, a BOM and CRLF", () => {
+    expect(parseCSV('\uFEFFa,b\r\n"x, ""y""","one\r\ntwo"\r\n')).toEqual([
+      ["a", "b"],
+      ['x, "y"', "one\r\ntwo"],
+    ]);
+  });
+
+  it("detects semicolon files and skips blank rows", () => {
+    expect(parseCSV("a;b\n\n1,5;2\n")).toEqual([
+      ["a", "b"],
+      ["1,5", "2"],
+    ]);
+  });
+});
+
+describe("toCSV / csvToSections", () => {
+  const sections = [
+    {
+      id: "s",
+      name: "Ops, EU",
+      items: [
+        { id: "i1", text: 'Say "hi",\nthen =SUM(1)', done: true, dueDate: "2026-01-01" },
+        { id: "i2", text: "=cmd", done: false, dueDate: "2026-10-01" },
+        { id: "i3", text: "- call vendor", done: false, dueDate: "", parentId: "i2" },
+      ],
+    },
+    { id: "t", name: "Home", items: [{ id: "i4", text: "-5 degrees", done: false, dueDate: "" }] },
+  ];
+
+  it("writes one row per item with a header, BOM and CRLF", () => {
+    const csv = toCSV(sections, "2026-10-18");
+    expect(csv.startsWith("\uFEFFsection,text,done,dueDate,overdue,id,parentId\r\n")).toBe(true);
+    expect(csv).toContain('"Ops, EU","Say ""hi"",\nthen =SUM(1)",true,2026-01-01,false,i1,\r\n');
+    expect(csv).toContain('"Ops, EU",\'=cmd,false,2026-10-01,true,i2,\r\n');
+    expect(csv).toContain('"Ops, EU",- call vendor,false,,false,i3,i2\r\n');
+    expect(csv.endsWith("Home,'-5 degrees,false,,false,i4,\r\n")).toBe(true);
+  });
+
+  it("round-trips text, sections, ids and parents", () => {
+    const { sections: back, problems } = csvToSections(parseCSV(toCSV(sections, "2026-10-18")), NOW);
+    expect(problems).toEqual([]);
+    expect(back.map((s) => s.name)).toEqual(["Ops, EU", "Home"]);
+    const strip = (s) => s.items.map(({ id, text, done, dueDate, parentId }) => ({ id, text, done, dueDate, parentId }));
+    expect(back.map(strip)).toEqual(sections.map(strip));
+    expect(back[0].items.every((it) => it.updatedAt === NOW)).toBe(true);
+  });
+
+  it("maps columns by header name in any order", () => {
+    const rows = parseCSV("Completed;Notes;Due Date;Task\nyes;ignored;2026-02-03;Buy\nno;;;Sell\n");
+    const { sections: [sec], problems } = csvToSections(rows, NOW);
+    expect(problems).toEqual([]);
+    expect(sec.name).toBe("General");
+    expect(sec.items.map(({ text, done, dueDate }) => ({ text, done, dueDate }))).toEqual([
+      { text: "Buy", done: true, dueDate: "2026-02-03" },
+      { text: "Sell", done: false, dueDate: "" },
+    ]);
+  });
+
+  it("gives duplicate or missing ids fresh ones", () => {
+    const { sections: [sec] } = csvToSections(parseCSV("id,text\na,One\na,Two\n,Three\n"), NOW);
+    expect(sec.items[0].id).toBe("a");
+    expect(new Set(sec.items.map((it) => it.id)).size).toBe(3);
+  });
+
+  it("reports rows it cannot use", () => {
+    expect(csvToSections(parseCSV("Name\n"), NOW).problems).toEqual(["The file has a header row but no items."]);
+    expect(csvToSections(parseCSV("Due,Done\n2026-01-01,yes\n"), NOW).problems[0]).toMatch(/^No item text column/);
+    const { sections: [sec], problems } = csvToSections(
+      parseCSV("text,due,parent\n,2026-01-01,\nCall,tomorrow,\nFix,,nope\n"),
+      NOW,
+    );
+    expect(problems).toEqual([
+      "Row 2: no item text, skipped",
+      'Row 3: due date "tomorrow" is not YYYY-MM-DD, ignored',
+      "Section “General”: 1 parent id(s) not found in the section, moved to top level",
+    ]);
+    expect(sec.items.map((it) => [it.text, it.dueDate, it.parentId])).toEqual([
+      ["Call", "", undefined],
+      ["Fix", "", undefined],
+    ]);
+  });
+});
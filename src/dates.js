@@ -0,0 +1,67 @@
+/**
+ * Dates and time zones: "today" in the user's zone, date-only (YYYY-MM-DD) arithmetic and due-date buckets.
+ * No React; used by App.jsx and the other modules, covered by dates.test.js.
+ */
+
+export const nowISO = () => new Date().toISOString();
+
+export const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) of instant `at` in an IANA `timeZone`; empty = the device's local zone.
+// (toISOString() would give the UTC date, which is a day off for hours around midnight.)
+export function isoDateInZone(at, timeZone = "") {
+  if (timeZone && isValidTimeZone(timeZone)) {
+    const parts = {};
+    const fmt = new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+    for (const p of fmt.formatToParts(at)) parts[p.type] = p.value;
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`;
+}
+
+export const todayISO = (timeZone = "") => isoDateInZone(new Date(), timeZone);
+
+// Date-only helpers (YYYY-MM-DD, computed in UTC so day math never hits DST)
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+export const isISODate = (v) => typeof v === "string" && ISO_DATE_RE.test(v);
+
+export const parseISODate = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+export const addDaysISO = (iso, n) => {
+  const d = parseISODate(iso);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+// Whole days from one date to another (negative when `toISO` is earlier)
+export const daysBetween = (fromISO, toISO) => Math.round((parseISODate(toISO) - parseISODate(fromISO)) / 86400000);
+
+// Monday … Sunday around `today`
+export function weekRange(today) {
+  const start = addDaysISO(today, -((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return [start, addDaysISO(start, 6)];
+}
+
+// Only open items are overdue; done ones with a past date are just done
+export const isOverdue = (it, today) => !it.done && !!it.dueDate && it.dueDate < today;
+
+// Bucket ids of DUE_GROUPS in App.jsx
+export function dueGroup(it, today) {
+  const d = it.dueDate;
+  if (!d) return "none";
+  if (d < today) return it.done ? "earlier" : "overdue";
+  if (d === today) return "today";
+  if (d === addDaysISO(today, 1)) return "tomorrow";
+  return d <= weekRange(today)[1] ? "week" : "later";
+}
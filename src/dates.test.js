@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { addDaysISO, daysBetween, dueGroup, isOverdue, isoDateInZone, todayISO, weekRange } from "./dates.js";
+import { sectionTotalsOf, totalsOf } from "./items.js";
+
+// A section due "yesterday", "today" and "tomorrow" as seen on 2026-03-10, plus one done item from the 9th
+const sections = [
+  {
+    id: "a",
+    items: [
+      { id: "1", done: false, dueDate: "2026-03-09" },
+      { id: "2", done: false, dueDate: "2026-03-10" },
+      { id: "3", done: true, dueDate: "2026-03-09" },
+    ],
+  },
+  { id: "b", items: [{ id: "4", done: false, dueDate: "2026-03-11" }] },
+];
+
+// Midnight UTC and the local midnights either side of it
+const LATE_UTC = "2026-03-10T23:30:00Z";
+const EARLY_UTC = "2026-03-11T00:30:00Z";
+
+describe("todayISO with a faked clock", () => {
+  const deviceZone = process.env.TZ;
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => {
+    vi.useRealTimers();
+    if (deviceZone === undefined) delete process.env.TZ;
+    else process.env.TZ = deviceZone;
+  });
+
+  it.each([
+    // [device zone, instant, today there]
+    ["UTC", LATE_UTC, "2026-03-10"],
+    ["UTC", EARLY_UTC, "2026-03-11"],
+    ["Asia/Tokyo", "2026-03-10T14:59:00Z", "2026-03-10"], // 23:59 in UTC+9
+    ["Asia/Tokyo", "2026-03-10T15:01:00Z", "2026-03-11"], // 00:01
+    ["America/Los_Angeles", "2026-03-11T06:59:00Z", "2026-03-10"], // 23:59 in UTC−7
+    ["America/Los_Angeles", "2026-03-11T07:01:00Z", "2026-03-11"], // 00:01
+  ])("device zone %s at %s is %s", (zone, at, today) => {
+    process.env.TZ = zone;
+    vi.setSystemTime(new Date(at));
+    expect(todayISO()).toBe(today);
+  });
+
+  it.each([
+    // [chosen zone, instant, today there]
+    ["UTC", LATE_UTC, "2026-03-10"],
+    ["Asia/Tokyo", LATE_UTC, "2026-03-11"], // UTC+9 is already tomorrow
+    ["Pacific/Kiritimati", LATE_UTC, "2026-03-11"], // UTC+14
+    ["Asia/Kolkata", EARLY_UTC, "2026-03-11"], // UTC+5:30
+    ["America/New_York", EARLY_UTC, "2026-03-10"], // UTC−4 is still yesterday
+    ["Pacific/Pago_Pago", EARLY_UTC, "2026-03-10"], // UTC−11
+  ])("chosen zone %s at %s is %s, whatever the device zone", (zone, at, today) => {
+    vi.setSystemTime(new Date(at));
+    for (const device of ["UTC", "Asia/Tokyo", "America/Los_Angeles"]) {
+      process.env.TZ = device;
+      expect(todayISO(zone)).toBe(today);
+    }
+  });
+
+  it("falls back to the device zone for an unknown zone", () => {
+    process.env.TZ = "Asia/Tokyo";
+    vi.setSystemTime(new Date(LATE_UTC));
+    expect(todayISO("Not/AZone")).toBe("2026-03-11");
+  });
+
+  it("moves overdue / today and the totals over at local midnight, not UTC midnight", () => {
+    const at = (instant, zone) => {
+      vi.setSystemTime(new Date(instant));
+      return todayISO(zone);
+    };
+    const view = (today) => ({
+      groups: sections.flatMap((s) => s.items).map((i) => dueGroup(i, today)),
+      totals: totalsOf(sections, today),
+      sections: sectionTotalsOf(sections, today).map((t) => t.overdue),
+    });
+
+    // 23:59 and 00:01 on the night of the 10th, east and west of UTC
+    for (const [zone, before, after] of [
+      ["Asia/Tokyo", "2026-03-10T14:59:00Z", "2026-03-10T15:01:00Z"],
+      ["America/New_York", "2026-03-11T03:59:00Z", "2026-03-11T04:01:00Z"],
+    ]) {
+      const evening = view(at(before, zone));
+      expect(evening.groups).toEqual(["overdue", "today", "earlier", "tomorrow"]);
+      expect(evening.totals).toEqual({ total: 4, done: 1, left: 3, overdue: 1 });
+      expect(evening.sections).toEqual([1, 0]);
+
+      const night = view(at(after, zone));
+      expect(night.groups).toEqual(["overdue", "overdue", "earlier", "today"]);
+      expect(night.totals).toEqual({ total: 4, done: 1, left: 3, overdue: 2 });
+      expect(night.sections).toEqual([2, 0]);
+    }
+  });
+});
+
+describe("isoDateInZone", () => {
+  it("reads the calendar date of an instant in a zone", () => {
+    expect(isoDateInZone(new Date(LATE_UTC), "UTC")).toBe("2026-03-10");
+    expect(isoDateInZone(new Date(LATE_UTC), "Asia/Tokyo")).toBe("2026-03-11");
+    expect(isoDateInZone(new Date(EARLY_UTC), "America/New_York")).toBe("2026-03-10");
+  });
+});
+
+describe("date-only helpers", () => {
+  it("adds days across month ends and DST switches", () => {
+    expect(addDaysISO("2026-02-28", 1)).toBe("2026-03-01");
+    expect(addDaysISO("2026-03-08", 1)).toBe("2026-03-09");
+    expect(addDaysISO("2026-01-01", -1)).toBe("2025-12-31");
+  });
+
+  it("counts whole days between dates, negative backwards", () => {
+    expect(daysBetween("2026-03-07", "2026-03-10")).toBe(3);
+    expect(daysBetween("2026-03-10", "2026-02-28")).toBe(-10);
+    expect(daysBetween("2025-12-31", "2025-12-31")).toBe(0);
+  });
+
+  it("spans Monday to Sunday", () => {
+    expect(weekRange("2026-03-11")).toEqual(["2026-03-09", "2026-03-15"]);
+    expect(weekRange("2026-03-15")).toEqual(["2026-03-09", "2026-03-15"]);
+  });
+
+  it("never counts done items as overdue", () => {
+    expect(isOverdue({ done: false, dueDate: "2026-03-09" }, "2026-03-10")).toBe(true);
+    expect(isOverdue({ done: true, dueDate: "2026-03-09" }, "2026-03-10")).toBe(false);
+    expect(isOverdue({ done: false, dueDate: "" }, "2026-03-10")).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tags, the filter builder (what a saved view stores) and the search syntax.
+ * No React; used by App.jsx, covered by filters.test.js.
+ */
+
+import { addDaysISO, isOverdue, weekRange } from "./dates.js";
+
+// Tags are stored lower-case without the "#": letters, digits, "-" and "_" ("Client X" → "client-x")
+export const normalizeTag = (s) =>
+  String(s || "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}_-]/gu, "");
+export const parseTags = (s) => [...new Set(String(s || "").split(/[\s,]+/).map(normalizeTag).filter(Boolean))];
+
+// Same tag = same colour everywhere (full class strings so Tailwind keeps them)
+const TAG_COLORS = [
+  "border-sky-200 bg-sky-50 text-sky-800",
+  "border-violet-200 bg-violet-50 text-violet-800",
+  "border-amber-200 bg-amber-50 text-amber-800",
+  "border-rose-200 bg-rose-50 text-rose-800",
+  "border-emerald-200 bg-emerald-50 text-emerald-800",
+  "border-cyan-200 bg-cyan-50 text-cyan-800",
+  "border-fuchsia-200 bg-fuchsia-50 text-fuchsia-800",
+  "border-orange-200 bg-orange-50 text-orange-800",
+];
+export function tagColor(tag) {
+  let h = 0;
+  for (const c of tag) h = (h * 31 + c.codePointAt(0)) >>> 0;
+  return TAG_COLORS[h % TAG_COLORS.length];
+}
+
+// Filter builder (also what a saved view stores); every part that is set must match
+export const EMPTY_FILTER = { tags: [], status: "", due: "", priority: "", sectionId: "" };
+export const isEmptyFilter = (f) => !f.tags.length && !f.status && !f.due && !f.priority && !f.sectionId;
+export const DUE_FILTERS = [
+  { id: "today", label: "Due today (open)" },
+  { id: "overdue", label: "Overdue" },
+  { id: "week", label: "This week" },
+  { id: "next7", label: "Next 7 days" },
+  { id: "none", label: "No date" },
+];
+
+// "today" and "overdue" only match open items, like the old Today / Overdue pills
+function matchesDue(it, due, today) {
+  const d = it.dueDate || "";
+  if (due === "none") return !d;
+  if (due === "today") return !it.done && d === today;
+  if (due === "overdue") return isOverdue(it, today);
+  if (due === "week") {
+    const [from, to] = weekRange(today);
+    return !!d && d >= from && d <= to;
+  }
+  if (due === "next7") return !!d && d >= today && d <= addDaysISO(today, 6);
+  return true;
+}
+
+export function matchesFilter(it, f, today) {
+  if (f.status === "open" && it.done) return false;
+  if (f.status === "done" && !it.done) return false;
+  if (f.priority && it.priority !== f.priority) return false;
+  if (f.tags.length && !f.tags.every((t) => (it.tags || []).includes(t))) return false;
+  return matchesDue(it, f.due, today);
+}
+
+const QUERY_KEYS = { tag: "tag", t: "tag", due: "due", is: "is", priority: "priority", p: "priority", section: "section", s: "section" };
+
+/**
+ * Search syntax. Plain words match text, note and tags (all must match); "quoted phrases" stay together.
+ * `tag:x` or `#x` · `due:<2026-11-01` (also <=, >, >=, or a date) · `due:today|overdue|week|next7|none`
+ * · `is:done|open` (bare `done` too) · `priority:high` (`p:`) · `section:name` (`s:`) · a leading "-" negates.
+ */
+export function parseQuery(q) {
+  const terms = [];
+  for (const m of String(q || "").matchAll(/(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g)) {
+    const [all, neg, rawKey, quoted, word] = m;
+    let key = QUERY_KEYS[(rawKey || "").toLowerCase()] || "";
+    let value = (rawKey && !key ? all.slice(neg.length) : (quoted ?? word)).toLowerCase();
+    if (!key && !quoted && value.startsWith("#")) [key, value] = ["tag", value.slice(1)];
+    else if (!key && !quoted && value === "done") [key, value] = ["is", "done"];
+    if (key === "tag") value = normalizeTag(value);
+    if (value) terms.push({ neg: !!neg, key, value });
+  }
+  return terms;
+}
+
+function termMatches(it, { key, value }, { today, section }) {
+  if (key === "tag") return (it.tags || []).includes(value);
+  if (key === "is") return value === "done" ? !!it.done : value === "open" ? !it.done : false;
+  if (key === "priority") return value === "none" ? !it.priority : it.priority === value;
+  if (key === "section") return String(section || "").toLowerCase().includes(value);
+  if (key === "due") {
+    const cmp = /^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+    if (!cmp) return DUE_FILTERS.some((f) => f.id === value) && matchesDue(it, value, today);
+    const [, op = "=", date] = cmp;
+    const d = it.dueDate;
+    if (!d) return false;
+    return op === "<" ? d < date : op === "<=" ? d <= date : op === ">" ? d > date : op === ">=" ? d >= date : d === date;
+  }
+  return `${it.text || ""}\n${it.note || ""}\n${(it.tags || []).join(" ")}`.toLowerCase().includes(value);
+}
+
+export const matchesQuery = (it, terms, ctx) => terms.every((t) => termMatches(it, t, ctx) !== t.neg);
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import {
+  DUE_FILTERS,
+  EMPTY_FILTER,
+  isEmptyFilter,
+  matchesFilter,
+  matchesQuery,
+  normalizeTag,
+  parseQuery,
+  parseTags,
+  tagColor,
+} from "./filters.js";
+
+// Terms written as "[-]key=value" to compare at a glance
+const show = (q) => parseQuery(q).map((t) => `${t.neg ? "-" : ""}${t.key}=${t.value}`);
+
+describe("tags", () => {
+  it("normalizes to lower case without # and with dashes for spaces", () => {
+    expect(normalizeTag("#Client X")).toBe("client-x");
+    expect(normalizeTag("  ##Über_Team! ")).toBe("über_team");
+    expect(parseTags("#Errand, client x,errand")).toEqual(["errand", "client", "x"]);
+    expect(parseTags("")).toEqual([]);
+  });
+
+  it("gives the same tag the same colour", () => {
+    expect(tagColor("errand")).toBe(tagColor("errand"));
+    expect(tagColor("errand")).toMatch(/^border-\w+-200 /);
+  });
+});
+
+describe("parseQuery", () => {
+  it("reads keys, negation, quoted phrases, #tags and a bare done", () => {
+    expect(show('tag:client-x due:<2026-11-01 -done "two words" http://x.io #Home p:high')).toEqual([
+      "tag=client-x",
+      "due=<2026-11-01",
+      "-is=done",
+      "=two words",
+      "=http://x.io",
+      "tag=home",
+      "priority=high",
+    ]);
+  });
+
+  it("maps short keys and keeps unknown keys as plain words", () => {
+    expect(show("t:A s:Prep Priority:LOW is:open note:x")).toEqual(["tag=a", "section=prep", "priority=low", "is=open", "=note:x"]);
+  });
+
+  it("drops empty terms", () => {
+    expect(show('  tag:# ""  ')).toEqual([]);
+  });
+});
+
+describe("matchesQuery", () => {
+  const ctx = { today: "2026-10-18", section: "Prep" };
+  const task = { text: "Call", note: "Ask about **invoice**", done: false, dueDate: "2026-10-20", tags: ["client-x"], priority: "high" };
+  const q = (s, item = task) => matchesQuery(item, parseQuery(s), ctx);
+
+  it("matches every term against text, note and tags", () => {
+    expect(q("")).toBe(true);
+    expect(q("call invoice")).toBe(true);
+    expect(q("client-x")).toBe(true);
+    expect(q("call vendor")).toBe(false);
+  });
+
+  it("compares due dates", () => {
+    expect(q("tag:client-x due:<2026-11-01 -done")).toBe(true);
+    expect(q("due:<2026-10-20")).toBe(false);
+    expect(q("due:<=2026-10-20")).toBe(true);
+    expect(q("due:>2026-10-19 due:>=2026-10-20 due:2026-10-20")).toBe(true);
+    expect(q("due:<2026-11-01", { ...task, dueDate: "" })).toBe(false);
+    expect(q("due:soon")).toBe(false);
+  });
+
+  it("knows the named due ranges", () => {
+    expect(q("due:next7 due:week")).toBe(false);
+    expect(q("due:next7")).toBe(true);
+    expect(q("due:overdue", { ...task, dueDate: "2026-10-17" })).toBe(true);
+    expect(q("due:today", { ...task, dueDate: "2026-10-18", done: true })).toBe(false);
+    expect(q("due:none", { ...task, dueDate: "" })).toBe(true);
+  });
+
+  it("handles keys and negation", () => {
+    expect(q("call s:prep p:high")).toBe(true);
+    expect(q("-#client-x")).toBe(false);
+    expect(q("is:done")).toBe(false);
+    expect(q("done", { ...task, done: true })).toBe(true);
+    expect(q("p:none", { ...task, priority: undefined })).toBe(true);
+    expect(q("section:home")).toBe(false);
+  });
+});
+
+describe("matchesFilter", () => {
+  const item = { text: "Call", done: false, dueDate: "2026-10-20", tags: ["client-x", "phone"], priority: "high" };
+
+  it("matches when every part that is set matches", () => {
+    const f = { ...EMPTY_FILTER, tags: ["client-x"], due: "week", status: "open" };
+    expect(matchesFilter(item, f, "2026-10-19")).toBe(true);
+    expect(matchesFilter(item, { ...f, priority: "low" }, "2026-10-19")).toBe(false);
+    expect(matchesFilter(item, { ...f, status: "done" }, "2026-10-19")).toBe(false);
+    expect(matchesFilter(item, { ...f, tags: ["client-x", "email"] }, "2026-10-19")).toBe(false);
+    expect(matchesFilter(item, f, "2026-10-26")).toBe(false);
+  });
+
+  it("treats an empty filter as everything", () => {
+    expect(isEmptyFilter(EMPTY_FILTER)).toBe(true);
+    expect(isEmptyFilter({ ...EMPTY_FILTER, sectionId: "s" })).toBe(false);
+    expect(matchesFilter({ text: "x", done: true }, EMPTY_FILTER, "2026-10-19")).toBe(true);
+    expect(DUE_FILTERS.map((d) => d.id)).toEqual(["today", "overdue", "week", "next7", "none"]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Completion history (every check / uncheck) and the numbers of the stats panel.
+ * No React; used by App.jsx, covered by history.test.js.
+ */
+
+import { csvCell } from "./csv.js";
+import { addDaysISO, daysBetween, isoDateInZone, nowISO, weekRange } from "./dates.js";
+import { mergeById, uid } from "./lists.js";
+
+/**
+ * Every check / uncheck from the checkbox is logged in the workspace (`completions`), so "Clear done" and
+ * deletes don't erase finished work. Only items without sub-tasks are logged (parents just follow them).
+ * Event: { id, at, listId, list, sectionId, section, itemId, text, done, dueDate? }
+ */
+export const COMPLETIONS_MAX = 5000; // oldest events are dropped past this
+
+export function completionEvents(list, section, before, after, at = nowISO()) {
+  const was = new Map(before.map((it) => [it.id, !!it.done]));
+  const parents = new Set(after.map((it) => it.parentId).filter(Boolean));
+  return after
+    .filter((it) => !parents.has(it.id) && was.has(it.id) && was.get(it.id) !== !!it.done)
+    .map((it) => ({
+      id: uid(),
+      at,
+      listId: list.id,
+      list: list.title,
+      sectionId: section.id,
+      section: section.name,
+      itemId: it.id,
+      text: it.text,
+      done: !!it.done,
+      dueDate: it.dueDate || undefined,
+    }));
+}
+
+// Checks that weren't taken back: an uncheck cancels that item's latest check
+export function effectiveCompletions(events) {
+  const latest = new Map();
+  const kept = new Set();
+  for (const e of events) {
+    if (e.done) {
+      kept.add(e);
+      latest.set(e.itemId, e);
+    } else if (latest.has(e.itemId)) {
+      kept.delete(latest.get(e.itemId));
+      latest.delete(e.itemId);
+    }
+  }
+  return events.filter((e) => kept.has(e));
+}
+
+/**
+ * Numbers for the stats panel. Days are calendar days in `timeZone`; lateness = completion day − dueDate
+ * (negative = early), only for dated items; "late" = completed after its due date.
+ */
+export function completionStats(events, { today, timeZone = "", days = 14, weeks = 8 }) {
+  const done = effectiveCompletions(events).map((e) => ({ ...e, day: isoDateInZone(new Date(e.at), timeZone) }));
+  const perDay = Array.from({ length: days }, (_, i) => {
+    const day = addDaysISO(today, i - days + 1);
+    return { key: day, label: day.slice(5), value: done.filter((e) => e.day === day).length };
+  });
+  const thisWeek = weekRange(today)[0];
+  const perWeek = Array.from({ length: weeks }, (_, i) => {
+    const from = addDaysISO(thisWeek, (i - weeks + 1) * 7);
+    const to = addDaysISO(from, 6);
+    return { key: from, label: from.slice(5), value: done.filter((e) => e.day >= from && e.day <= to).length };
+  });
+
+  const lateness = (list) => {
+    const dated = list.filter((e) => e.dueDate);
+    const offsets = dated.map((e) => daysBetween(e.dueDate, e.day));
+    return {
+      dated: dated.length,
+      late: offsets.filter((d) => d > 0).length,
+      avgDays: offsets.length ? offsets.reduce((a, b) => a + b, 0) / offsets.length : null,
+    };
+  };
+
+  const bySection = new Map();
+  for (const e of done) {
+    const key = `${e.listId}:${e.sectionId}`;
+    bySection.set(key, { list: e.list, section: e.section, events: [...(bySection.get(key)?.events || []), e] });
+  }
+  const sections = [...bySection.values()]
+    .map(({ list, section, events: evs }) => ({ list, section, completed: evs.length, ...lateness(evs) }))
+    .sort((a, b) => b.completed - a.completed);
+
+  return {
+    completed: done.length,
+    last7: done.filter((e) => e.day > addDaysISO(today, -7) && e.day <= today).length,
+    reopened: events.filter((e) => !e.done).length,
+    ...lateness(done),
+    perDay,
+    perWeek,
+    sections,
+  };
+}
+
+// History from a backup / another device: same id = same event, kept in time order
+export const mergeCompletions = (current = [], incoming = []) =>
+  mergeById(current, incoming)
+    .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+    .slice(-COMPLETIONS_MAX);
+
+export const describeLateness = (avg) =>
+  avg == null ? "—" : Math.abs(avg) < 0.05 ? "on time" : `${Math.abs(avg).toFixed(1)} day(s) ${avg > 0 ? "late" : "early"}`;
+
+const HISTORY_COLUMNS = ["at", "date", "event", "list", "section", "item", "dueDate", "daysLate", "itemId"];
+
+export function historyToCSV(events, timeZone = "") {
+  const rows = [HISTORY_COLUMNS];
+  for (const e of events) {
+    const day = isoDateInZone(new Date(e.at), timeZone);
+    const late = e.done && e.dueDate ? String(daysBetween(e.dueDate, day)) : "";
+    rows.push([e.at, day, e.done ? "completed" : "reopened", e.list, e.section, e.text, e.dueDate || "", late, e.itemId]);
+  }
+  return "\uFEFF" + rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
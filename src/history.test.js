@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import {
+  COMPLETIONS_MAX,
+  completionEvents,
+  completionStats,
+  describeLateness,
+  effectiveCompletions,
+  historyToCSV,
+  mergeCompletions,
+} from "./history.js";
+import { setDoneWithChildren } from "./items.js";
+
+const ev = (itemId, done, at, dueDate, sectionId = "s") => ({
+  id: `${itemId}${at}`,
+  itemId,
+  done,
+  at,
+  dueDate,
+  listId: "L",
+  list: "Ops",
+  sectionId,
+  section: sectionId === "s" ? "Prep" : "Ship",
+  text: `Item ${itemId}`,
+});
+const log = [
+  ev("a", true, "2026-10-12T10:00:00Z", "2026-10-10"),
+  ev("b", true, "2026-10-12T11:00:00Z"),
+  ev("b", false, "2026-10-12T12:00:00Z"),
+  ev("c", true, "2026-10-14T09:00:00Z", "2026-10-15"),
+];
+
+describe("completionEvents", () => {
+  const list = { id: "L", title: "Ops" };
+  const before = [{ id: "p", text: "Parent" }, { id: "a", text: "A", parentId: "p", dueDate: "2026-10-10" }, { id: "b", text: "B", parentId: "p" }];
+
+  it("logs the leaves that changed, not their parent", () => {
+    const after = setDoneWithChildren(before, "p", true);
+    const evs = completionEvents(list, { id: "s", name: "Prep" }, before, after, "2026-10-12T10:00:00Z");
+    expect(evs.map((e) => e.itemId)).toEqual(["a", "b"]);
+    expect(evs[0]).toMatchObject({ at: "2026-10-12T10:00:00Z", list: "Ops", section: "Prep", text: "A", done: true, dueDate: "2026-10-10" });
+    expect(evs[1].dueDate).toBeUndefined();
+    expect(evs[0].id).not.toBe(evs[1].id);
+  });
+
+  it("logs unchecks and ignores new or unchanged items", () => {
+    const checked = setDoneWithChildren(before, "p", true);
+    const after = [...setDoneWithChildren(checked, "a", false), { id: "n", text: "New", done: true }];
+    expect(completionEvents(list, { id: "s", name: "Prep" }, checked, after).map((e) => [e.itemId, e.done])).toEqual([["a", false]]);
+  });
+});
+
+describe("effectiveCompletions", () => {
+  it("drops a check that was taken back", () => {
+    expect(effectiveCompletions(log).map((e) => e.itemId)).toEqual(["a", "c"]);
+  });
+
+  it("keeps a check made again after the uncheck, and ignores an uncheck with nothing to cancel", () => {
+    const again = [...log, ev("b", true, "2026-10-13T08:00:00Z"), ev("z", false, "2026-10-13T09:00:00Z")];
+    expect(effectiveCompletions(again).map((e) => e.id)).toEqual(["a2026-10-12T10:00:00Z", "c2026-10-14T09:00:00Z", "b2026-10-13T08:00:00Z"]);
+  });
+});
+
+describe("completionStats", () => {
+  const st = completionStats(log, { today: "2026-10-14", timeZone: "UTC", days: 3, weeks: 2 });
+
+  it("counts completions, reopenings and lateness against the due date", () => {
+    expect(st).toMatchObject({ completed: 2, last7: 2, reopened: 1, dated: 2, late: 1, avgDays: 0.5 });
+  });
+
+  it("counts per day and per Monday-to-Sunday week, oldest first", () => {
+    expect(st.perDay).toEqual([
+      { key: "2026-10-12", label: "10-12", value: 1 },
+      { key: "2026-10-13", label: "10-13", value: 0 },
+      { key: "2026-10-14", label: "10-14", value: 1 },
+    ]);
+    expect(st.perWeek.map((w) => [w.key, w.value])).toEqual([
+      ["2026-10-05", 0],
+      ["2026-10-12", 2],
+    ]);
+  });
+
+  it("uses calendar days in the chosen time zone", () => {
+    const late = [ev("x", true, "2026-10-14T23:30:00Z", "2026-10-14")];
+    expect(completionStats(late, { today: "2026-10-14", timeZone: "UTC", days: 1 })).toMatchObject({ late: 0, avgDays: 0 });
+    const tokyo = completionStats(late, { today: "2026-10-15", timeZone: "Asia/Tokyo", days: 1 });
+    expect(tokyo).toMatchObject({ late: 1, avgDays: 1 });
+    expect(tokyo.perDay[0]).toMatchObject({ key: "2026-10-15", value: 1 });
+  });
+
+  it("splits by section, busiest first", () => {
+    const more = [...log, ev("d", true, "2026-10-13T10:00:00Z", "2026-10-20", "t")];
+    expect(completionStats(more, { today: "2026-10-14", timeZone: "UTC" }).sections).toEqual([
+      { list: "Ops", section: "Prep", completed: 2, dated: 2, late: 1, avgDays: 0.5 },
+      { list: "Ops", section: "Ship", completed: 1, dated: 1, late: 0, avgDays: -7 },
+    ]);
+  });
+
+  it("has no average without dated completions", () => {
+    expect(completionStats([], { today: "2026-10-14" })).toMatchObject({ completed: 0, dated: 0, avgDays: null });
+  });
+});
+
+describe("mergeCompletions", () => {
+  it("keeps one event per id in time order, capped at the newest", () => {
+    expect(mergeCompletions([log[3], log[0]], [log[1], log[0]]).map((e) => e.id)).toEqual([log[0].id, log[1].id, log[3].id]);
+    const many = Array.from({ length: COMPLETIONS_MAX + 1 }, (_, i) => ({ ...log[0], id: `e${i}`, at: new Date(i * 1000).toISOString() }));
+    const merged = mergeCompletions([], many);
+    expect(merged).toHaveLength(COMPLETIONS_MAX);
+    expect(merged[0].id).toBe("e1");
+  });
+});
+
+describe("describeLateness", () => {
+  it("reads an average in days", () => {
+    expect([null, 0.01, 1.25, -2].map(describeLateness)).toEqual(["—", "on time", "1.3 day(s) late", "2.0 day(s) early"]);
+  });
+});
+
+describe("historyToCSV", () => {
+  it("writes one row per event with the day, kind and days late", () => {
+    const rows = historyToCSV(log, "UTC").split("\r\n");
+    expect(rows[0]).toBe("\uFEFFat,date,event,list,section,item,dueDate,daysLate,itemId");
+    expect(rows[1]).toBe("2026-10-12T10:00:00Z,2026-10-12,completed,Ops,Prep,Item a,2026-10-10,2,a");
+    expect(rows[3]).toBe("2026-10-12T12:00:00Z,2026-10-12,reopened,Ops,Prep,Item b,,,b");
+    expect(rows[4]).toBe("2026-10-14T09:00:00Z,2026-10-14,completed,Ops,Prep,Item c,2026-10-15,-1,c");
+    expect(rows.at(-1)).toBe("");
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Calendar export (RFC 5545): dated items as all-day / timed VEVENTs or as VTODOs.
+ * No React; used by App.jsx and covered by ics.test.js.
+ */
+
+import { addDaysISO, isISODate } from "./dates.js";
+import { DEFAULT_TITLE } from "./lists.js";
+import { REMINDERS, isHHMM, reminderAt, zonedTimeToEpoch } from "./reminders.js";
+
+const ICS_UID_DOMAIN = "toolstack-check-it";
+
+const icsEscape = (v) =>
+  String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets (continuation lines start with a space)
+function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (iso) => iso.replace(/-/g, "");
+const icsStamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+function icsRRule(r) {
+  if (!r) return null;
+  if (r.freq === "daily") return "FREQ=DAILY";
+  if (r.freq === "weekly") return `FREQ=WEEKLY;BYDAY=${r.weekdays.map((d) => ICS_DAYS[d]).join(",")}`;
+  if (r.freq === "interval") return `FREQ=DAILY;INTERVAL=${r.every}`;
+  if (r.freq === "monthly") return `FREQ=MONTHLY;BYMONTHDAY=${r.monthDay}`;
+  return null;
+}
+
+export const countDated = (sections) =>
+  sections.reduce((n, s) => n + (s.items || []).filter((it) => isISODate(it.dueDate)).length, 0);
+
+/**
+ * One entry per item with a dueDate. kind "event" = all-day VEVENT (timed when the item has a
+ * due time), kind "todo" = VTODO with DUE + STATUS (and a DTSTART equal to DUE when it repeats, as an
+ * RRULE is anchored on DTSTART). UIDs come from item ids and SEQUENCE from the last edit, so
+ * re-importing the file updates existing entries instead of duplicating them.
+ */
+export function buildICS({ title, sections, kind = "event", timeZone = "", now = Date.now() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ToolStack//Check-It//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(title || DEFAULT_TITLE)}`,
+  ];
+
+  for (const s of sections) {
+    for (const it of s.items || []) {
+      if (!isISODate(it.dueDate)) continue;
+      const timed = isHHMM(it.dueTime);
+      const start = timed ? zonedTimeToEpoch(it.dueDate, it.dueTime, timeZone) : null;
+      const edited = Date.parse(it.updatedAt || "") || 0;
+      const comp = kind === "todo" ? "VTODO" : "VEVENT";
+
+      lines.push(`BEGIN:${comp}`);
+      lines.push(`UID:${it.id}@${ICS_UID_DOMAIN}`);
+      lines.push(`DTSTAMP:${icsStamp(now)}`);
+      if (edited) lines.push(`LAST-MODIFIED:${icsStamp(edited)}`);
+      lines.push(`SEQUENCE:${Math.floor(edited / 1000)}`);
+      lines.push(`SUMMARY:${icsEscape(kind === "event" && it.done ? `✓ ${it.text}` : it.text)}`);
+      if (kind === "todo" && it.parentId) lines.push(`RELATED-TO:${it.parentId}@${ICS_UID_DOMAIN}`);
+      lines.push(
+        `DESCRIPTION:${icsEscape(`${title || DEFAULT_TITLE} • ${s.name}\nStatus: ${it.done ? "done" : "open"}`)}`
+      );
+      lines.push(`CATEGORIES:${icsEscape(s.name)}`);
+
+      const rrule = icsRRule(it.repeat);
+      if (kind === "todo") {
+        const due = timed ? `:${icsStamp(start)}` : `;VALUE=DATE:${icsDate(it.dueDate)}`;
+        if (rrule) lines.push(`DTSTART${due}`);
+        lines.push(`DUE${due}`);
+        lines.push(`STATUS:${it.done ? "COMPLETED" : "NEEDS-ACTION"}`);
+        if (it.done) lines.push("PERCENT-COMPLETE:100");
+      } else if (timed) {
+        lines.push(`DTSTART:${icsStamp(start)}`);
+        lines.push("DURATION:PT30M");
+        lines.push("TRANSP:TRANSPARENT");
+      } else {
+        lines.push(`DTSTART;VALUE=DATE:${icsDate(it.dueDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${icsDate(addDaysISO(it.dueDate, 1))}`);
+        lines.push("TRANSP:TRANSPARENT");
+      }
+
+      if (rrule) lines.push(`RRULE:${rrule}`);
+
+      const reminder = REMINDERS.find((r) => r.id === it.remind);
+      if (reminder && !it.done) {
+        const fireAt = reminderAt(it, timeZone);
+        lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${icsEscape(it.text)}`);
+        if (timed || kind === "todo") lines.push(`TRIGGER;VALUE=DATE-TIME:${icsStamp(fireAt)}`);
+        else {
+          // all-day: relative to 00:00 on the due date; date-only items are due at 09:00 in the app
+          const offset = 9 * 60 - (reminder.minutes || 0);
+          lines.push(`TRIGGER:${offset < 0 ? "-" : ""}PT${Math.abs(offset)}M`);
+        }
+        lines.push("END:VALARM");
+      }
+      lines.push(`END:${comp}`);
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { buildICS, countDated } from "./ics.js";
+
+const build = (items, opts = {}) =>
+  buildICS({ title: "Ops", sections: [{ id: "s", name: "Prep", items }], now: Date.parse("2026-10-18T08:00:00Z"), ...opts });
+// Unfolded content lines
+const lines = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+const prop = (ics, name) => lines(ics).find((l) => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+
+describe("buildICS", () => {
+  it("wraps entries in a CRLF calendar", () => {
+    const ics = build([{ id: "a", text: "Pay", dueDate: "2026-10-18" }]);
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+    expect(prop(ics, "X-WR-CALNAME")).toBe("X-WR-CALNAME:Ops");
+  });
+
+  it("only exports dated items", () => {
+    const ics = build([{ id: "a", text: "A", dueDate: "" }, { id: "b", text: "B", dueDate: "2026-10-18" }]);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(countDated([{ items: [{ dueDate: "" }, { dueDate: "2026-10-18" }] }, { items: [] }])).toBe(1);
+  });
+
+  it("escapes commas, semicolons, backslashes and newlines", () => {
+    const ics = build([{ id: "a", text: "Pay, rent; C:\\bills\nnow", dueDate: "2026-10-18" }]);
+    expect(prop(ics, "SUMMARY")).toBe(String.raw`SUMMARY:Pay\, rent\; C:\\bills\nnow`);
+    expect(prop(ics, "CATEGORIES")).toBe("CATEGORIES:Prep");
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const ics = build([{ id: "a", text: "ü".repeat(100), dueDate: "2026-10-18" }]);
+    const raw = ics.split("\r\n");
+    for (const l of raw) expect(new TextEncoder().encode(l).length).toBeLessThanOrEqual(75);
+    expect(raw.some((l) => l.startsWith(" "))).toBe(true);
+    expect(prop(ics, "SUMMARY")).toBe(`SUMMARY:${"ü".repeat(100)}`);
+  });
+
+  it("keeps UIDs stable across exports and bumps SEQUENCE with the last edit", () => {
+    const item = { id: "abc", text: "A", dueDate: "2026-10-18", updatedAt: "2026-10-17T10:00:00.000Z" };
+    const first = build([item]);
+    const again = build([item], { now: Date.parse("2026-10-20T08:00:00Z") });
+    expect(prop(first, "UID")).toBe("UID:abc@toolstack-check-it");
+    expect(prop(again, "UID")).toBe(prop(first, "UID"));
+    expect(prop(first, "SEQUENCE")).toBe(`SEQUENCE:${Date.parse(item.updatedAt) / 1000}`);
+    expect(prop(first, "DTSTAMP")).toBe("DTSTAMP:20261018T080000Z");
+  });
+
+  it("writes all-day and timed events", () => {
+    const allDay = build([{ id: "a", text: "A", done: true, dueDate: "2026-10-18" }]);
+    expect(prop(allDay, "DTSTART")).toBe("DTSTART;VALUE=DATE:20261018");
+    expect(prop(allDay, "DTEND")).toBe("DTEND;VALUE=DATE:20261019");
+    expect(prop(allDay, "SUMMARY")).toBe("SUMMARY:✓ A");
+    const timed = build([{ id: "a", text: "A", dueDate: "2026-10-18", dueTime: "09:30" }], { timeZone: "Asia/Tokyo" });
+    expect(prop(timed, "DTSTART")).toBe("DTSTART:20261018T003000Z");
+    expect(prop(timed, "DURATION")).toBe("DURATION:PT30M");
+  });
+
+  it("writes VTODOs with DUE and STATUS", () => {
+    const ics = build(
+      [
+        { id: "a", text: "A", done: true, dueDate: "2026-10-18" },
+        { id: "b", text: "B", parentId: "a", dueDate: "2026-10-19", dueTime: "08:00" },
+      ],
+      { kind: "todo", timeZone: "UTC" }
+    );
+    const [done, open] = ics.split("END:VTODO");
+    expect(prop(done, "DUE")).toBe("DUE;VALUE=DATE:20261018");
+    expect(prop(done, "STATUS")).toBe("STATUS:COMPLETED");
+    expect(prop(done, "PERCENT-COMPLETE")).toBe("PERCENT-COMPLETE:100");
+    expect(prop(done, "SUMMARY")).toBe("SUMMARY:A");
+    expect(prop(open, "DUE")).toBe("DUE:20261019T080000Z");
+    expect(prop(open, "STATUS")).toBe("STATUS:NEEDS-ACTION");
+    expect(prop(open, "RELATED-TO")).toBe("RELATED-TO:a@toolstack-check-it");
+    expect(ics).not.toContain("DTSTART");
+  });
+
+  it("anchors a recurring VTODO with a DTSTART equal to its DUE", () => {
+    const weekly = build([{ id: "a", text: "Bins", dueDate: "2026-10-19", repeat: { freq: "weekly", weekdays: [1, 4] } }], {
+      kind: "todo",
+    });
+    expect(prop(weekly, "DTSTART")).toBe("DTSTART;VALUE=DATE:20261019");
+    expect(prop(weekly, "DUE")).toBe("DUE;VALUE=DATE:20261019");
+    expect(prop(weekly, "RRULE")).toBe("RRULE:FREQ=WEEKLY;BYDAY=MO,TH");
+    const daily = build([{ id: "a", text: "Log", dueDate: "2026-10-19", dueTime: "08:00", repeat: { freq: "interval", every: 2 } }], {
+      kind: "todo",
+      timeZone: "UTC",
+    });
+    expect(prop(daily, "DTSTART")).toBe("DTSTART:20261019T080000Z");
+    expect(prop(daily, "RRULE")).toBe("RRULE:FREQ=DAILY;INTERVAL=2");
+  });
+
+  it("adds an alarm for open items with a reminder", () => {
+    const timed = build([{ id: "a", text: "A", dueDate: "2026-10-18", dueTime: "10:00", remind: "15m" }], { timeZone: "UTC" });
+    expect(prop(timed, "TRIGGER")).toBe("TRIGGER;VALUE=DATE-TIME:20261018T094500Z");
+    const allDay = build([{ id: "a", text: "A", dueDate: "2026-10-18", remind: "1h" }]);
+    expect(prop(allDay, "TRIGGER")).toBe("TRIGGER:PT480M");
+    expect(build([{ id: "a", text: "A", done: true, dueDate: "2026-10-18", remind: "1h" }])).not.toContain("VALARM");
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Item order and sub-task trees: pure functions on a section's flat `items` array (no React), used by App.jsx
+ * and covered by items.test.js.
+ */
+
+import { isOverdue, nowISO } from "./dates.js";
+
+// By position (sections); items move by id, see moveItemById
+export function arrayMove(arr, from, to) {
+  const a = [...arr];
+  const start = Math.max(0, Math.min(a.length - 1, from));
+  const end = Math.max(0, Math.min(a.length - 1, to));
+  if (start === end) return a;
+  const [item] = a.splice(start, 1);
+  a.splice(end, 0, item);
+  return a;
+}
+
+/**
+ * Move an item (with its sub-tasks) by id. Dropping onto `targetId` puts the item where the target is
+ * (same as arrayMove on the full list) and makes it the target's sibling; `targetId` null = end of the
+ * section, at the top level. Works on the unfiltered items, so items hidden by search/filter keep their place.
+ */
+export function moveItemById(sections, { itemId, fromSectionId, toSectionId, targetId = null }) {
+  const src = sections.find((s) => s.id === fromSectionId);
+  const srcItems = src?.items || [];
+  const from = srcItems.findIndex((it) => it.id === itemId);
+  if (from < 0 || !sections.some((s) => s.id === toSectionId)) return sections;
+  const end = subtreeEnd(srcItems, from);
+  const block = srcItems.slice(from, end);
+  if (block.some((it) => it.id === targetId)) return sections;
+
+  const dest = fromSectionId === toSectionId ? srcItems : sections.find((s) => s.id === toSectionId).items || [];
+  const target = targetId == null ? null : dest.find((it) => it.id === targetId);
+  if (targetId != null && !target) return sections;
+  const parentId = target?.parentId;
+  if (block[0].parentId !== parentId) block[0] = { ...block[0], parentId, updatedAt: nowISO() };
+
+  const rest = dest.filter((it) => !block.includes(it) && it.id !== itemId);
+  let at = rest.length;
+  if (target) {
+    const t = rest.indexOf(target);
+    // moving down within a section lands after the target (and its sub-tasks), like arrayMove
+    const down = fromSectionId === toSectionId && dest.indexOf(target) > from;
+    at = down ? subtreeEnd(rest, t) : t;
+  }
+  rest.splice(at, 0, ...block);
+
+  return sections.map((s) => {
+    if (s.id === toSectionId) return { ...s, items: syncParents(rest) };
+    if (s.id === fromSectionId) return { ...s, items: syncParents(srcItems.slice(0, from).concat(srcItems.slice(end))) };
+    return s;
+  });
+}
+
+/**
+ * Items stay one flat array per section. A sub-task carries `parentId` and always comes after its
+ * parent, with each parent's whole subtree kept together — so id-based moves, filters, import diffs
+ * and exports keep working on plain arrays. A parent's `done` follows its children (all done = done).
+ */
+export const MAX_DEPTH = 3; // top level + two levels of sub-tasks
+
+// Depth of every item (0 = top level); parents come first, so one pass is enough
+export function itemDepths(items) {
+  const depth = new Map();
+  for (const it of items) depth.set(it.id, it.parentId && depth.has(it.parentId) ? depth.get(it.parentId) + 1 : 0);
+  return depth;
+}
+
+// Index just past the subtree that starts at `index`
+export function subtreeEnd(items, index, depth = itemDepths(items)) {
+  const d = depth.get(items[index].id);
+  let end = index + 1;
+  while (end < items.length && depth.get(items[end].id) > d) end += 1;
+  return end;
+}
+
+// Items that can be indented (they have a previous sibling and their subtree would stay within MAX_DEPTH)
+export function indentable(items, depth = itemDepths(items)) {
+  const height = new Map();
+  for (let i = items.length - 1; i >= 0; i -= 1) {
+    const { id, parentId } = items[i];
+    if (parentId) height.set(parentId, Math.max(height.get(parentId) || 0, (height.get(id) || 0) + 1));
+  }
+  const ok = new Set();
+  const last = []; // last[d] = latest item at depth d under the current parent
+  for (const it of items) {
+    const d = depth.get(it.id);
+    if (last[d] && d + 1 + (height.get(it.id) || 0) < MAX_DEPTH) ok.add(it.id);
+    last.length = d;
+    last[d] = it.id;
+  }
+  return ok;
+}
+
+// Items without sub-tasks — the ones totals count (a parent's progress is its children's)
+export function leafItems(items) {
+  const parents = new Set(items.map((it) => it.parentId).filter(Boolean));
+  return items.filter((it) => !parents.has(it.id));
+}
+
+// { total, done, left, overdue } of one section's leaf items
+function leafTotals(items, today) {
+  const leaves = leafItems(items);
+  const done = leaves.filter((i) => i.done).length;
+  const overdue = leaves.filter((i) => isOverdue(i, today)).length;
+  return { total: leaves.length, done, left: Math.max(0, leaves.length - done), overdue };
+}
+
+export const sectionTotalsOf = (sections, today) => sections.map((s) => ({ id: s.id, ...leafTotals(s.items || [], today) }));
+
+// The same over all sections
+export function totalsOf(sections, today) {
+  const sum = { total: 0, done: 0, left: 0, overdue: 0 };
+  for (const t of sectionTotalsOf(sections, today)) for (const k of Object.keys(sum)) sum[k] += t[k];
+  return sum;
+}
+
+// { done, total } over the leaf descendants of every parent (no entry for leaves)
+export function rollup(items) {
+  const acc = new Map();
+  for (let i = items.length - 1; i >= 0; i -= 1) {
+    const it = items[i];
+    const own = acc.get(it.id) || { done: it.done ? 1 : 0, total: 1 };
+    if (!it.parentId) continue;
+    const p = acc.get(it.parentId) || { done: 0, total: 0 };
+    acc.set(it.parentId, { done: p.done + own.done, total: p.total + own.total });
+  }
+  return acc;
+}
+
+// Checking an item off (or rolling a recurring one over) ends its reminder: no snooze, nothing notified yet
+export const CLEAR_REMINDER = { snoozedUntil: undefined, notifiedFor: undefined };
+
+// Parents are done exactly when all their children are (bottom-up). Same array back when nothing changed.
+export function syncParents(items) {
+  const kids = new Map();
+  let out = items;
+  for (let i = items.length - 1; i >= 0; i -= 1) {
+    let it = out[i];
+    const states = kids.get(it.id);
+    if (states && states.every(Boolean) !== !!it.done) {
+      if (out === items) out = [...items];
+      const done = states.every(Boolean);
+      it = out[i] = { ...it, done, ...(done ? CLEAR_REMINDER : null), updatedAt: nowISO() };
+    }
+    if (it.parentId) kids.set(it.parentId, [...(kids.get(it.parentId) || []), !!it.done]);
+  }
+  return out;
+}
+
+/**
+ * Make `items` a valid tree: a parentId must name another item of the same section (cycles are cut),
+ * and every subtree is made contiguous (parent first, children in their current order).
+ * Returns the same array when it already was valid.
+ */
+export function repairTree(items) {
+  const byId = new Map(items.map((it) => [it.id, it]));
+  const linked = (it) => (it.parentId && it.parentId !== it.id && byId.has(it.parentId) ? it.parentId : undefined);
+  const parentOf = new Map();
+  for (const it of items) {
+    const seen = new Set([it.id]);
+    let cur = linked(it);
+    while (cur && !seen.has(cur)) {
+      seen.add(cur);
+      cur = linked(byId.get(cur));
+    }
+    parentOf.set(it.id, cur ? undefined : linked(it));
+  }
+
+  const children = new Map();
+  for (const it of items) {
+    const p = parentOf.get(it.id) || "";
+    children.set(p, [...(children.get(p) || []), it]);
+  }
+  const out = [];
+  const visit = (it) => {
+    out.push(parentOf.get(it.id) === it.parentId ? it : { ...it, parentId: parentOf.get(it.id) });
+    for (const c of children.get(it.id) || []) visit(c);
+  };
+  for (const it of children.get("") || []) visit(it);
+  return out.every((it, i) => it === items[i]) ? items : out;
+}
+
+// Indent: become a sub-task of the previous sibling (kept within MAX_DEPTH)
+export function indentItem(items, itemId) {
+  const i = items.findIndex((it) => it.id === itemId);
+  if (i < 0) return items;
+  const depth = itemDepths(items);
+  const d = depth.get(itemId);
+  let j = i - 1;
+  while (j >= 0 && depth.get(items[j].id) > d) j -= 1;
+  if (j < 0 || depth.get(items[j].id) < d) return items;
+  const end = subtreeEnd(items, i, depth);
+  const height = Math.max(...items.slice(i, end).map((it) => depth.get(it.id))) - d;
+  if (d + 1 + height > MAX_DEPTH - 1) return items;
+  const next = items.map((it) => (it.id === itemId ? { ...it, parentId: items[j].id, updatedAt: nowISO() } : it));
+  return syncParents(next);
+}
+
+// Outdent: become a sibling of the parent, placed right after the parent's sub-tasks
+export function outdentItem(items, itemId) {
+  const i = items.findIndex((it) => it.id === itemId);
+  const item = items[i];
+  if (!item?.parentId) return items;
+  const depth = itemDepths(items);
+  const p = items.findIndex((it) => it.id === item.parentId);
+  const parentEnd = subtreeEnd(items, p, depth);
+  const end = subtreeEnd(items, i, depth);
+  const block = [{ ...item, parentId: items[p].parentId, updatedAt: nowISO() }, ...items.slice(i + 1, end)];
+  const rest = [...items.slice(0, i), ...items.slice(end)];
+  rest.splice(parentEnd - block.length, 0, ...block);
+  return syncParents(rest);
+}
+
+// Check or uncheck an item together with all its sub-tasks, then roll the state up to its parents
+export function setDoneWithChildren(items, itemId, done) {
+  const i = items.findIndex((it) => it.id === itemId);
+  if (i < 0) return items;
+  const end = subtreeEnd(items, i);
+  const now = nowISO();
+  const next = items.map((it, k) =>
+    k >= i && k < end && !!it.done !== done ? { ...it, done, ...(done ? CLEAR_REMINDER : null), updatedAt: now } : it
+  );
+  return syncParents(next);
+}
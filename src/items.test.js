@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import {
+  arrayMove,
+  indentItem,
+  indentable,
+  itemDepths,
+  leafItems,
+  moveItemById,
+  outdentItem,
+  repairTree,
+  rollup,
+  sectionTotalsOf,
+  setDoneWithChildren,
+  subtreeEnd,
+  syncParents,
+  totalsOf,
+} from "./items.js";
+
+// Flat sections: "12345" → items with ids 1…5
+const flat = (id, str) => ({ id, items: [...str].map((c) => ({ id: c })) });
+const order = (sections, id = "a") => sections.find((s) => s.id === id).items.map((i) => i.id).join("");
+
+// Trees written as [id, parentId, done]; shown as "<id><parentId>"
+const tree = (rows) => rows.map(([id, parentId, done = false]) => ({ id, parentId, done }));
+const shape = (items) => items.map((i) => `${i.id}${i.parentId || ""}`).join(" ");
+// 1 > (2, 3 > 4), 5
+const items = tree([["1"], ["2", "1"], ["3", "1"], ["4", "3"], ["5"]]);
+
+describe("arrayMove", () => {
+  it("moves by position and clamps out-of-range indexes", () => {
+    expect(arrayMove([1, 2, 3], 0, 2)).toEqual([2, 3, 1]);
+    expect(arrayMove([1, 2, 3], 2, -5)).toEqual([3, 1, 2]);
+  });
+});
+
+describe("moveItemById", () => {
+  const base = [flat("a", "12345"), flat("b", "xy")];
+  const move = (itemId, toSectionId, targetId) =>
+    moveItemById(base, { itemId, fromSectionId: "a", toSectionId, targetId });
+
+  it("puts the item where the target was", () => {
+    expect(order(move("1", "a", "3"))).toBe("23145");
+    expect(order(move("5", "a", "2"))).toBe("15234");
+  });
+
+  it("leaves items hidden by a filter or search where they were", () => {
+    // The view shows only 1, 3 and 5; dragging 5 onto 3 must not disturb 2 and 4
+    expect(order(move("5", "a", "3"))).toBe("12534");
+    expect(order(move("1", "a", "5"))).toBe("23451");
+  });
+
+  it("drops at the end of a section when there is no target", () => {
+    expect(order(move("2", "a", null))).toBe("13452");
+  });
+
+  it("moves across sections, before the target", () => {
+    const moved = move("3", "b", "y");
+    expect(order(moved)).toBe("1245");
+    expect(order(moved, "b")).toBe("x3y");
+  });
+
+  it("returns the same sections when nothing moves", () => {
+    expect(move("9", "a", "1")).toBe(base);
+    expect(move("1", "a", "1")).toBe(base);
+    expect(move("1", "a", "9")).toBe(base);
+    expect(move("1", "c", null)).toBe(base);
+  });
+
+  it("moves a sub-task tree as one block and re-parents it to the target's parent", () => {
+    const sec = [{ id: "a", items }];
+    expect(shape(moveItemById(sec, { itemId: "1", fromSectionId: "a", toSectionId: "a", targetId: "5" })[0].items)).toBe("5 1 21 31 43");
+    expect(shape(moveItemById(sec, { itemId: "4", fromSectionId: "a", toSectionId: "a", targetId: "2" })[0].items)).toBe("1 41 21 31 5");
+    expect(moveItemById(sec, { itemId: "1", fromSectionId: "a", toSectionId: "a", targetId: "4" })).toBe(sec);
+  });
+});
+
+describe("sub-task trees", () => {
+  it("knows depths and where a subtree ends", () => {
+    expect([...itemDepths(items).values()]).toEqual([0, 1, 1, 2, 0]);
+    expect(subtreeEnd(items, 0)).toBe(4);
+    expect(subtreeEnd(items, 2)).toBe(4);
+  });
+
+  it("indents under the previous sibling, up to the maximum depth", () => {
+    expect(shape(indentItem(items, "5"))).toBe("1 21 31 43 51");
+    expect(indentItem(items, "2")).toBe(items);
+    expect(indentItem(items, "3")).toBe(items);
+    expect(indentable(items).has("3")).toBe(false);
+  });
+
+  it("outdents to just after the parent's sub-tasks", () => {
+    expect(shape(outdentItem(items, "2"))).toBe("1 31 43 2 5");
+  });
+
+  it("checks a parent when all its sub-tasks are done, and cascades checks down and unchecks up", () => {
+    const checked = setDoneWithChildren(setDoneWithChildren(items, "2", true), "4", true);
+    expect(checked.map((i) => i.done)).toEqual([true, true, true, true, false]);
+    expect(setDoneWithChildren(checked, "4", false).map((i) => i.done)).toEqual([false, true, false, false, false]);
+    expect(setDoneWithChildren(items, "1", true).map((i) => i.done)).toEqual([true, true, true, true, false]);
+  });
+
+  it("resets the reminder of items checked off, directly or as a finished parent", () => {
+    const reminded = items.map((i) => ({ ...i, snoozedUntil: "2026-03-10T09:00:00.000Z", notifiedFor: "2026-03-10T08:45:00.000Z" }));
+    const checked = setDoneWithChildren(setDoneWithChildren(reminded, "2", true), "3", true);
+    expect(checked.map((i) => i.snoozedUntil ?? null)).toEqual([null, null, null, null, "2026-03-10T09:00:00.000Z"]);
+    expect(checked.map((i) => i.notifiedFor ?? null)).toEqual([null, null, null, null, "2026-03-10T08:45:00.000Z"]);
+    expect(setDoneWithChildren(checked, "4", false)[3].snoozedUntil).toBeUndefined();
+  });
+
+  it("counts progress over leaf items", () => {
+    const progress = rollup(setDoneWithChildren(items, "2", true));
+    expect(progress.get("1")).toMatchObject({ done: 1, total: 2 });
+    expect(progress.has("2")).toBe(false);
+    expect(leafItems(items).map((i) => i.id)).toEqual(["2", "4", "5"]);
+  });
+
+  it("totals sections over leaves only, with overdue leaves that are not done", () => {
+    const due = (id, dueDate, done = false) => ({ ...items.find((i) => i.id === id), dueDate, done });
+    const a = [due("1", "2026-01-01"), due("2", "2026-01-01", true), due("3", ""), due("4", "2026-01-01"), due("5", "2026-12-01")];
+    const sections = [{ id: "a", items: a }, { id: "b", items: [{ id: "6", dueDate: "2026-01-01", done: false }] }, { id: "c" }];
+    expect(sectionTotalsOf(sections, "2026-03-01")).toEqual([
+      { id: "a", total: 3, done: 1, left: 2, overdue: 1 },
+      { id: "b", total: 1, done: 0, left: 1, overdue: 1 },
+      { id: "c", total: 0, done: 0, left: 0, overdue: 0 },
+    ]);
+    expect(totalsOf(sections, "2026-03-01")).toEqual({ total: 4, done: 1, left: 3, overdue: 2 });
+  });
+
+  it("repairs orphans, self-parents, cycles and out-of-order children", () => {
+    const broken = tree([["3", "1"], ["1"], ["2", "2"], ["4", "9"], ["5", "6"], ["6", "5"]]);
+    expect(shape(repairTree(broken))).toBe("1 31 2 4 5 6");
+  });
+
+  it("keeps the identity of trees that need no change", () => {
+    expect(syncParents(items)).toBe(items);
+    expect(repairTree(items)).toBe(items);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Checklists: ids, the starter checklist, copies with fresh ids and merging entries by id.
+ * No React; used by App.jsx and the other modules.
+ */
+
+export const uid = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+
+// Copies with fresh ids; sub-tasks point at their parent's new id
+export function withFreshIds(items) {
+  const ids = new Map(items.map((it) => [it.id, uid()]));
+  return items.map((it) =>
+    it.parentId ? { ...it, id: ids.get(it.id), parentId: ids.get(it.parentId) } : { ...it, id: ids.get(it.id) }
+  );
+}
+
+export const DEFAULT_TITLE = "Check-It";
+
+export const makeList = (title = DEFAULT_TITLE, sections) => ({
+  id: uid(),
+  title,
+  archived: false,
+  createdAt: new Date().toISOString(),
+  sections: sections || [
+    { id: uid(), name: "General", items: [{ id: uid(), text: "Add your first task", done: false, dueDate: "" }] },
+  ],
+});
+
+// Deep copy with fresh ids (lists are independent once duplicated)
+export const cloneList = (list, title) => ({
+  ...makeList(title ?? `${list.title || DEFAULT_TITLE} (copy)`),
+  sections: (list.sections || []).map((s) => ({
+    ...s,
+    id: uid(),
+    items: withFreshIds(s.items || []),
+  })),
+});
+
+// Same id = same entry (a re-imported template or saved view updates it); new ones are appended
+export const mergeById = (current = [], incoming = []) => [
+  ...current.map((t) => incoming.find((x) => x.id === t.id) || t),
+  ...incoming.filter((x) => !current.some((t) => t.id === x.id)),
+];
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { cloneList, makeList, mergeById, withFreshIds } from "./lists.js";
+
+describe("withFreshIds", () => {
+  it("gives every item a new id and keeps sub-tasks under their parent", () => {
+    const items = [{ id: "1" }, { id: "2", parentId: "1" }, { id: "3", parentId: "2" }];
+    const copy = withFreshIds(items);
+    expect(copy.map((i) => i.id)).not.toContain("1");
+    expect(new Set(copy.map((i) => i.id)).size).toBe(3);
+    expect(copy[1].parentId).toBe(copy[0].id);
+    expect(copy[2].parentId).toBe(copy[1].id);
+  });
+});
+
+describe("cloneList", () => {
+  it("copies a checklist with fresh ids and a (copy) title", () => {
+    const list = makeList("Ops", [{ id: "s", name: "Prep", items: [{ id: "a", text: "A", done: true }] }]);
+    const copy = cloneList(list);
+    expect(copy.title).toBe("Ops (copy)");
+    expect(copy.id).not.toBe(list.id);
+    expect(copy.sections[0]).toMatchObject({ name: "Prep", items: [{ text: "A", done: true }] });
+    expect(copy.sections[0].id).not.toBe("s");
+    expect(copy.sections[0].items[0].id).not.toBe("a");
+  });
+});
+
+describe("mergeById", () => {
+  it("replaces entries with the same id in place and appends new ones", () => {
+    const current = [{ id: "a", v: 1 }, { id: "b", v: 1 }];
+    expect(mergeById(current, [{ id: "c", v: 2 }, { id: "a", v: 2 }])).toEqual([
+      { id: "a", v: 2 },
+      { id: "b", v: 1 },
+      { id: "c", v: 2 },
+    ]);
+    expect(mergeById(undefined, current)).toEqual(current);
+  });
+});
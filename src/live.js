@@ -0,0 +1,181 @@
+/**
+ * Live shared checklists: the CRDT document, the operations that change it and the relay URL check.
+ * No React; used by App.jsx, covered by live.test.js.
+ *
+ * A shared checklist is a small CRDT: one last-writer-wins register per field of every item and section (plus
+ * the title), stamped { c: Lamport counter, by: tab id }. An operation sets one register:
+ *   { t: "item" | "section" | "list", id, f: field, v: value, c, by }
+ * Applying one keeps whichever stamp is higher, so applying the same operations in any order, any number of
+ * times gives the same document — concurrent edits (updateItem) and drags (moveItem) on different browsers converge.
+ *
+ * Order is a register too: "$pos" holds a fractional key ({ s: sectionId, k } for items), so a drag only rewrites
+ * the keys of what moved; items with equal keys sort by id. Deletes set "$deleted" (undo sets it back).
+ * Operations are not written by hand: every change to the shared list is diffed against the document (liveDiff).
+ * doc: { clock, item: { [id]: { [field]: { v, c, by } } }, section: { … }, list: { title: … } }
+ */
+
+import { repairTree, syncParents } from "./items.js";
+import { DEFAULT_TITLE, uid } from "./lists.js";
+import { sameJSON } from "./merge.js";
+import { stableJSON } from "./sync.js";
+
+const KEY_DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+export const emptyLiveDoc = () => ({ clock: 0, item: {}, section: {}, list: {} });
+
+// A key strictly between a and b ("" = open end); keys never end in "0", so there is always room
+export function keyBetween(a = "", b = "") {
+  let key = "";
+  for (let i = 0; ; i += 1) {
+    const lo = i < a.length ? KEY_DIGITS.indexOf(a[i]) : 0;
+    const hi = b && i < b.length ? KEY_DIGITS.indexOf(b[i]) : KEY_DIGITS.length;
+    if (hi - lo > 1) return key + KEY_DIGITS[Math.floor((lo + hi) / 2)];
+    key += KEY_DIGITS[lo];
+    if (hi > lo) b = ""; // already below b from here on
+  }
+}
+
+const stampAfter = (x, y) => !y || x.c > y.c || (x.c === y.c && x.by > y.by);
+
+// Operations → new document (the same object when none of them wins)
+export function liveApply(doc, ops) {
+  let next = doc;
+  for (const op of ops) {
+    const group = op.t === "list" ? next.list : next[op.t]?.[op.id];
+    if (!["item", "section", "list"].includes(op.t) || !stampAfter(op, group?.[op.f])) continue;
+    if (next === doc) next = { ...doc, item: { ...doc.item }, section: { ...doc.section }, list: { ...doc.list } };
+    const reg = { v: op.v ?? null, c: op.c, by: op.by };
+    if (op.t === "list") next.list[op.f] = reg;
+    else next[op.t][op.id] = { ...next[op.t][op.id], [op.f]: reg };
+    next.clock = Math.max(next.clock, op.c);
+  }
+  return next;
+}
+
+// The whole document as operations (what a room sends to a newcomer)
+export const liveOps = (doc) => [
+  ...Object.entries(doc.list).map(([f, r]) => ({ t: "list", id: "", f, ...r })),
+  ...["section", "item"].flatMap((t) =>
+    Object.entries(doc[t]).flatMap(([id, regs]) => Object.entries(regs).map(([f, r]) => ({ t, id, f, ...r })))
+  ),
+];
+
+const liveFields = (regs) =>
+  Object.fromEntries(
+    Object.entries(regs)
+      .filter(([f, r]) => !f.startsWith("$") && r.v !== null)
+      .map(([f, r]) => [f, r.v])
+  );
+const byKey = (a, b) => (a.k < b.k ? -1 : a.k > b.k ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Document → sections in order, each with its items in order (fields as plain values, pos keys alongside)
+function liveLayout(doc) {
+  const sections = Object.entries(doc.section)
+    .filter(([, r]) => r.$pos && !r.$deleted?.v)
+    .map(([id, r]) => ({ id, k: r.$pos.v, fields: liveFields(r), items: [] }))
+    .sort(byKey);
+  const byId = new Map(sections.map((s) => [s.id, s]));
+  for (const [id, r] of Object.entries(doc.item)) {
+    if (r.$pos && !r.$deleted?.v) byId.get(r.$pos.v.s)?.items.push({ id, k: r.$pos.v.k, fields: liveFields(r) });
+  }
+  for (const s of sections) s.items.sort(byKey);
+  return sections;
+}
+
+// Document → the checklist's sections (reusing unchanged objects of `prev`, so untouched rows don't re-render)
+export function liveMaterialize(doc, prev) {
+  const old = new Map((prev?.sections || []).flatMap((s) => [[s.id, s], ...(s.items || []).map((it) => [it.id, it])]));
+  const same = (a, b) => a === b || stableJSON(a) === stableJSON(b);
+  const reuse = (x) => (same(old.get(x.id), x) ? old.get(x.id) : x);
+  const sections = liveLayout(doc).map((s) => {
+    const items = syncParents(repairTree(s.items.map((it) => reuse({ id: it.id, ...it.fields }))));
+    return reuse({ ...s.fields, id: s.id, items });
+  });
+  const title = doc.list.title?.v ?? prev?.title ?? DEFAULT_TITLE;
+  const list = { ...prev, title, sections: sections.length ? sections : [{ id: uid(), name: "General", items: [] }] };
+  const unchanged =
+    prev?.title === title &&
+    prev.sections.length === list.sections.length &&
+    list.sections.every((s, i) => s === prev.sections[i]);
+  return unchanged ? prev : list;
+}
+
+/**
+ * What changed in `list` compared to the document, as operations stamped for tab `by`. Fields are compared one by
+ * one; for order, items (and sections) that kept their relative order keep their keys and only the rest get new
+ * ones between their neighbours — so a drag is one "$pos" operation per moved item.
+ */
+export function liveDiff(doc, list, by) {
+  const ops = [];
+  let c = doc.clock;
+  const set = (t, id, f, v) => ops.push({ t, id, f, v: v ?? null, c: (c += 1), by });
+  const differs = (reg, v) => !reg || !sameJSON(reg.v, v ?? null);
+
+  // New keys for whatever is out of order; `keyOf` = current key in the document (or none)
+  const rekey = (entries, keyOf) => {
+    const keys = new Map();
+    let prev = "";
+    entries.forEach((x, i) => {
+      const k = keyOf(x);
+      if (k && k > prev) {
+        prev = k;
+        return;
+      }
+      const next = entries.slice(i + 1).map(keyOf).find((nk) => nk && nk > prev) || "";
+      prev = keyBetween(prev, next);
+      keys.set(x.id, prev);
+    });
+    return keys;
+  };
+
+  if (differs(doc.list.title, list.title)) set("list", "", "title", list.title);
+
+  const sectionKeys = rekey(list.sections, (s) => !doc.section[s.id]?.$deleted?.v && doc.section[s.id]?.$pos?.v);
+  const seenSections = new Set();
+  const seenItems = new Set();
+  for (const s of list.sections) {
+    seenSections.add(s.id);
+    const regs = doc.section[s.id] || {};
+    const { id: _id, items = [], ...fields } = s;
+    for (const f of new Set([...Object.keys(fields), ...Object.keys(regs)])) {
+      if (!f.startsWith("$") && differs(regs[f], fields[f])) set("section", s.id, f, fields[f]);
+    }
+    if (sectionKeys.has(s.id)) set("section", s.id, "$pos", sectionKeys.get(s.id));
+    if (regs.$deleted?.v) set("section", s.id, "$deleted", false);
+
+    const itemKeys = rekey(items, (it) => {
+      const r = doc.item[it.id];
+      return !r?.$deleted?.v && r?.$pos?.v.s === s.id && r.$pos.v.k;
+    });
+    for (const it of items) {
+      seenItems.add(it.id);
+      const iregs = doc.item[it.id] || {};
+      const { id: _iid, ...ifields } = it;
+      for (const f of new Set([...Object.keys(ifields), ...Object.keys(iregs)])) {
+        if (!f.startsWith("$") && differs(iregs[f], ifields[f])) set("item", it.id, f, ifields[f]);
+      }
+      if (itemKeys.has(it.id)) set("item", it.id, "$pos", { s: s.id, k: itemKeys.get(it.id) });
+      if (iregs.$deleted?.v) set("item", it.id, "$deleted", false);
+    }
+  }
+  // Gone from the list = deleted (items of a deleted section go with it)
+  for (const [id, r] of Object.entries(doc.section)) if (!seenSections.has(id) && r.$pos && !r.$deleted?.v) set("section", id, "$deleted", true);
+  for (const s of liveLayout(doc)) {
+    for (const it of s.items) if (!seenItems.has(it.id) && seenSections.has(s.id)) set("item", it.id, "$deleted", true);
+  }
+  return ops;
+}
+
+// The operations of `doc` that `known` (the room's document) does not have yet
+export const liveMissing = (doc, known) =>
+  liveOps(doc).filter((op) => stampAfter(op, op.t === "list" ? known.list[op.f] : known[op.t][op.id]?.[op.f]));
+
+// What the WebSocket constructor accepts (it throws on anything else)
+export const isLiveUrl = (v) => {
+  try {
+    const u = new URL(v);
+    return (u.protocol === "ws:" || u.protocol === "wss:") && !u.hash;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import { moveItemById } from "./items.js";
+import { emptyLiveDoc, isLiveUrl, keyBetween, liveApply, liveDiff, liveMaterialize, liveMissing, liveOps } from "./live.js";
+
+const list = { id: "L", title: "T", sections: [{ id: "s", name: "S", items: ["a", "b", "c"].map((id) => ({ id, text: id })) }] };
+const base = liveApply(emptyLiveDoc(), liveDiff(emptyLiveDoc(), list, "x"));
+const order = (l) => l.sections[0].items.map((it) => it.id).join("");
+const moved = (l, itemId, targetId) => ({
+  ...l,
+  sections: moveItemById(l.sections, { itemId, fromSectionId: "s", toSectionId: "s", targetId }),
+});
+const edited = (l, id, patch) => ({
+  ...l,
+  sections: [{ ...l.sections[0], items: l.sections[0].items.map((it) => (it.id === id ? { ...it, ...patch } : it)) }],
+});
+// Every order of a few op batches, applied one batch after the other
+const orders = (batches) =>
+  batches.length <= 1 ? [batches] : batches.flatMap((b, i) => orders(batches.filter((_, j) => j !== i)).map((rest) => [b, ...rest]));
+const applyAll = (doc, batches) => batches.reduce(liveApply, doc);
+
+describe("keyBetween", () => {
+  it("makes a key strictly between two keys, or before / after one", () => {
+    const k = keyBetween("", "");
+    expect(keyBetween("", k) < k).toBe(true);
+    expect(keyBetween(k, "") > k).toBe(true);
+    expect(keyBetween("a", "b")).toMatch(/^a./);
+    expect(keyBetween("a", "a1") > "a").toBe(true);
+    expect(keyBetween("a", "a1") < "a1").toBe(true);
+  });
+
+  it("keeps finding room when inserting at the front over and over", () => {
+    let k = "";
+    for (let i = 0; i < 50; i += 1) {
+      const next = keyBetween("", k);
+      expect(!k || next < k).toBe(true);
+      expect(next.endsWith("0")).toBe(false);
+      k = next;
+    }
+  });
+});
+
+describe("document", () => {
+  it("round-trips a checklist and reuses it when nothing changed", () => {
+    expect(liveMaterialize(base, list)).toBe(list);
+    expect(liveMaterialize(base, { id: "L" })).toEqual({ id: "L", ...list });
+    expect(liveDiff(base, list, "x")).toEqual([]);
+  });
+
+  it("makes a drag one operation and a delete a tombstone", () => {
+    const ops = liveDiff(base, moved(list, "a", "c"), "x");
+    expect(ops.map((op) => [op.id, op.f])).toEqual([["a", "$pos"]]);
+    const gone = liveApply(base, liveDiff(base, { ...list, sections: [{ ...list.sections[0], items: list.sections[0].items.slice(1) }] }, "x"));
+    expect(gone.item.a.$deleted.v).toBe(true);
+    expect(order(liveMaterialize(gone, list))).toBe("bc");
+  });
+
+  it("ignores operations it does not know", () => {
+    expect(liveApply(base, [{ t: "other", id: "a", f: "text", v: "x", c: 99, by: "x" }])).toBe(base);
+  });
+});
+
+describe("concurrent changes", () => {
+  it("converges on concurrent reorders of the same section, whatever order they arrive in", () => {
+    const opsX = liveDiff(base, moved(list, "a", "c"), "x");
+    const opsY = liveDiff(base, moved(list, "c", "a"), "y");
+    const results = orders([opsX, opsY]).map((b) => liveMaterialize(applyAll(base, b), list));
+    expect(results[0]).toEqual(results[1]);
+    expect(order(results[0])).toHaveLength(3);
+  });
+
+  it("keeps the higher stamp for concurrent edits of the same field", () => {
+    const opsX = liveDiff(base, edited(list, "b", { text: "from x" }), "x");
+    const opsY = liveDiff(base, edited(list, "b", { text: "from y" }), "y");
+    expect(opsX[0].c).toBe(opsY[0].c);
+    // Same counter: the tab id breaks the tie
+    for (const b of orders([opsX, opsY])) expect(liveMaterialize(applyAll(base, b), list).sections[0].items[1].text).toBe("from y");
+
+    const later = liveApply(base, opsX);
+    const opsZ = liveDiff(later, edited(liveMaterialize(later, list), "b", { text: "from a" }), "a");
+    for (const b of orders([opsX, opsY, opsZ])) expect(liveMaterialize(applyAll(base, b), list).sections[0].items[1].text).toBe("from a");
+  });
+
+  it("merges edits of different fields and items", () => {
+    const opsX = liveDiff(base, edited(list, "a", { done: true }), "x");
+    const opsY = [...liveDiff(base, edited(list, "a", { text: "A" }), "y"), ...liveDiff(base, { ...list, title: "T2" }, "y")];
+    const opsZ = liveDiff(base, moved(list, "c", "a"), "z");
+    const results = orders([opsX, opsY, opsZ]).map((b) => liveMaterialize(applyAll(base, b), list));
+    for (const r of results) expect(r).toEqual(results[0]);
+    expect(results[0].title).toBe("T2");
+    expect(results[0].sections[0].items.find((it) => it.id === "a")).toEqual({ id: "a", text: "A", done: true });
+    expect(order(results[0])).toBe("cab");
+  });
+
+  it("gives the same document for operations applied twice or one at a time", () => {
+    const ops = [...liveDiff(base, edited(list, "a", { text: "A" }), "x"), ...liveDiff(base, moved(list, "c", "a"), "y")];
+    const once = liveApply(base, ops);
+    expect(liveApply(once, ops)).toBe(once);
+    expect([...ops].reverse().reduce((d, op) => liveApply(d, [op]), base)).toEqual(once);
+  });
+
+  it("lets a later edit bring back an item deleted elsewhere", () => {
+    const gone = liveApply(base, liveDiff(base, { ...list, sections: [{ ...list.sections[0], items: [] }] }, "x"));
+    const back = liveApply(gone, liveDiff(gone, list, "y"));
+    expect(order(liveMaterialize(back, list))).toBe("abc");
+  });
+});
+
+describe("liveMissing", () => {
+  it("finds the operations a room's document lacks", () => {
+    expect(liveMissing(base, liveApply(emptyLiveDoc(), liveOps(base)))).toEqual([]);
+    const ops = liveDiff(base, edited(list, "b", { text: "B" }), "x");
+    expect(liveMissing(liveApply(base, ops), base)).toEqual(ops);
+    expect(liveMissing(base, emptyLiveDoc())).toHaveLength(liveOps(base).length);
+  });
+});
+
+describe("isLiveUrl", () => {
+  it("accepts WebSocket URLs only", () => {
+    expect(["wss://relay.example/room", "ws://localhost:8787"].every(isLiveUrl)).toBe(true);
+    expect(["https://relay.example", "wss://relay.example/#x", "relay", ""].some(isLiveUrl)).toBe(false);
+  });
+});
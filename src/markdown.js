@@ -0,0 +1,158 @@
+/**
+ * Markdown / plain-text task lists: export, parsing for import and paste, and matching parsed items to the
+ * ones already in the checklist (CSV import uses that too). No React; used by App.jsx, covered by markdown.test.js.
+ */
+
+import { isISODate, nowISO } from "./dates.js";
+import { MAX_DEPTH, itemDepths, syncParents } from "./items.js";
+import { DEFAULT_TITLE, uid } from "./lists.js";
+import { formatDue, isHHMM } from "./reminders.js";
+
+// `# Title`, `## Section`, `- [ ] item` / `- [x] item`, optional ` (due YYYY-MM-DD[ HH:MM])` — the email format
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_EMAIL_HEADING = /^\s*==\s*(.*?)\s*==\s*$/;
+export const MD_TASK = /^\s*(?:[-*+]|\d+[.)])?\s*\[([ xX-])\]\s+(.*)$/; // [-] = partly done parent (email)
+const MD_BULLET = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const MD_DUE = /\s*\(due (\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?\)\s*$/i;
+
+export function toMarkdown({ title, sections }) {
+  const lines = [`# ${title || DEFAULT_TITLE}`];
+  for (const s of sections) {
+    lines.push("", `## ${s.name || "Untitled section"}`);
+    const depth = itemDepths(s.items || []);
+    for (const it of s.items || []) {
+      const due = it.dueDate ? ` (due ${formatDue(it)})` : "";
+      lines.push(`${"  ".repeat(depth.get(it.id))}- [${it.done ? "x" : " "}] ${it.text}${due}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const parseTaskLine = (raw, done, updatedAt) => {
+  const m = raw.match(MD_DUE);
+  const dated = m && isISODate(m[1]);
+  const text = (dated ? raw.slice(0, m.index) : raw).trim();
+  if (!text) return null;
+  const it = { id: uid(), text, done, dueDate: dated ? m[1] : "", updatedAt };
+  if (dated && isHHMM(m[2])) it.dueTime = m[2];
+  return it;
+};
+
+/**
+ * Parse a Markdown task list (or plain text, one item per line) into `{ title, sections }`.
+ * The first `# ` heading is the title; other headings (and the email's `== Name ==`) start sections.
+ * Items before any section heading go into a section with `name: null` — the caller decides where.
+ * When the text has task or bullet lines, other prose is ignored; otherwise every line is an item.
+ * Indented items become sub-tasks of the item above them (up to MAX_DEPTH levels).
+ */
+export function parseTaskList(text, now = nowISO()) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const listy = lines.some((l) => MD_TASK.test(l) || MD_BULLET.test(l));
+  let title = "";
+  const sections = [];
+  let current = null;
+  let stack = []; // open parents: { indent, id }
+  const target = () => {
+    if (!current) sections.push((current = { id: uid(), name: null, items: [], updatedAt: now }));
+    return current;
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const h = line.match(MD_HEADING);
+    if (h && h[1] === "#" && !title && !sections.length) {
+      title = h[2];
+      continue;
+    }
+    const heading = h ? h[2] : line.match(MD_EMAIL_HEADING)?.[1];
+    if (heading != null) {
+      sections.push((current = { id: uid(), name: heading || "Untitled section", items: [], updatedAt: now }));
+      stack = [];
+      continue;
+    }
+    const task = line.match(MD_TASK);
+    const bullet = !task && line.match(MD_BULLET);
+    if (!task && !bullet && listy) continue;
+    const it = task ? parseTaskLine(task[2], /x/i.test(task[1]), now) : parseTaskLine(bullet ? bullet[1] : line, false, now);
+    if (!it) continue;
+    const indent = line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    stack = stack.slice(0, MAX_DEPTH - 1);
+    if (stack.length) it.parentId = stack[stack.length - 1].id;
+    stack.push({ indent, id: it.id });
+    target().items.push(it);
+  }
+  for (const s of sections) s.items = syncParents(s.items);
+  return { title, sections };
+}
+
+export const countItems = (sections) => sections.reduce((n, s) => n + (s.items || []).length, 0);
+
+// Item fields a Markdown task list carries; CSV carries the same minus the time
+const MD_FIELDS = ["text", "done", "dueDate", "dueTime", "parentId"];
+
+const fieldValue = (it, f) =>
+  f === "done" ? !!it.done : f === "dueTime" ? (isHHMM(it.dueTime) ? it.dueTime : "") : String(it[f] || "");
+
+/**
+ * Text formats have no (or unreliable) ids: match parsed sections to `current` by name, and items by
+ * id when the file has a known one, else by text — so the import dialog shows real changes and Merge
+ * updates items in place. A matched item keeps everything the format can't express (repeat,
+ * reminder, …) and its timestamp if none of the carried `fields` changed.
+ */
+export function adoptExisting(incoming, current, fields = MD_FIELDS) {
+  const norm = (v) => String(v || "").trim().toLowerCase();
+  const usedSecs = new Set();
+  const used = new Set();
+  const adopted = new Map(); // incoming id → id it ends up with
+  const byId = new Map();
+  const pool = new Map();
+  for (const s of current) {
+    for (const it of s.items || []) {
+      byId.set(it.id, it);
+      const key = norm(it.text);
+      pool.set(key, [...(pool.get(key) || []), it]);
+    }
+  }
+  const find = (it) => {
+    const known = byId.get(it.id);
+    if (known && !used.has(known.id)) return known;
+    return (pool.get(norm(it.text)) || []).find((x) => !used.has(x.id));
+  };
+
+  return incoming.map((s) => {
+    const sec = current.find((x) => !usedSecs.has(x.id) && norm(x.name) === norm(s.name));
+    if (sec) usedSecs.add(sec.id);
+    const items = s.items.map((parsed) => {
+      // sub-tasks follow their parent to the id it ends up with
+      const parentId = parsed.parentId && (adopted.get(parsed.parentId) ?? parsed.parentId);
+      const it = parentId === parsed.parentId ? parsed : { ...parsed, parentId };
+      const match = find(it);
+      adopted.set(parsed.id, match ? match.id : it.id);
+      if (!match) return it;
+      used.add(match.id);
+      if (fields.every((f) => fieldValue(match, f) === fieldValue(it, f))) return match;
+      const next = { ...match, updatedAt: it.updatedAt };
+      for (const f of fields) next[f] = it[f];
+      const rescheduled = ["dueDate", "dueTime"].some((f) => fields.includes(f) && fieldValue(match, f) !== fieldValue(it, f));
+      if (rescheduled) next.snoozedUntil = undefined;
+      return next;
+    });
+    return sec ? { ...s, id: sec.id, name: sec.name, updatedAt: sec.updatedAt, items } : { ...s, items };
+  });
+}
+
+// Pasted items: loose ones go to `sectionId`, headed ones to the section with that name (or a new one)
+export function pasteIntoSections(sections, parsed, sectionId) {
+  const norm = (v) => String(v || "").trim().toLowerCase();
+  const next = sections.map((s) => ({ ...s, items: [...(s.items || [])] }));
+  for (const p of parsed.sections) {
+    const into =
+      p.name == null
+        ? next.find((s) => s.id === sectionId) || next[0]
+        : next.find((s) => norm(s.name) === norm(p.name));
+    if (into) into.items.push(...p.items);
+    else next.push({ ...p, name: p.name ?? "General" });
+  }
+  return next;
+}
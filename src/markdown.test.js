@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { adoptExisting, countItems, parseTaskList, pasteIntoSections, toMarkdown } from "./markdown.js";
+
+const sections = [
+  {
+    id: "a",
+    name: "Prep",
+    items: [
+      { id: "1", text: "Check (logs)", done: true, dueDate: "2026-10-20", dueTime: "09:30" },
+      { id: "2", text: "Order parts", done: false, dueDate: "2026-10-21" },
+      { id: "3", text: "Bolts", done: true, dueDate: "", parentId: "2" },
+      { id: "4", text: "M6", done: true, dueDate: "", parentId: "3" },
+      { id: "5", text: "Nuts", done: false, dueDate: "", parentId: "2" },
+    ],
+  },
+  { id: "b", name: "Go", items: [{ id: "6", text: "Ship", done: false, dueDate: "" }] },
+  { id: "c", name: "Empty", items: [] },
+];
+// What the format carries, with parents by position
+const shape = (secs) =>
+  secs.map((s) => ({
+    name: s.name,
+    items: s.items.map((i) => ({
+      text: i.text,
+      done: !!i.done,
+      dueDate: i.dueDate || "",
+      dueTime: i.dueTime || "",
+      parent: s.items.findIndex((p) => p.id === i.parentId),
+    })),
+  }));
+
+describe("Markdown round trip", () => {
+  const md = toMarkdown({ title: "Runbook", sections });
+
+  it("writes headings, checkboxes, due dates and indented sub-tasks", () => {
+    expect(md).toBe(
+      [
+        "# Runbook",
+        "",
+        "## Prep",
+        "- [x] Check (logs) (due 2026-10-20 09:30)",
+        "- [ ] Order parts (due 2026-10-21)",
+        "  - [x] Bolts",
+        "    - [x] M6",
+        "  - [ ] Nuts",
+        "",
+        "## Go",
+        "- [ ] Ship",
+        "",
+        "## Empty",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("reads back the same title, sections, order, completion, due dates and nesting", () => {
+    const back = parseTaskList(md);
+    expect(back.title).toBe("Runbook");
+    expect(shape(back.sections)).toEqual(shape(sections));
+  });
+
+  it("keeps the text when a parenthesis is not a due date", () => {
+    expect(parseTaskList("- [ ] Call (due soon)").sections[0].items[0]).toMatchObject({ text: "Call (due soon)", dueDate: "" });
+  });
+});
+
+describe("parseTaskList", () => {
+  it("turns plain lines into items of an unnamed section", () => {
+    const { title, sections: secs } = parseTaskList("milk\neggs (due 2026-10-21)\n");
+    expect(title).toBe("");
+    expect(secs).toHaveLength(1);
+    expect(secs[0].name).toBeNull();
+    expect(secs[0].items.map((i) => [i.text, i.dueDate])).toEqual([["milk", ""], ["eggs", "2026-10-21"]]);
+  });
+
+  it("ignores prose around a list and reads bullets and the email format", () => {
+    const text = "Hi all,\n\n== Prep ==\n[-] Parent\n  [x] Child\n* bullet\n1. numbered\nThanks!";
+    const [sec] = parseTaskList(text).sections;
+    expect(sec.name).toBe("Prep");
+    expect(sec.items.map((i) => `${i.text}:${i.done}`)).toEqual(["Parent:true", "Child:true", "bullet:false", "numbered:false"]);
+    expect(sec.items[1].parentId).toBe(sec.items[0].id);
+  });
+
+  it("nests no deeper than three levels", () => {
+    const [sec] = parseTaskList("- [ ] a\n  - [ ] b\n    - [ ] c\n      - [ ] d").sections;
+    expect(sec.items[3].parentId).toBe(sec.items[1].id);
+  });
+
+  it("checks a parent whose sub-tasks are all done", () => {
+    const [sec] = parseTaskList("- [ ] a\n  - [x] b").sections;
+    expect(sec.items[0].done).toBe(true);
+  });
+});
+
+describe("adoptExisting", () => {
+  it("reuses ids of sections by name and items by text", () => {
+    const back = parseTaskList(toMarkdown({ title: "T", sections })).sections;
+    const adopted = adoptExisting(back, sections);
+    expect(adopted.map((s) => s.id)).toEqual(["a", "b", "c"]);
+    expect(adopted[0].items.map((i) => i.id)).toEqual(["1", "2", "3", "4", "5"]);
+    expect(adopted[1].items[0]).toBe(sections[1].items[0]);
+  });
+
+  it("updates changed items in place and keeps what the format cannot carry", () => {
+    const current = [{ id: "a", name: "Prep", items: [{ id: "1", text: "Pay", done: false, dueDate: "2026-10-20", remind: "1h", snoozedUntil: "x" }] }];
+    const [sec] = adoptExisting(parseTaskList("## prep\n- [x] pay (due 2026-10-22)", "2026-10-18T00:00:00Z").sections, current);
+    expect(sec.items[0]).toMatchObject({ id: "1", text: "pay", done: true, dueDate: "2026-10-22", remind: "1h", updatedAt: "2026-10-18T00:00:00Z" });
+    expect(sec.items[0].snoozedUntil).toBeUndefined();
+  });
+});
+
+describe("pasteIntoSections", () => {
+  it("adds loose items to the focused section and headed ones by name", () => {
+    const current = [
+      { id: "a", name: "Prep", items: [] },
+      { id: "b", name: "Go", items: [] },
+    ];
+    const next = pasteIntoSections(current, parseTaskList("- [ ] one\n## go\n- [ ] two\n## New\n- [ ] three"), "b");
+    expect(next.map((s) => `${s.name}:${s.items.map((i) => i.text)}`)).toEqual(["Prep:", "Go:one,two", "New:three"]);
+    expect(countItems(next)).toBe(3);
+    expect(current[1].items).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Merging checklists: the import diff / merge / append and the three-way merge of another tab's save
+ * (sections and items matched by id). No React; used by App.jsx, sync.js and live.js, covered by merge.test.js.
+ */
+
+import { mergeCompletions } from "./history.js";
+import { repairTree, syncParents } from "./items.js";
+import { uid, withFreshIds } from "./lists.js";
+
+// Key-order independent fingerprint of an item's content (ignores id + timestamps)
+export const itemSignature = (it) => {
+  const { id: _id, updatedAt: _u, ...rest } = it;
+  const sortKeys = (v) =>
+    Array.isArray(v)
+      ? v.map(sortKeys)
+      : v && typeof v === "object"
+        ? Object.fromEntries(
+            Object.keys(v)
+              .filter((k) => v[k] !== undefined)
+              .sort()
+              .map((k) => [k, sortKeys(v[k])])
+          )
+        : v;
+  return JSON.stringify(sortKeys(rest));
+};
+
+export const isNewer = (a, b) => String(a?.updatedAt || "") > String(b?.updatedAt || "");
+
+function indexItems(sections) {
+  const map = new Map();
+  for (const s of sections) for (const it of s.items || []) map.set(it.id, { it, section: s });
+  return map;
+}
+
+/**
+ * What importing `incoming` would do to `current`, matched by id:
+ * items added / removed / changed (content or section), sections added / removed / renamed.
+ */
+export function diffSections(current, incoming) {
+  const curItems = indexItems(current);
+  const incItems = indexItems(incoming);
+  const curSecs = new Map(current.map((s) => [s.id, s]));
+  const incSecs = new Map(incoming.map((s) => [s.id, s]));
+
+  const items = { added: [], removed: [], changed: [] };
+  for (const [id, inc] of incItems) {
+    const cur = curItems.get(id);
+    if (!cur) items.added.push(inc);
+    else if (itemSignature(cur.it) !== itemSignature(inc.it) || cur.section.id !== inc.section.id) {
+      items.changed.push({ before: cur, after: inc, incomingNewer: isNewer(inc.it, cur.it) });
+    }
+  }
+  for (const [id, cur] of curItems) if (!incItems.has(id)) items.removed.push(cur);
+
+  const secs = {
+    added: incoming.filter((s) => !curSecs.has(s.id)),
+    removed: current.filter((s) => !incSecs.has(s.id)),
+    renamed: incoming.filter((s) => curSecs.has(s.id) && curSecs.get(s.id).name !== s.name),
+  };
+  return { items, sections: secs };
+}
+
+/**
+ * Merge keeps everything from both sides. Items/sections present on both sides take
+ * the newest edit (by updatedAt; ties keep the current version) and stay where they
+ * are in the current list. New sections/items are appended in the file's order.
+ */
+export function mergeSections(current, incoming) {
+  const incItems = indexItems(incoming);
+  const curItems = indexItems(current);
+  const curSecIds = new Set(current.map((s) => s.id));
+
+  const merged = current.map((s) => {
+    const inc = incoming.find((x) => x.id === s.id);
+    const items = (s.items || []).map((it) => {
+      const other = incItems.get(it.id)?.it;
+      return other && isNewer(other, it) ? other : it;
+    });
+    const extra = inc ? (inc.items || []).filter((it) => !curItems.has(it.id)) : [];
+    const name = inc && isNewer(inc, s) ? inc.name : s.name;
+    // new sub-tasks are appended, so regroup them under their parents
+    return { ...s, name, items: syncParents(repairTree([...items, ...extra])) };
+  });
+
+  for (const inc of incoming) {
+    if (curSecIds.has(inc.id)) continue;
+    merged.push({ ...inc, items: syncParents(repairTree((inc.items || []).filter((it) => !curItems.has(it.id)))) });
+  }
+  return merged;
+}
+
+// Append: every incoming section as a new section (fresh ids, so nothing collides)
+export const appendSections = (current, incoming) => [
+  ...current,
+  ...incoming.map((s) => ({ ...s, id: uid(), items: withFreshIds(s.items || []) })),
+];
+
+/**
+ * When another tab saves, this tab merges `remote` (what is saved now) into `local` (what it shows), using
+ * `base` (what this tab last saved or loaded) to tell who changed what:
+ * - a side that did not change something since `base` takes the other side's version (edits, adds, deletes)
+ * - an item edited on both sides keeps the newest edit (by updatedAt) and is reported as a conflict
+ * - something deleted on one side but edited on the other is kept (and reported)
+ * - order follows `remote`, unless only this tab reordered; the active checklist stays this tab's own
+ * Returns { workspace, synced, conflicts }: `workspace` is `local` itself when nothing came in; `synced` is
+ * `remote` re-using `workspace`'s objects where they hold the same content (what the storage now has).
+ */
+export const sameJSON = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+const sectionSignature = (s) => JSON.stringify([s.name, (s.items || []).map((it) => [it.id, itemSignature(it)])]);
+export const listSignature = (l) =>
+  JSON.stringify([l.title, !!l.archived, l.sections.map(sectionSignature), (l.archive || []).map((e) => e.id)]);
+
+// Three-way merge of arrays of { id }: `pick(b, l, r)` merges an entry both sides kept; `same(a, b)` = unchanged
+function merge3ById(base = [], local = [], remote = [], { same, pick, onConflict }) {
+  const b = new Map(base.map((x) => [x.id, x]));
+  const l = new Map(local.map((x) => [x.id, x]));
+  const r = new Map(remote.map((x) => [x.id, x]));
+  const ids = (arr) => arr.map((x) => x.id).join();
+  // only this side reordered → keep its order; otherwise the other tab's order
+  const skeleton = ids(remote) === ids(base) ? local : remote;
+  const other = skeleton === local ? remote : local;
+
+  const order = skeleton.map((x) => x.id);
+  other.forEach((x, i) => {
+    if (order.includes(x.id)) return;
+    const prev = other.slice(0, i).reverse().find((p) => order.includes(p.id));
+    order.splice(prev ? order.indexOf(prev.id) + 1 : 0, 0, x.id);
+  });
+
+  const out = [];
+  for (const id of order) {
+    const [bx, lx, rx] = [b.get(id), l.get(id), r.get(id)];
+    if (lx && rx) out.push(pick(bx, lx, rx));
+    else if (!bx) out.push(lx || rx); // added on one side
+    else if (!same(bx, lx || rx)) {
+      onConflict(lx || rx, lx ? "deleted in another tab" : "deleted here");
+      out.push(lx || rx);
+    }
+  }
+  return out;
+}
+
+export function mergeWorkspaces(base, local, remote) {
+  const conflicts = [];
+  const report = (it, why) => conflicts.push({ id: it.id, text: it.text ?? it.name ?? it.title ?? "", why });
+  const scalar = (b, l, r) => (l === r || l !== b ? l : r); // both changed → this tab's
+  const bySig = (sig) => (a, b) => sig(a) === sig(b);
+
+  const pickItem = (b, l, r) => {
+    if (itemSignature(l) === itemSignature(r)) return l;
+    if (b && itemSignature(r) === itemSignature(b)) return l;
+    if (b && itemSignature(l) === itemSignature(b)) return r;
+    report(l, "edited in both tabs");
+    return isNewer(r, l) ? r : l;
+  };
+  const pickList = (b, l, r) => {
+    if (listSignature(l) === listSignature(r)) return l;
+    // Items are merged per section; one moved to another section on one side then shows up in both —
+    // it stays where the move put it (with the other side's edits), so held-back reports skip it
+    const held = [];
+    const hold = (it, why) => held.push([it, why]);
+    const mergeItems = (bs, ls, rs) =>
+      merge3ById(bs, ls, rs, { same: bySig(itemSignature), pick: pickItem, onConflict: hold });
+    const pickSection = (bs, ls, rs) =>
+      sectionSignature(ls) === sectionSignature(rs)
+        ? ls
+        : { ...ls, name: scalar(bs?.name, ls.name, rs.name), items: mergeItems(bs?.items, ls.items, rs.items) };
+    const sections = merge3ById(b?.sections, l.sections, r.sections, {
+      same: bySig(sectionSignature),
+      pick: pickSection,
+      onConflict: hold,
+    });
+
+    const [bi, li, ri] = [indexItems(b?.sections || []), indexItems(l.sections), indexItems(r.sections)];
+    const moved = new Set();
+    for (const sec of sections) {
+      for (const it of sec.items || []) if (bi.has(it.id) && bi.get(it.id).section.id !== sec.id) moved.add(it.id);
+    }
+    for (const [it, why] of held) if (!moved.has(it.id)) report(it, why);
+    const final = (it) =>
+      moved.has(it.id) && li.has(it.id) && ri.has(it.id)
+        ? pickItem(bi.get(it.id).it, li.get(it.id).it, ri.get(it.id).it)
+        : it;
+    const stays = (sec) => (it) => !moved.has(it.id) || bi.get(it.id).section.id !== sec.id;
+
+    return {
+      ...l,
+      title: scalar(b?.title, l.title, r.title),
+      archived: scalar(b?.archived, l.archived, r.archived),
+      sections: sections.map((sec) => ({
+        ...sec,
+        items: syncParents(repairTree((sec.items || []).filter(stays(sec)).map(final))),
+      })),
+      archive: merge3ById(b?.archive, l.archive, r.archive, { same: () => true, pick: (_b, x) => x, onConflict: report }),
+    };
+  };
+
+  const lists = merge3ById(base.lists, local.lists, remote.lists, {
+    same: bySig(listSignature),
+    pick: pickList,
+    onConflict: report,
+  });
+  const shared = {};
+  for (const k of ["settings", "templates", "views"]) shared[k] = sameJSON(local[k], base[k]) ? remote[k] : local[k];
+  shared.completions = mergeCompletions(local.completions, remote.completions);
+
+  const changed =
+    lists.length !== local.lists.length ||
+    lists.some((l, i) => l !== local.lists[i]) ||
+    ["settings", "templates", "views", "completions"].some((k) => !sameJSON(shared[k], local[k]));
+  const activeId = lists.some((l) => l.id === local.activeId) ? local.activeId : lists.find((l) => !l.archived)?.id;
+  const workspace = changed ? { ...local, ...shared, activeId, lists } : local;
+
+  const synced = { ...remote, activeId: workspace.activeId };
+  synced.lists = remote.lists.map((r) => {
+    const l = workspace.lists.find((x) => x.id === r.id);
+    return l && listSignature(l) === listSignature(r) ? l : r;
+  });
+  for (const k of ["settings", "templates", "views", "completions"]) if (sameJSON(workspace[k], remote[k])) synced[k] = workspace[k];
+  return { workspace, synced, conflicts };
+}
@@ -0,0 +1,183 @@
+import { describe, expect, it } from "vitest";
+import { appendSections, diffSections, isNewer, itemSignature, mergeSections, mergeWorkspaces } from "./merge.js";
+
+const item = (id, text, updatedAt, extra = {}) => ({ id, text, done: false, dueDate: "", updatedAt, ...extra });
+const current = [
+  { id: "s", name: "Prep", updatedAt: "2026-01-02", items: [item("1", "old", "2026-01-02"), item("2", "keep", "2026-01-01")] },
+  { id: "t", name: "Gone", items: [item("3", "only here", "2026-01-01")] },
+];
+const incoming = [
+  {
+    id: "s",
+    name: "Prep (file)",
+    updatedAt: "2026-01-01",
+    items: [item("1", "new", "2026-01-01"), item("2", "keep", "2026-01-05"), item("4", "added", "2026-01-03")],
+  },
+  { id: "u", name: "New", items: [item("5", "fresh", "2026-01-03")] },
+];
+const texts = (sections) => sections.map((s) => `${s.name}: ${s.items.map((it) => it.text).join(", ")}`);
+
+describe("itemSignature / isNewer", () => {
+  it("ignores id, timestamps, key order and undefined fields", () => {
+    expect(itemSignature({ id: "a", text: "x", done: true, updatedAt: "1" })).toBe(
+      itemSignature({ done: true, id: "b", text: "x", note: undefined, updatedAt: "2" })
+    );
+    expect(itemSignature({ text: "x", tags: ["a"] })).not.toBe(itemSignature({ text: "x", tags: ["b"] }));
+  });
+
+  it("compares updatedAt, missing counting as oldest", () => {
+    expect(isNewer({ updatedAt: "2026-01-02" }, { updatedAt: "2026-01-01" })).toBe(true);
+    expect(isNewer({ updatedAt: "2026-01-01" }, { updatedAt: "2026-01-01" })).toBe(false);
+    expect(isNewer({}, { updatedAt: "2026-01-01" })).toBe(false);
+    expect(isNewer({ updatedAt: "2026-01-01" }, undefined)).toBe(true);
+  });
+});
+
+describe("diffSections", () => {
+  const d = diffSections(current, incoming);
+
+  it("finds added, removed and changed items, with which side is newer", () => {
+    expect(d.items.added.map((x) => x.it.id)).toEqual(["4", "5"]);
+    expect(d.items.removed.map((x) => x.it.id)).toEqual(["3"]);
+    expect(d.items.changed.map((c) => [c.before.it.text, c.after.it.text, c.incomingNewer])).toEqual([["old", "new", false]]);
+  });
+
+  it("counts a move to another section as a change", () => {
+    const moved = [{ id: "t", name: "Gone", items: [item("1", "old", "2026-01-02")] }];
+    expect(diffSections(current, moved).items.changed[0]).toMatchObject({ before: { section: { id: "s" } }, after: { section: { id: "t" } } });
+  });
+
+  it("finds added, removed and renamed sections", () => {
+    expect(d.sections.added.map((s) => s.id)).toEqual(["u"]);
+    expect(d.sections.removed.map((s) => s.id)).toEqual(["t"]);
+    expect(d.sections.renamed.map((s) => s.name)).toEqual(["Prep (file)"]);
+  });
+});
+
+describe("mergeSections", () => {
+  it("keeps both sides, the newest edit of each item and the current order", () => {
+    const merged = mergeSections(current, incoming);
+    expect(texts(merged)).toEqual(["Prep: old, keep, added", "Gone: only here", "New: fresh"]);
+    expect(merged[0].items[1].updatedAt).toBe("2026-01-05");
+  });
+
+  it("takes a section name only when the incoming section is newer", () => {
+    expect(mergeSections(current, incoming)[0].name).toBe("Prep");
+    expect(mergeSections(current, [{ ...incoming[0], updatedAt: "2026-02-01" }])[0].name).toBe("Prep (file)");
+  });
+
+  it("puts new sub-tasks under their parent and keeps an item found in another section where it is", () => {
+    const inc = [
+      { id: "s", name: "Prep", items: [item("6", "child", "2026-01-03", { parentId: "1" })] },
+      { id: "u", name: "New", items: [item("3", "moved", "2026-01-09"), item("7", "seven", "2026-01-03")] },
+    ];
+    const merged = mergeSections(current, inc);
+    expect(merged[0].items.map((it) => `${it.id}${it.parentId || ""}`)).toEqual(["1", "61", "2"]);
+    expect(texts(merged).slice(1)).toEqual(["Gone: moved", "New: seven"]);
+  });
+});
+
+describe("appendSections", () => {
+  it("adds every incoming section with fresh ids", () => {
+    const out = appendSections(current, incoming);
+    expect(texts(out)).toEqual(["Prep: old, keep", "Gone: only here", "Prep (file): new, keep, added", "New: fresh"]);
+    const ids = out.flatMap((s) => [s.id, ...s.items.map((it) => it.id)]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe("mergeWorkspaces", () => {
+  const base = {
+    activeId: "L",
+    settings: { timeZone: "" },
+    templates: [],
+    views: [],
+    completions: [],
+    lists: [
+      {
+        id: "L",
+        title: "Ops",
+        archived: false,
+        archive: [],
+        sections: [
+          { id: "s", name: "Prep", items: [item("1", "one", "2026-01-01"), item("2", "two", "2026-01-01"), item("3", "three", "2026-01-01")] },
+          { id: "t", name: "Ship", items: [item("4", "four", "2026-01-01")] },
+        ],
+      },
+      { id: "M", title: "Home", archived: false, sections: [{ id: "h", name: "General", items: [] }] },
+    ],
+  };
+  // Copy of `ws` with the items of checklist L's section `sid` replaced
+  const withItems = (ws, sid, fn) => ({
+    ...ws,
+    lists: ws.lists.map((l) => (l.id !== "L" ? l : { ...l, sections: l.sections.map((s) => (s.id === sid ? { ...s, items: fn(s.items) } : s)) })),
+  });
+  const edit = (id, text, updatedAt) => (items) => items.map((it) => (it.id === id ? { ...it, text, updatedAt } : it));
+  const prep = (ws) => ws.lists[0].sections[0].items.map((it) => it.text).join();
+
+  it("keeps this tab's workspace when the other tab changed nothing", () => {
+    const local = withItems(base, "s", edit("1", "mine", "2026-01-02"));
+    const out = mergeWorkspaces(base, local, base);
+    expect(out.workspace).toEqual(local);
+    expect(out.conflicts).toEqual([]);
+  });
+
+  it("takes edits made on one side and keeps this tab's own", () => {
+    const local = withItems(base, "s", edit("1", "mine", "2026-01-02"));
+    const remote = withItems(base, "s", edit("2", "theirs", "2026-01-02"));
+    const { workspace, conflicts, synced } = mergeWorkspaces(base, local, remote);
+    expect(prep(workspace)).toBe("mine,theirs,three");
+    expect(conflicts).toEqual([]);
+    expect(synced.lists[1]).toBe(workspace.lists[1]);
+  });
+
+  it("keeps the newest edit of an item changed in both tabs and reports it", () => {
+    const local = withItems(base, "s", edit("1", "mine", "2026-01-03"));
+    const remote = withItems(base, "s", edit("1", "theirs", "2026-01-02"));
+    const out = mergeWorkspaces(base, local, remote);
+    expect(prep(out.workspace)).toBe("mine,two,three");
+    expect(out.conflicts).toEqual([{ id: "1", text: "mine", why: "edited in both tabs" }]);
+    expect(prep(mergeWorkspaces(base, remote, local).workspace)).toBe("mine,two,three");
+  });
+
+  it("keeps an item deleted in one tab and edited in the other, and drops plain deletes", () => {
+    const local = withItems(base, "s", edit("1", "mine", "2026-01-02"));
+    const remote = withItems(base, "s", (items) => items.filter((it) => it.id === "3"));
+    const out = mergeWorkspaces(base, local, remote);
+    expect(prep(out.workspace)).toBe("mine,three");
+    expect(out.conflicts).toEqual([{ id: "1", text: "mine", why: "deleted in another tab" }]);
+  });
+
+  it("keeps this tab's order only when the other tab did not reorder", () => {
+    const reverse = (items) => [...items].reverse();
+    const local = withItems(base, "s", reverse);
+    expect(prep(mergeWorkspaces(base, local, withItems(base, "t", (items) => items)).workspace)).toBe("three,two,one");
+    const remote = withItems(base, "s", (items) => [items[1], items[0], items[2]]);
+    expect(prep(mergeWorkspaces(base, local, remote).workspace)).toBe("two,one,three");
+  });
+
+  it("puts an item moved to another section there, with this tab's edits", () => {
+    const local = withItems(base, "s", edit("2", "mine", "2026-01-02"));
+    const moved = base.lists[0].sections[0].items[1];
+    const remote = withItems(withItems(base, "s", (items) => items.filter((it) => it.id !== "2")), "t", (items) => [...items, moved]);
+    const { workspace, conflicts } = mergeWorkspaces(base, local, remote);
+    expect(prep(workspace)).toBe("one,three");
+    expect(workspace.lists[0].sections[1].items.map((it) => it.text)).toEqual(["four", "mine"]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it("merges checklists, settings and history, keeping this tab's active checklist", () => {
+    const local = { ...base, activeId: "M", completions: [{ id: "e1", at: "2026-01-01T10:00:00Z" }] };
+    const remote = {
+      ...base,
+      settings: { timeZone: "Asia/Tokyo" },
+      completions: [{ id: "e2", at: "2026-01-01T09:00:00Z" }],
+      lists: [...base.lists, { id: "N", title: "New", archived: false, sections: [{ id: "n", name: "General", items: [] }] }],
+    };
+    const { workspace } = mergeWorkspaces(base, local, remote);
+    expect(workspace.activeId).toBe("M");
+    expect(workspace.lists.map((l) => l.id)).toEqual(["L", "M", "N"]);
+    expect(workspace.settings).toEqual({ timeZone: "Asia/Tokyo" });
+    expect(workspace.completions.map((e) => e.id)).toEqual(["e2", "e1"]);
+  });
+});
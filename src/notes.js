@@ -0,0 +1,62 @@
+/**
+ * Item notes (Markdown, shown without HTML) and priorities.
+ * No React; used by App.jsx, covered by notes.test.js.
+ */
+
+// Optional per item: `note` (Markdown, multi-line) and `priority` (one of these ids)
+export const PRIORITIES = [
+  { id: "high", label: "High", tone: "warn" },
+  { id: "medium", label: "Medium", tone: "accent" },
+  { id: "low", label: "Low", tone: "default" },
+];
+export const priorityOf = (id) => PRIORITIES.find((p) => p.id === id);
+
+// Only these become links; javascript:, data: etc. stay plain text
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+// [label](url) | **bold** | `code` | *em* | _em_ | bare http(s) URL (trailing punctuation left out)
+const MD_INLINE =
+  /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|`([^`]+)`|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g;
+
+// Note → blocks: { kind: "p" | "ul" | "h", lines }; blank lines end a paragraph or list
+export function noteBlocks(text) {
+  const blocks = [];
+  let open = false;
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      open = false;
+      continue;
+    }
+    const bullet = /^[-*+]\s+(.*)$/.exec(line);
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    const kind = bullet ? "ul" : heading ? "h" : "p";
+    const body = bullet ? bullet[1] : heading ? heading[1] : line;
+    const prev = blocks[blocks.length - 1];
+    if (open && prev?.kind === kind && kind !== "h") prev.lines.push(body);
+    else blocks.push({ kind, lines: [body] });
+    open = true;
+  }
+  return blocks;
+}
+
+// Inline Markdown → parts: { kind: "text" | "link" | "strong" | "code" | "em", text, href? }
+export function inlineParts(text) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(MD_INLINE)) {
+    const [all, label, href, bold, code, em, em2, url] = m;
+    if (m.index > last) out.push({ kind: "text", text: text.slice(last, m.index) });
+    last = m.index + all.length;
+    if (label) out.push(SAFE_URL.test(href) ? { kind: "link", text: label, href } : { kind: "text", text: all });
+    else if (bold) out.push({ kind: "strong", text: bold });
+    else if (code) out.push({ kind: "code", text: code });
+    else if (em || em2) out.push({ kind: "em", text: em || em2 });
+    else out.push({ kind: "link", text: url, href: url });
+  }
+  if (last < text.length) out.push({ kind: "text", text: text.slice(last) });
+  return out;
+}
+
+// The note as plain-text lines for the email summary, indented under its item (`pad` = the item's indent)
+export const noteTextLines = (note, pad = "") =>
+  String(note || "").trim() ? note.trim().split(/\r?\n/).map((l) => `${pad}      ${l}`.trimEnd()) : [];
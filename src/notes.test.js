@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { inlineParts, noteBlocks, noteTextLines, priorityOf } from "./notes.js";
+
+describe("noteBlocks", () => {
+  it("splits headings, lists and paragraphs at blank lines", () => {
+    const blocks = noteBlocks("# Steps\n- one\n* two\n\nline a\nline b\n\nline c");
+    expect(blocks).toEqual([
+      { kind: "h", lines: ["Steps"] },
+      { kind: "ul", lines: ["one", "two"] },
+      { kind: "p", lines: ["line a", "line b"] },
+      { kind: "p", lines: ["line c"] },
+    ]);
+  });
+
+  it("starts a new block when the kind changes and keeps headings on their own", () => {
+    expect(noteBlocks("intro\n- a\n## One\n## Two\r\n+ b").map((b) => `${b.kind}${b.lines.length}`)).toEqual(["p1", "ul1", "h1", "h1", "ul1"]);
+    expect(noteBlocks("")).toEqual([]);
+    expect(noteBlocks(undefined)).toEqual([]);
+  });
+});
+
+describe("inlineParts", () => {
+  it("turns links, bold, code and emphasis into parts", () => {
+    expect(inlineParts("see [docs](https://x.io/a) or https://y.io/b. **now** `npm i` *a* _b_")).toEqual([
+      { kind: "text", text: "see " },
+      { kind: "link", text: "docs", href: "https://x.io/a" },
+      { kind: "text", text: " or " },
+      { kind: "link", text: "https://y.io/b", href: "https://y.io/b" },
+      { kind: "text", text: ". " },
+      { kind: "strong", text: "now" },
+      { kind: "text", text: " " },
+      { kind: "code", text: "npm i" },
+      { kind: "text", text: " " },
+      { kind: "em", text: "a" },
+      { kind: "text", text: " " },
+      { kind: "em", text: "b" },
+    ]);
+  });
+
+  it("only links http(s) and mailto; other schemes stay text", () => {
+    expect(inlineParts("[bad](javascript:alert(1)) [x](data:text/html,hi) [mail](mailto:a@b.c)")).toEqual([
+      { kind: "text", text: "[bad](javascript:alert(1)" },
+      { kind: "text", text: ") " },
+      { kind: "text", text: "[x](data:text/html,hi)" },
+      { kind: "text", text: " " },
+      { kind: "link", text: "mail", href: "mailto:a@b.c" },
+    ]);
+  });
+
+  it("leaves markup-like text alone", () => {
+    expect(inlineParts("<img src=x onerror=alert(1)> 2 * 3 * 4")).toEqual([{ kind: "text", text: "<img src=x onerror=alert(1)> 2 * 3 * 4" }]);
+  });
+});
+
+describe("noteTextLines", () => {
+  it("indents the note under its item for the email summary", () => {
+    expect(noteTextLines("  Call first\r\n\n- ask for Sam  ", "    ")).toEqual(["          Call first", "", "          - ask for Sam"]);
+    expect(noteTextLines("  \n ")).toEqual([]);
+    expect(noteTextLines(undefined)).toEqual([]);
+  });
+});
+
+describe("priorityOf", () => {
+  it("knows the three priorities", () => {
+    expect(["high", "medium", "low", "urgent", ""].map((id) => priorityOf(id)?.label)).toEqual(["High", "Medium", "Low", undefined, undefined]);
+  });
+});
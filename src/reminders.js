@@ -0,0 +1,92 @@
+/**
+ * Due times and reminders: when an item's reminder fires in the user's time zone, and which ones are due.
+ * No React; used by App.jsx and ics.js, covered by reminders.test.js.
+ */
+
+import { isISODate, isValidTimeZone } from "./dates.js";
+
+export const REMINDERS = [
+  { id: "at", label: "At due time", minutes: 0 },
+  { id: "15m", label: "15 min before", minutes: 15 },
+  { id: "1h", label: "1 hour before", minutes: 60 },
+  { id: "1d", label: "1 day before", minutes: 24 * 60 },
+  { id: "morning", label: "Morning of the day (09:00)" },
+];
+const MORNING_TIME = "09:00";
+const DEFAULT_DUE_TIME = "09:00"; // date-only items count as due at 09:00 for reminders
+
+export const isHHMM = (v) => typeof v === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+
+// Epoch ms of the wall-clock time `dateISO` `hhmm` in `timeZone` ("" = device zone)
+export function zonedTimeToEpoch(dateISO, hhmm, timeZone = "") {
+  const [y, m, d] = dateISO.split("-").map(Number);
+  const [hh, mm] = hhmm.split(":").map(Number);
+  if (!timeZone || !isValidTimeZone(timeZone)) return new Date(y, m - 1, d, hh, mm).getTime();
+
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  // offset of the zone at instant t (ms to add to UTC to get wall time)
+  const offsetAt = (t) => {
+    const p = {};
+    for (const part of fmt.formatToParts(new Date(t))) p[part.type] = part.value;
+    return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour % 24, +p.minute) - Math.floor(t / 60000) * 60000;
+  };
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const first = wall - offsetAt(wall);
+  return wall - offsetAt(first); // second pass settles DST transitions
+}
+
+// When an item's reminder should fire (epoch ms), or null
+export function reminderAt(it, timeZone = "") {
+  const r = REMINDERS.find((x) => x.id === it.remind);
+  if (!r || !isISODate(it.dueDate)) return null;
+  if (r.id === "morning") return zonedTimeToEpoch(it.dueDate, MORNING_TIME, timeZone);
+  return zonedTimeToEpoch(it.dueDate, isHHMM(it.dueTime) ? it.dueTime : DEFAULT_DUE_TIME, timeZone) - r.minutes * 60000;
+}
+
+// Open items whose reminder (or snooze) time has passed and that were not notified for that time yet
+export function dueReminders(ws, now) {
+  const tz = ws.settings?.timeZone || "";
+  const out = [];
+  for (const l of ws.lists) {
+    if (l.archived) continue;
+    for (const s of l.sections) {
+      for (const it of s.items || []) {
+        if (it.done) continue;
+        const at = it.snoozedUntil ? Date.parse(it.snoozedUntil) : reminderAt(it, tz);
+        if (at == null || at > now) continue;
+        const key = new Date(at).toISOString();
+        if (it.notifiedFor === key) continue;
+        out.push({ key, listId: l.id, listTitle: l.title, sectionId: s.id, itemId: it.id, text: it.text, at });
+      }
+    }
+  }
+  return out;
+}
+
+// Patch one item anywhere in the workspace (reminders act on lists that may not be active)
+export const patchWorkspaceItem = (ws, listId, itemId, patch) => ({
+  ...ws,
+  lists: ws.lists.map((l) =>
+    l.id !== listId
+      ? l
+      : {
+          ...l,
+          sections: l.sections.map((s) => ({
+            ...s,
+            items: (s.items || []).map((it) => (it.id === itemId ? { ...it, ...patch } : it)),
+          })),
+        }
+  ),
+});
+
+export const minutesFromNowISO = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+export const formatDue = (it) => (it.dueDate ? `${it.dueDate}${isHHMM(it.dueTime) ? ` ${it.dueTime}` : ""}` : "");
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { dueReminders, formatDue, reminderAt, zonedTimeToEpoch } from "./reminders.js";
+
+describe("zonedTimeToEpoch", () => {
+  it("reads a wall-clock time in a chosen zone, across a DST switch", () => {
+    // New York moves to UTC−4 at 02:00 on 2026-03-08
+    expect(zonedTimeToEpoch("2026-03-07", "09:00", "America/New_York")).toBe(Date.parse("2026-03-07T14:00:00Z"));
+    expect(zonedTimeToEpoch("2026-03-08", "09:00", "America/New_York")).toBe(Date.parse("2026-03-08T13:00:00Z"));
+    expect(zonedTimeToEpoch("2026-03-10", "00:30", "Asia/Kolkata")).toBe(Date.parse("2026-03-09T19:00:00Z"));
+  });
+});
+
+describe("reminderAt", () => {
+  const due = { dueDate: "2026-03-10", dueTime: "14:00" };
+
+  it("fires the chosen time before the due time", () => {
+    expect(reminderAt({ ...due, remind: "15m" }, "Asia/Tokyo")).toBe(Date.parse("2026-03-10T04:45:00Z"));
+    expect(reminderAt({ ...due, remind: "1d" }, "UTC")).toBe(Date.parse("2026-03-09T14:00:00Z"));
+    expect(reminderAt({ ...due, remind: "morning" }, "UTC")).toBe(Date.parse("2026-03-10T09:00:00Z"));
+  });
+
+  it("treats date-only items as due at 09:00", () => {
+    expect(reminderAt({ dueDate: "2026-03-10", remind: "at" }, "UTC")).toBe(Date.parse("2026-03-10T09:00:00Z"));
+  });
+
+  it("has no time without a reminder or a due date", () => {
+    expect(reminderAt({ ...due }, "UTC")).toBeNull();
+    expect(reminderAt({ remind: "at" }, "UTC")).toBeNull();
+  });
+});
+
+describe("dueReminders", () => {
+  const item = { id: "i", text: "Call", dueDate: "2026-03-10", dueTime: "14:00", remind: "at" };
+  const ws = (patch, list = {}) => ({
+    settings: { timeZone: "UTC" },
+    lists: [{ id: "L", title: "Ops", ...list, sections: [{ id: "s", items: [{ ...item, ...patch }] }] }],
+  });
+  const at = (iso) => Date.parse(iso);
+
+  it("lists open items whose reminder time has passed", () => {
+    expect(dueReminders(ws({}), at("2026-03-10T13:59:00Z"))).toEqual([]);
+    expect(dueReminders(ws({}), at("2026-03-10T14:00:00Z"))).toEqual([
+      { key: "2026-03-10T14:00:00.000Z", listId: "L", listTitle: "Ops", sectionId: "s", itemId: "i", text: "Call", at: at("2026-03-10T14:00:00Z") },
+    ]);
+  });
+
+  it("skips done items, archived lists and reminders already shown", () => {
+    const now = at("2026-03-10T15:00:00Z");
+    expect(dueReminders(ws({ done: true }), now)).toEqual([]);
+    expect(dueReminders(ws({}, { archived: true }), now)).toEqual([]);
+    expect(dueReminders(ws({ notifiedFor: "2026-03-10T14:00:00.000Z" }), now)).toEqual([]);
+  });
+
+  it("uses the snooze time instead of the reminder", () => {
+    const snoozed = ws({ snoozedUntil: "2026-03-10T14:30:00.000Z", notifiedFor: "2026-03-10T14:00:00.000Z" });
+    expect(dueReminders(snoozed, at("2026-03-10T14:20:00Z"))).toEqual([]);
+    expect(dueReminders(snoozed, at("2026-03-10T14:30:00Z")).map((r) => r.key)).toEqual(["2026-03-10T14:30:00.000Z"]);
+  });
+});
+
+describe("formatDue", () => {
+  it("shows the date and the time when there is one", () => {
+    expect(formatDue({ dueDate: "2026-03-10", dueTime: "14:00" })).toBe("2026-03-10 14:00");
+    expect(formatDue({ dueDate: "2026-03-10", dueTime: "25:00" })).toBe("2026-03-10");
+    expect(formatDue({})).toBe("");
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Recurring items: the rule on an item, its next due date, and rolling completed items over to it.
+ * No React; used by App.jsx and covered by repeat.test.js.
+ */
+
+import { addDaysISO, isISODate, nowISO, parseISODate } from "./dates.js";
+import { CLEAR_REMINDER, syncParents } from "./items.js";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Recurrence rule on an item (`it.repeat`):
+ * - { freq: "daily" }
+ * - { freq: "weekly", weekdays: [1, 3] }   (0 = Sunday)
+ * - { freq: "interval", every: 3 }         (every N days)
+ * - { freq: "monthly", monthDay: 15 }      (clamped to short months)
+ */
+export const normalizeRepeat = (r) => {
+  if (!r || typeof r !== "object") return undefined;
+  const num = (v, min, max, dflt) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : dflt;
+  };
+  if (r.freq === "daily") return { freq: "daily" };
+  if (r.freq === "weekly") {
+    const weekdays = [...new Set((Array.isArray(r.weekdays) ? r.weekdays : []).map(Number))]
+      .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      .sort((a, b) => a - b);
+    return { freq: "weekly", weekdays: weekdays.length ? weekdays : [1] };
+  }
+  if (r.freq === "interval") return { freq: "interval", every: num(r.every, 1, 365, 1) };
+  if (r.freq === "monthly") return { freq: "monthly", monthDay: num(r.monthDay, 1, 31, 1) };
+  return undefined;
+};
+
+// First occurrence strictly after `afterISO`
+export function nextOccurrence(rule, afterISO) {
+  if (rule.freq === "interval") return addDaysISO(afterISO, rule.every || 1);
+  if (rule.freq === "weekly") {
+    for (let i = 1; i <= 7; i += 1) {
+      const d = addDaysISO(afterISO, i);
+      if (rule.weekdays.includes(parseISODate(d).getUTCDay())) return d;
+    }
+    return addDaysISO(afterISO, 7);
+  }
+  if (rule.freq === "monthly") {
+    const after = parseISODate(afterISO);
+    for (let i = 0; i <= 1; i += 1) {
+      const y = after.getUTCFullYear();
+      const m = after.getUTCMonth() + i;
+      const daysInMonth = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+      const d = new Date(Date.UTC(y, m, Math.min(rule.monthDay, daysInMonth))).toISOString().slice(0, 10);
+      if (d > afterISO) return d;
+    }
+  }
+  return addDaysISO(afterISO, 1); // daily
+}
+
+// First occurrence on or after `fromISO` (used when a rule is set on an undated item)
+export const firstOccurrence = (rule, fromISO) =>
+  rule.freq === "interval" ? fromISO : nextOccurrence(rule, addDaysISO(fromISO, -1));
+
+export const describeRepeat = (r) => {
+  if (!r) return "";
+  if (r.freq === "daily") return "Daily";
+  if (r.freq === "weekly") return `Weekly: ${r.weekdays.map((d) => WEEKDAYS[d]).join(", ")}`;
+  if (r.freq === "interval") return r.every === 1 ? "Daily" : `Every ${r.every} days`;
+  if (r.freq === "monthly") return `Monthly on day ${r.monthDay}`;
+  return "";
+};
+
+/**
+ * Roll over completed recurring items whose due date has passed: they come back
+ * unchecked (sub-tasks too) with their reminder reset, due on the first occurrence that is today or later.
+ * Returns the same array when nothing changed (safe to compare by reference).
+ */
+export function rollRecurringSections(sections, today) {
+  let changed = false;
+  const next = sections.map((s) => {
+    const rolled = new Set();
+    let items = (s.items || []).map((it) => {
+      if (!it.done || !it.repeat || !isISODate(it.dueDate) || it.dueDate >= today) return it;
+      let due = nextOccurrence(it.repeat, it.dueDate);
+      for (let guard = 0; due < today && guard < 5000; guard += 1) due = nextOccurrence(it.repeat, due);
+      rolled.add(it.id);
+      return { ...it, ...CLEAR_REMINDER, done: false, dueDate: due, updatedAt: nowISO() };
+    });
+    if (!rolled.size) return s;
+    // parents come before their sub-tasks, so one pass reaches every descendant of a rolled item
+    items = items.map((it) => {
+      if (!it.parentId || !rolled.has(it.parentId)) return it;
+      rolled.add(it.id);
+      return it.done ? { ...it, ...CLEAR_REMINDER, done: false, updatedAt: nowISO() } : it;
+    });
+    changed = true;
+    return { ...s, items: syncParents(items) };
+  });
+  return changed ? next : sections;
+}
+
+export function rollRecurringWorkspace(ws, today) {
+  let changed = false;
+  const lists = ws.lists.map((l) => {
+    const sections = rollRecurringSections(l.sections, today);
+    if (sections === l.sections) return l;
+    changed = true;
+    return { ...l, sections };
+  });
+  return changed ? { ...ws, lists } : ws;
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { firstOccurrence, nextOccurrence, normalizeRepeat, rollRecurringSections } from "./repeat.js";
+
+describe("nextOccurrence", () => {
+  it("finds the next weekday of a weekly rule", () => {
+    expect(nextOccurrence({ freq: "weekly", weekdays: [1, 3] }, "2026-10-19")).toBe("2026-10-21");
+  });
+
+  it("clamps a monthly day to short months", () => {
+    expect(nextOccurrence({ freq: "monthly", monthDay: 31 }, "2026-10-31")).toBe("2026-11-30");
+  });
+
+  it("starts an interval rule on the day itself", () => {
+    expect(firstOccurrence(normalizeRepeat({ freq: "interval", every: 3 }), "2026-10-18")).toBe("2026-10-18");
+  });
+});
+
+describe("rollRecurringSections", () => {
+  const reminded = { remind: "15m", snoozedUntil: "2026-10-10T09:00:00.000Z", notifiedFor: "2026-10-10T08:45:00.000Z" };
+  const sections = [
+    {
+      id: "s",
+      items: [
+        { id: "i", done: true, dueDate: "2026-10-10", repeat: { freq: "interval", every: 3 }, ...reminded },
+        { id: "c", done: true, parentId: "i", ...reminded },
+      ],
+    },
+  ];
+
+  it("skips to the first occurrence on or after today", () => {
+    expect(rollRecurringSections(sections, "2026-10-18")[0].items[0].dueDate).toBe("2026-10-19");
+  });
+
+  it("unchecks the item and its sub-tasks and resets their reminders", () => {
+    for (const it of rollRecurringSections(sections, "2026-10-18")[0].items) {
+      expect(it).toMatchObject({ done: false, remind: "15m" });
+      expect(it.snoozedUntil).toBeUndefined();
+      expect(it.notifiedFor).toBeUndefined();
+    }
+  });
+
+  it("returns the same sections when nothing is due to roll over", () => {
+    expect(rollRecurringSections(sections, "2026-10-10")).toBe(sections);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * The data schema: versions, migrations and validation of saved data and imported files.
+ * No React; used by App.jsx, covered by schema.test.js.
+ */
+
+import { ARCHIVE_AGES } from "./archive.js";
+import { isISODate, isValidTimeZone, parseISODate } from "./dates.js";
+import { DUE_FILTERS, parseTags } from "./filters.js";
+import { COMPLETIONS_MAX } from "./history.js";
+import { MAX_DEPTH, repairTree, syncParents } from "./items.js";
+import { DEFAULT_TITLE, makeList, uid } from "./lists.js";
+import { priorityOf } from "./notes.js";
+import { REMINDERS, isHHMM } from "./reminders.js";
+import { normalizeRepeat } from "./repeat.js";
+import { TEMPLATE_FORMAT } from "./templates.js";
+
+/**
+ * Schema versions
+ * - v1: flat item list (`{ title, items }` or a bare array; items may be plain strings), key "toolstack_checkit_v1"
+ * - v2: `{ title, sections }` with no version field
+ * - v3: `version` on every saved/exported document; a document is either one list
+ *       `{ version, title, sections }` or a workspace `{ version, activeId, lists }`
+ */
+export const SCHEMA_VERSION = 3;
+export const LS_KEY_V1 = "toolstack_checkit_v1";
+
+// The version a document declares, else the one its shape says (v1 / v2 have no `version`); 0 = not checklist data
+export const detectVersion = (d) => {
+  if (d && typeof d === "object" && !Array.isArray(d) && d.version !== undefined) return d.version;
+  if (Array.isArray(d?.lists)) return 3;
+  if (Array.isArray(d?.sections)) return 2;
+  if (Array.isArray(d) || Array.isArray(d?.items)) return 1;
+  return 0;
+};
+
+// MIGRATIONS[n] upgrades a version-n document to version n + 1
+const MIGRATIONS = {
+  1: (d) => {
+    const items = Array.isArray(d) ? d : d.items;
+    return {
+      title: Array.isArray(d) ? DEFAULT_TITLE : d.title,
+      sections: [
+        { id: uid(), name: "General", items: items.map((it) => (typeof it === "string" ? { id: uid(), text: it } : it)) },
+      ],
+    };
+  },
+  2: (d) => ({ ...d, version: 3 }),
+};
+
+// What a document of each version looks like; a migration only runs on data of its version's shape
+const VERSION_SHAPES = {
+  1: (d) => Array.isArray(d) || Array.isArray(d?.items),
+  2: (d) => Array.isArray(d?.sections),
+  3: (d) => !!d && typeof d === "object" && (Array.isArray(d.lists) || Array.isArray(d.sections)),
+};
+
+const isValidISODate = (v) => isISODate(v) && parseISODate(v).toISOString().slice(0, 10) === v;
+export const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+export const safeParse = (s, fallback) => {
+  try {
+    const v = JSON.parse(s);
+    return v ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Coerces an id and makes it unique within `seen` (ids drive merge/diff, so duplicates are fixed)
+function checkId(v, where, problems, seen) {
+  let id = v;
+  if (typeof id !== "string" || !id) {
+    problems.push(`${where}: id missing, new id assigned`);
+    id = uid();
+  } else if (seen.has(id)) {
+    problems.push(`${where}: duplicate id "${id}", new id assigned`);
+    id = uid();
+  }
+  seen.add(id);
+  return id;
+}
+
+function checkTimestamp(out, where, problems, field = "updatedAt") {
+  if (out[field] === undefined) return;
+  if (typeof out[field] !== "string" || Number.isNaN(Date.parse(out[field]))) {
+    problems.push(`${where}: ${field} not a timestamp, removed`);
+    out[field] = undefined;
+  }
+}
+
+export function validateItem(it, where, problems, seen) {
+  if (!isObject(it)) {
+    problems.push(`${where}: not an item, dropped`);
+    return null;
+  }
+  const out = { ...it, id: checkId(it.id, where, problems, seen) };
+
+  if (typeof it.text !== "string") {
+    problems.push(`${where}: text ${it.text == null ? "missing" : "not a string, converted"}`);
+    out.text = it.text == null ? "" : String(it.text);
+  }
+  if (typeof it.done !== "boolean") {
+    if (it.done !== undefined) problems.push(`${where}: done not true/false, converted`);
+    out.done = !!it.done;
+  }
+  if (it.dueDate === undefined || it.dueDate === null || it.dueDate === "") out.dueDate = "";
+  else if (!isValidISODate(it.dueDate)) {
+    problems.push(`${where}: dueDate not a date, cleared`);
+    out.dueDate = "";
+  }
+  if (it.repeat != null) {
+    out.repeat = normalizeRepeat(it.repeat);
+    if (!out.repeat) problems.push(`${where}: repeat rule not recognised, removed`);
+  } else out.repeat = undefined;
+  if (it.dueTime != null && it.dueTime !== "" && !isHHMM(it.dueTime)) {
+    problems.push(`${where}: dueTime not a time (HH:MM), cleared`);
+    out.dueTime = undefined;
+  }
+  if (it.remind != null && it.remind !== "" && !REMINDERS.some((r) => r.id === it.remind)) {
+    problems.push(`${where}: reminder "${it.remind}" not recognised, removed`);
+    out.remind = undefined;
+  }
+  if (it.parentId != null && (typeof it.parentId !== "string" || !it.parentId)) {
+    problems.push(`${where}: parentId not an id, moved to top level`);
+    out.parentId = undefined;
+  }
+  if (it.note != null && typeof it.note !== "string") {
+    problems.push(`${where}: note not text, converted`);
+    out.note = String(it.note);
+  }
+  if (it.priority != null && it.priority !== "" && !priorityOf(it.priority)) {
+    problems.push(`${where}: priority "${it.priority}" not recognised, removed`);
+    out.priority = undefined;
+  }
+  if (it.tags != null) {
+    const tags = Array.isArray(it.tags) ? parseTags(it.tags.join(" ")) : [];
+    if (!Array.isArray(it.tags) || tags.length !== it.tags.length || tags.some((t, i) => t !== it.tags[i])) {
+      problems.push(`${where}: tags ${Array.isArray(it.tags) ? "cleaned up" : "not a list, removed"}`);
+    }
+    out.tags = tags.length ? tags : undefined;
+  }
+  checkTimestamp(out, where, problems);
+  checkTimestamp(out, where, problems, "snoozedUntil");
+  checkTimestamp(out, where, problems, "notifiedFor");
+  return out;
+}
+
+function validateSections(sections, where, problems, seen) {
+  const prefix = where ? `${where}, ` : "";
+  if (!Array.isArray(sections)) {
+    problems.push(`${where || "checklist"}: sections is not a list, ignored`);
+    return [];
+  }
+  return sections
+    .map((s, si) => {
+      const sw = `${prefix}section ${si + 1}`;
+      if (!isObject(s)) {
+        problems.push(`${sw}: not a section, dropped`);
+        return null;
+      }
+      const out = { ...s, id: checkId(s.id, sw, problems, seen.sections) };
+      if (typeof s.name !== "string") {
+        problems.push(`${sw}: name ${s.name == null ? "missing" : "not a string, converted"}`);
+        out.name = s.name == null ? "Section" : String(s.name);
+      }
+      if (s.items !== undefined && !Array.isArray(s.items)) problems.push(`${sw}: items is not a list, ignored`);
+      const items = (Array.isArray(s.items) ? s.items : [])
+        .map((it, ii) => validateItem(it, `${sw} item ${ii + 1}`, problems, seen.items))
+        .filter(Boolean);
+      const tree = repairTree(items);
+      const lost = items.filter((it) => it.parentId).length - tree.filter((it) => it.parentId).length;
+      if (lost) problems.push(`${sw}: ${lost} sub-task(s) had a missing or looping parent, moved to top level`);
+      else if (tree !== items) problems.push(`${sw}: sub-tasks regrouped under their parents`);
+      out.items = syncParents(tree);
+      checkTimestamp(out, sw, problems);
+      return out;
+    })
+    .filter(Boolean);
+}
+
+function validateList(l, where, problems, seen) {
+  const out = { ...l, title: l.title == null ? DEFAULT_TITLE : String(l.title) };
+  if (l.title != null && typeof l.title !== "string") problems.push(`${where || "checklist"}: title not a string, converted`);
+  out.sections = validateSections(l.sections, where, problems, seen);
+  out.archive = validateArchive(l.archive, where, problems);
+  return out;
+}
+
+// Archived items / sections go through the same item + section checks (own id sets: they're off the list)
+export function validateArchive(v, where, problems) {
+  const aw = `${where ? `${where}, ` : ""}archive`;
+  if (v == null) return [];
+  if (!Array.isArray(v)) {
+    problems.push(`${aw}: not a list, ignored`);
+    return [];
+  }
+  const seen = { sections: new Set(), items: new Set() };
+  const ids = new Set();
+  return v
+    .map((e, ei) => {
+      const ew = `${aw} entry ${ei + 1}`;
+      if (!isObject(e) || !["item", "section"].includes(e.kind) || Number.isNaN(Date.parse(e.archivedAt))) {
+        problems.push(`${ew}: not an archive entry, dropped`);
+        return null;
+      }
+      const out = { ...e, id: checkId(e.id, ew, problems, ids), index: Number.isInteger(e.index) && e.index >= 0 ? e.index : 0 };
+      if (e.kind === "section") {
+        const [section] = validateSections([e.section], ew, problems, seen);
+        if (!section) return null;
+        out.section = section;
+      } else {
+        // The first item may keep a parentId outside the entry (a done sub-task of an open parent)
+        const items = (Array.isArray(e.items) ? e.items : [])
+          .map((it, ii) => validateItem(it, `${ew} item ${ii + 1}`, problems, seen.items))
+          .filter(Boolean);
+        if (!items.length) {
+          problems.push(`${ew}: no items, dropped`);
+          return null;
+        }
+        out.sectionId = typeof e.sectionId === "string" && e.sectionId ? e.sectionId : uid();
+        out.sectionName = e.sectionName == null ? "Section" : String(e.sectionName);
+        out.items = items;
+      }
+      return out;
+    })
+    .filter(Boolean);
+}
+
+// Workspace-wide settings
+export const DEFAULT_SETTINGS = { timeZone: "", includeNotes: true, archiveDays: 0 }; // timeZone "" = device time zone
+
+export function validateSettings(v, problems) {
+  const out = { ...DEFAULT_SETTINGS, ...(isObject(v) ? v : {}) };
+  if (typeof out.timeZone !== "string" || (out.timeZone && !isValidTimeZone(out.timeZone))) {
+    problems.push(`settings: time zone "${out.timeZone}" not recognised, using the device time zone`);
+    out.timeZone = "";
+  }
+  if (typeof out.includeNotes !== "boolean") {
+    problems.push("settings: includeNotes not true/false, notes included");
+    out.includeNotes = true;
+  }
+  if (!ARCHIVE_AGES.includes(out.archiveDays)) {
+    problems.push(`settings: archive auto-purge "${out.archiveDays}" not recognised, archive kept`);
+    out.archiveDays = 0;
+  }
+  return out;
+}
+
+// Templates live next to the lists in a workspace, and in their own export files
+export function validateTemplates(v, problems, where = "templates") {
+  if (v == null) return [];
+  if (!Array.isArray(v)) {
+    problems.push(`${where}: not a list, ignored`);
+    return [];
+  }
+  const ids = new Set();
+  return v
+    .map((t, ti) => {
+      const tw = `template ${ti + 1}`;
+      if (!isObject(t)) {
+        problems.push(`${tw}: not a template, dropped`);
+        return null;
+      }
+      const out = {
+        ...t,
+        id: checkId(t.id, tw, problems, ids),
+        name: typeof t.name === "string" && t.name.trim() ? t.name : `Template ${ti + 1}`,
+        kind: t.kind === "section" ? "section" : "list",
+      };
+      if (out.kind === "list") out.title = typeof t.title === "string" ? t.title : out.name;
+      checkTimestamp(out, tw, problems, "createdAt");
+      out.sections = (Array.isArray(t.sections) ? t.sections : []).filter(isObject).map((s, si) => ({
+        name: typeof s.name === "string" ? s.name : `Section ${si + 1}`,
+        items: (Array.isArray(s.items) ? s.items : [])
+          .filter((it) => isObject(it) && typeof it.text === "string")
+          .map((it) => {
+            const item = { text: it.text, done: !!it.done };
+            if (Number.isInteger(it.level) && it.level > 0) item.level = Math.min(it.level, MAX_DEPTH - 1);
+            if (Number.isInteger(it.dueOffset) && Math.abs(it.dueOffset) <= 3660) item.dueOffset = it.dueOffset;
+            else if (it.dueOffset != null) problems.push(`${tw}: “${it.text}” due offset not a whole number of days, removed`);
+            if (item.dueOffset != null && isHHMM(it.dueTime)) item.dueTime = it.dueTime;
+            const repeat = normalizeRepeat(it.repeat);
+            if (repeat) item.repeat = repeat;
+            if (REMINDERS.some((r) => r.id === it.remind)) item.remind = it.remind;
+            if (typeof it.note === "string" && it.note) item.note = it.note;
+            if (priorityOf(it.priority)) item.priority = it.priority;
+            const tags = Array.isArray(it.tags) ? parseTags(it.tags.join(" ")) : [];
+            if (tags.length) item.tags = tags;
+            return item;
+          }),
+      }));
+      if (out.kind === "section" && out.sections.length !== 1) {
+        problems.push(`${tw}: a section template needs exactly one section, kept as a checklist template`);
+        out.kind = "list";
+        out.title = out.name;
+      }
+      return out;
+    })
+    .filter(Boolean);
+}
+
+// Saved views: { id, name, filter, search } — the filter builder state plus the search text
+export function validateViews(v, problems) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) {
+    problems.push("views: not a list, ignored");
+    return [];
+  }
+  const ids = new Set();
+  return v
+    .map((view, vi) => {
+      const where = `view ${vi + 1}`;
+      if (!isObject(view) || typeof view.name !== "string") {
+        problems.push(`${where}: not a saved view, dropped`);
+        return null;
+      }
+      const f = isObject(view.filter) ? view.filter : {};
+      const filter = {
+        tags: Array.isArray(f.tags) ? parseTags(f.tags.join(" ")) : [],
+        status: ["open", "done"].includes(f.status) ? f.status : "",
+        due: DUE_FILTERS.some((d) => d.id === f.due) ? f.due : "",
+        priority: priorityOf(f.priority) ? f.priority : "",
+        sectionId: typeof f.sectionId === "string" ? f.sectionId : "",
+      };
+      return { id: checkId(view.id, where, problems, ids), name: view.name, filter, search: String(view.search ?? "") };
+    })
+    .filter(Boolean);
+}
+
+// Completion history: events without a valid time / item id / done flag are dropped (counted once)
+export function validateCompletions(v, problems) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) {
+    problems.push("completion history: not a list, ignored");
+    return [];
+  }
+  const ids = new Set();
+  const str = (x) => (typeof x === "string" ? x : "");
+  const out = v
+    .filter((e) => isObject(e) && typeof e.done === "boolean" && str(e.itemId) && !Number.isNaN(Date.parse(e.at)))
+    .map((e) => {
+      const id = str(e.id) && !ids.has(e.id) ? e.id : uid();
+      ids.add(id);
+      return {
+        id,
+        at: e.at,
+        listId: str(e.listId),
+        list: str(e.list),
+        sectionId: str(e.sectionId),
+        section: str(e.section),
+        itemId: e.itemId,
+        text: str(e.text),
+        done: e.done,
+        dueDate: isValidISODate(e.dueDate) ? e.dueDate : undefined,
+      };
+    });
+  if (out.length < v.length) problems.push(`completion history: ${v.length - out.length} unreadable event(s) dropped`);
+  return out.sort((a, b) => Date.parse(a.at) - Date.parse(b.at)).slice(-COMPLETIONS_MAX);
+}
+
+// Reads a template export ({ format, version, templates }); null when `raw` is something else
+export function readTemplates(raw) {
+  if (!isObject(raw) || raw.format !== TEMPLATE_FORMAT) return null;
+  const problems = [];
+  const templates = validateTemplates(raw.templates, problems);
+  return { templates, problems };
+}
+
+/**
+ * The one reader for saved data and imported files: detects the version, runs the
+ * migrations up to SCHEMA_VERSION, then validates every field.
+ * Returns { kind: "list" | "workspace", value, problems } — value is null when nothing usable was found.
+ */
+export function readDocument(raw) {
+  const problems = [];
+  const version = detectVersion(raw);
+  const fail = (problem) => ({ kind: null, value: null, problems: [problem] });
+  if (version === 0 && !(isObject(raw) && "version" in raw)) return fail("No checklist data found (expected “sections” or “lists”).");
+  if (!Number.isInteger(version) || version < 1 || version > SCHEMA_VERSION) {
+    return fail(`Unknown data version ${JSON.stringify(version)} (this Check-It reads versions 1 to ${SCHEMA_VERSION}).`);
+  }
+
+  let d = raw;
+  for (let v = version; v <= SCHEMA_VERSION; v += 1) {
+    if (!VERSION_SHAPES[v](d)) return fail(`Marked as version ${version}, but the data does not have that version’s layout.`);
+    if (v < SCHEMA_VERSION) d = MIGRATIONS[v](d);
+  }
+
+  const seen = { sections: new Set(), items: new Set() };
+  if (!Array.isArray(d.lists)) {
+    const { title, sections, archive } = validateList(d, "", problems, seen);
+    return { kind: "list", value: { title, sections, archive }, problems };
+  }
+
+  const listIds = new Set();
+  const lists = d.lists
+    .map((l, li) => {
+      const where = `list ${li + 1}`;
+      if (!isObject(l)) {
+        problems.push(`${where}: not a checklist, dropped`);
+        return null;
+      }
+      const out = validateList(l, where, problems, seen);
+      out.id = checkId(l.id, where, problems, listIds);
+      out.archived = !!l.archived;
+      return out;
+    })
+    .filter(Boolean);
+  if (!lists.length) return { kind: null, value: null, problems: [...problems, "The file contains no checklists."] };
+
+  if (!lists.some((l) => !l.archived)) lists[0] = { ...lists[0], archived: false };
+  const activeId = lists.some((l) => l.id === d.activeId && !l.archived) ? d.activeId : lists.find((l) => !l.archived).id;
+  const settings = validateSettings(d.settings, problems);
+  const templates = validateTemplates(d.templates, problems);
+  const views = validateViews(d.views, problems);
+  const completions = validateCompletions(d.completions, problems);
+  return { kind: "workspace", value: { activeId, lists, settings, templates, views, completions }, problems };
+}
+
+// Wraps a single list document into a workspace
+const listToWorkspace = (doc) => {
+  const list = { ...makeList(doc.title), sections: doc.sections };
+  return { activeId: list.id, lists: [list], settings: { ...DEFAULT_SETTINGS }, templates: [], views: [], completions: [] };
+};
+
+// Workspace = { activeId, lists: [{ id, title, archived, createdAt, sections }], settings, templates, views, completions }
+// Migrates + validates a saved document (null = nothing saved yet → a fresh workspace)
+export function readWorkspace(raw, problems = []) {
+  const fresh = () => listToWorkspace({ title: DEFAULT_TITLE, sections: makeList().sections });
+  if (raw == null) return { workspace: fresh(), problems };
+  const doc = readDocument(raw);
+  if (!doc.value) return { workspace: fresh(), problems: [...problems, ...doc.problems], unreadable: true };
+  const upgraded = detectVersion(raw) === 1 ? ["Upgraded checklist saved by Check-It v1."] : [];
+  return {
+    workspace: doc.kind === "workspace" ? doc.value : listToWorkspace(doc.value),
+    problems: [...problems, ...upgraded, ...doc.problems],
+  };
+}
@@ -0,0 +1,239 @@
+import { describe, expect, it } from "vitest";
+import { COMPLETIONS_MAX } from "./history.js";
+import { DEFAULT_TITLE } from "./lists.js";
+import {
+  DEFAULT_SETTINGS,
+  SCHEMA_VERSION,
+  detectVersion,
+  readDocument,
+  readTemplates,
+  readWorkspace,
+  safeParse,
+  validateArchive,
+  validateCompletions,
+  validateItem,
+  validateSettings,
+  validateTemplates,
+  validateViews,
+} from "./schema.js";
+import { TEMPLATE_FORMAT } from "./templates.js";
+
+const at = "2026-10-12T10:00:00Z";
+const texts = (sections) => sections.map((s) => `${s.name}:${s.items.map((it) => it.text).join()}`);
+
+describe("versions", () => {
+  it("detects the version from the field, else from the layout", () => {
+    expect([{ version: 7 }, { lists: [] }, { sections: [] }, [], { items: [] }, { title: "x" }, null].map(detectVersion)).toEqual([
+      7, 3, 2, 1, 1, 0, 0,
+    ]);
+  });
+
+  it("upgrades a v1 checklist, plain strings included", () => {
+    const doc = readDocument({ title: "Old", items: ["Milk", { id: "e", text: "Eggs", done: true }] });
+    expect(doc.kind).toBe("list");
+    expect(doc.value.title).toBe("Old");
+    expect(texts(doc.value.sections)).toEqual(["General:Milk,Eggs"]);
+    expect(doc.value.sections[0].items[1]).toMatchObject({ id: "e", done: true, dueDate: "" });
+    expect(readDocument(["a"]).value.title).toBe(DEFAULT_TITLE);
+  });
+
+  it("reads v2 and v3 lists and v3 workspaces", () => {
+    const sections = [{ id: "s", name: "S", items: [{ id: "a", text: "A" }] }];
+    expect(readDocument({ title: "T", sections })).toMatchObject({ kind: "list", problems: [] });
+    expect(readDocument({ version: 3, title: "T", sections }).value.sections).toEqual([
+      { id: "s", name: "S", items: [{ id: "a", text: "A", done: false, dueDate: "", repeat: undefined }] },
+    ]);
+    const ws = readDocument({ version: SCHEMA_VERSION, activeId: "L", lists: [{ id: "L", title: "T", sections }] });
+    expect(ws.kind).toBe("workspace");
+    expect(ws.value).toMatchObject({ activeId: "L", settings: DEFAULT_SETTINGS, templates: [], views: [], completions: [] });
+  });
+
+  it("refuses unknown versions, data of another layout and non-checklist data", () => {
+    expect(readDocument({ version: 4, lists: [] }).problems[0]).toMatch(/^Unknown data version 4/);
+    expect(readDocument({ version: "3", lists: [] }).problems[0]).toMatch(/^Unknown data version "3"/);
+    expect(readDocument({ version: 2, lists: [] }).problems).toEqual(["Marked as version 2, but the data does not have that version’s layout."]);
+    expect(readDocument({ hello: 1 })).toEqual({ kind: null, value: null, problems: ["No checklist data found (expected “sections” or “lists”)."] });
+  });
+});
+
+describe("safeParse", () => {
+  it("parses JSON and falls back on invalid JSON or null", () => {
+    expect(safeParse('{"a":1}', null)).toEqual({ a: 1 });
+    expect(safeParse("not-json", "x")).toBe("x");
+    expect(safeParse(null, "x")).toBe("x");
+    expect(safeParse("0", "x")).toBe(0);
+  });
+});
+
+describe("readDocument", () => {
+  it("fixes duplicate ids, looping parents and bad fields, listing each problem", () => {
+    const doc = readDocument({
+      title: 5,
+      sections: [
+        { id: "s", name: "S", items: [{ id: "a", text: "A", parentId: "b" }, { id: "b", text: "B", parentId: "a" }, { id: "a", text: 1 }] },
+        { id: "s", items: "nope" },
+        "x",
+      ],
+    });
+    expect(doc.value.title).toBe("5");
+    expect(doc.value.sections.map((s) => s.name)).toEqual(["S", "Section"]);
+    const [a, b, c] = doc.value.sections[0].items;
+    expect([a.parentId, b.parentId]).toEqual([undefined, undefined]);
+    expect(c).toMatchObject({ text: "1" });
+    expect(c.id).not.toBe("a");
+    expect(doc.problems).toEqual([
+      "checklist: title not a string, converted",
+      "section 1 item 3: duplicate id \"a\", new id assigned",
+      "section 1 item 3: text not a string, converted",
+      "section 1: 2 sub-task(s) had a missing or looping parent, moved to top level",
+      "section 2: duplicate id \"s\", new id assigned",
+      "section 2: name missing",
+      "section 2: items is not a list, ignored",
+      "section 3: not a section, dropped",
+    ]);
+  });
+
+  it("keeps one active checklist that is not archived", () => {
+    const lists = [
+      { id: "L", title: "A", archived: true, sections: [] },
+      { id: "M", title: "B", archived: true, sections: [] },
+    ];
+    const ws = readDocument({ version: 3, activeId: "L", lists }).value;
+    expect(ws.lists.map((l) => l.archived)).toEqual([false, true]);
+    expect(ws.activeId).toBe("L");
+    expect(readDocument({ version: 3, activeId: "M", lists: [...lists, { id: "N", sections: [] }] }).value.activeId).toBe("N");
+    expect(readDocument({ version: 3, lists: ["x"] }).problems).toEqual(["list 1: not a checklist, dropped", "The file contains no checklists."]);
+  });
+});
+
+describe("readWorkspace", () => {
+  it("starts fresh when nothing is saved or the data is unreadable", () => {
+    expect(readWorkspace(null).workspace.lists).toHaveLength(1);
+    const bad = readWorkspace({ version: 9 }, ["earlier"]);
+    expect(bad.unreadable).toBe(true);
+    expect(bad.problems).toHaveLength(2);
+  });
+
+  it("wraps a single checklist and notes a v1 upgrade", () => {
+    const { workspace, problems } = readWorkspace({ title: "Old", items: ["Milk"] });
+    expect(workspace.lists.map((l) => l.title)).toEqual(["Old"]);
+    expect(workspace.activeId).toBe(workspace.lists[0].id);
+    expect(problems).toEqual(["Upgraded checklist saved by Check-It v1."]);
+  });
+});
+
+describe("validateItem", () => {
+  it("clears what it does not recognise", () => {
+    const problems = [];
+    const item = {
+      id: "n",
+      text: "t",
+      done: "yes",
+      dueDate: "2026-02-30",
+      dueTime: "25:00",
+      remind: "2w",
+      repeat: { freq: "hourly" },
+      note: 5,
+      priority: "urgent",
+      tags: ["#A", "b"],
+      updatedAt: "never",
+    };
+    expect(validateItem(item, "item", problems, new Set())).toMatchObject({
+      done: true,
+      dueDate: "",
+      dueTime: undefined,
+      remind: undefined,
+      repeat: undefined,
+      note: "5",
+      priority: undefined,
+      tags: ["a", "b"],
+      updatedAt: undefined,
+    });
+    expect(problems).toHaveLength(9);
+  });
+
+  it("keeps a valid item as it is", () => {
+    const problems = [];
+    const item = { id: "a", text: "A", done: false, dueDate: "2026-10-12", dueTime: "09:30", remind: "1h", priority: "high", updatedAt: at };
+    expect(validateItem(item, "item", problems, new Set())).toEqual({ ...item, repeat: undefined });
+    expect(validateItem("x", "item", problems, new Set())).toBeNull();
+    expect(problems).toEqual(["item: not an item, dropped"]);
+  });
+});
+
+describe("validateArchive", () => {
+  it("checks entries like the list, keeping a parent outside the entry", () => {
+    const problems = [];
+    const entry = { id: "x", kind: "item", archivedAt: at, sectionId: "s", sectionName: "Prep", index: 2, items: [{ id: "c", text: "C", done: true, parentId: "b" }] };
+    const valid = validateArchive([entry, { kind: "other" }, { ...entry, id: "y", items: [] }], "", problems);
+    expect(valid).toHaveLength(1);
+    expect(valid[0].items[0].parentId).toBe("b");
+    expect(problems).toEqual(["archive entry 2: not an archive entry, dropped", "archive entry 3: no items, dropped"]);
+  });
+});
+
+describe("validateSettings", () => {
+  it("fills in defaults and drops unknown values", () => {
+    const problems = [];
+    expect(validateSettings({ timeZone: "Mars/Base", includeNotes: "no", archiveDays: 3 }, problems)).toEqual(DEFAULT_SETTINGS);
+    expect(problems).toHaveLength(3);
+    expect(validateSettings({ timeZone: "Asia/Tokyo", archiveDays: 30 }, [])).toMatchObject({ timeZone: "Asia/Tokyo", archiveDays: 30 });
+  });
+});
+
+describe("templates", () => {
+  it("turns a section template without exactly one section into a checklist template", () => {
+    const problems = [];
+    const [tpl] = validateTemplates([{ id: "t", kind: "section", name: "T", sections: [{ name: "x" }, { name: "y" }] }], problems);
+    expect(tpl).toMatchObject({ kind: "list", title: "T" });
+    expect(problems).toEqual(["template 1: a section template needs exactly one section, kept as a checklist template"]);
+  });
+
+  it("keeps only the template fields it knows", () => {
+    const problems = [];
+    const items = [{ text: "A", level: 5, dueOffset: 1.5, dueTime: "10:00", remind: "1h", tags: ["#X"], extra: 1 }, { text: 3 }];
+    const [tpl] = validateTemplates([{ id: "t", name: "", sections: [{ items }] }], problems);
+    expect(tpl.name).toBe("Template 1");
+    expect(tpl.sections).toEqual([{ name: "Section 1", items: [{ text: "A", done: false, level: 2, remind: "1h", tags: ["x"] }] }]);
+    expect(problems).toEqual(["template 1: “A” due offset not a whole number of days, removed"]);
+  });
+
+  it("reads a template export, and nothing else", () => {
+    expect(readTemplates({ format: TEMPLATE_FORMAT, templates: [{ name: "T" }] }).templates).toHaveLength(1);
+    expect(readTemplates({ format: TEMPLATE_FORMAT, templates: 1 }).problems).toEqual(["templates: not a list, ignored"]);
+    expect(readTemplates({ lists: [] })).toBeNull();
+  });
+});
+
+describe("validateViews", () => {
+  it("cleans up the saved filter", () => {
+    const problems = [];
+    const views = validateViews([{ name: "Mine", filter: { due: "soon", tags: ["#A"], status: "done" } }, { filter: {} }], problems);
+    expect(views).toEqual([
+      { id: expect.any(String), name: "Mine", filter: { tags: ["a"], status: "done", due: "", priority: "", sectionId: "" }, search: "" },
+    ]);
+    expect(problems).toEqual(["view 1: id missing, new id assigned", "view 2: not a saved view, dropped"]);
+  });
+});
+
+describe("validateCompletions", () => {
+  it("drops unreadable events, counted once, and sorts the rest by time", () => {
+    const problems = [];
+    const done = { id: "e1", itemId: "a", done: true, at, dueDate: "2026-10-11", listId: "L", sectionId: "s", section: "Prep" };
+    const earlier = { ...done, id: "e1", at: "2026-10-11T10:00:00Z", dueDate: "soon" };
+    const out = validateCompletions([done, { itemId: "x", done: "yes", at: "now" }, earlier, "x"], problems);
+    expect(out.map((e) => [e.at, e.dueDate])).toEqual([
+      ["2026-10-11T10:00:00Z", undefined],
+      [at, "2026-10-11"],
+    ]);
+    expect(out[0].id).not.toBe("e1");
+    expect(problems).toEqual(["completion history: 2 unreadable event(s) dropped"]);
+  });
+
+  it("keeps the newest events only", () => {
+    const many = Array.from({ length: COMPLETIONS_MAX + 2 }, (_, i) => ({ id: `e${i}`, itemId: "a", done: true, at: new Date(i * 1000).toISOString() }));
+    const out = validateCompletions(many, []);
+    expect(out).toHaveLength(COMPLETIONS_MAX);
+    expect(out[0].id).toBe("e2");
+  });
+});
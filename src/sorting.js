@@ -0,0 +1,73 @@
+/**
+ * Sort modes and the group-by-due view.
+ * No React; used by App.jsx, covered by sorting.test.js.
+ */
+
+import { dueGroup } from "./dates.js";
+
+/**
+ * View modes only: they reorder / regroup what is shown (list, print preview, email), never the stored
+ * items, so the manual (drag) order is still there when switching back to "Manual order".
+ */
+export const SORT_MODES = [
+  { id: "manual", label: "Manual order" },
+  { id: "due", label: "Due date" },
+  { id: "status", label: "Undone first" },
+  { id: "alpha", label: "A → Z" },
+];
+
+const COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+const dueKey = (it) => (it.dueDate ? `${it.dueDate}T${it.dueTime || ""}` : "~"); // undated last, all-day first
+
+const ITEM_COMPARE = {
+  due: (a, b) => (dueKey(a) < dueKey(b) ? -1 : dueKey(a) > dueKey(b) ? 1 : 0), // plain string order ("~" after digits)
+  status: (a, b) => !!a.done - !!b.done,
+  alpha: (a, b) => COLLATOR.compare(a.text || "", b.text || ""),
+};
+
+// Sorts siblings (the top level, and each parent's sub-tasks) with subtrees kept together; ties keep manual order
+export function sortItems(items, mode) {
+  const cmp = ITEM_COMPARE[mode];
+  if (!cmp || items.length < 2) return items;
+  const ids = new Set(items.map((it) => it.id));
+  const children = new Map();
+  for (const it of items) {
+    const p = ids.has(it.parentId) ? it.parentId : "";
+    children.set(p, [...(children.get(p) || []), it]);
+  }
+  const out = [];
+  const visit = (it) => {
+    out.push(it);
+    for (const c of (children.get(it.id) || []).sort(cmp)) visit(c);
+  };
+  for (const it of (children.get("") || []).sort(cmp)) visit(it);
+  return out;
+}
+
+// Done items with a past date aren't overdue; they get their own bucket at the end
+const DUE_GROUPS = [
+  { id: "overdue", label: "Overdue" },
+  { id: "today", label: "Today" },
+  { id: "tomorrow", label: "Tomorrow" },
+  { id: "week", label: "This week" },
+  { id: "later", label: "Later" },
+  { id: "none", label: "No date" },
+  { id: "earlier", label: "Done earlier" },
+];
+
+/**
+ * Items of all sections regrouped by due bucket, as section-like { id, name, group: true, items }.
+ * Flat: every item (sub-tasks too) goes by its own date. Within a bucket: by due date, then `sort`.
+ * Empty buckets are left out.
+ */
+export function groupByDue(sections, today, sort = "manual") {
+  const buckets = new Map(DUE_GROUPS.map((g) => [g.id, []]));
+  for (const s of sections) for (const it of s.items || []) buckets.get(dueGroup(it, today)).push(it);
+  const cmp = ITEM_COMPARE[sort];
+  return DUE_GROUPS.filter((g) => buckets.get(g.id).length).map((g) => ({
+    id: `due:${g.id}`,
+    name: g.label,
+    group: true,
+    items: buckets.get(g.id).sort((a, b) => ITEM_COMPARE.due(a, b) || (cmp ? cmp(a, b) : 0)),
+  }));
+}
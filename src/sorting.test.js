@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { groupByDue, sortItems } from "./sorting.js";
+
+const ids = (xs) => xs.map((i) => i.id).join("");
+// b > (c, d), e, f
+const items = [
+  { id: "b", text: "b10", done: true, dueDate: "2026-10-20" },
+  { id: "c", text: "C", parentId: "b", dueDate: "" },
+  { id: "d", text: "a", parentId: "b", dueDate: "2026-10-01" },
+  { id: "e", text: "b9", dueDate: "" },
+  { id: "f", text: "B", dueDate: "2026-10-20", dueTime: "08:00" },
+];
+
+describe("sortItems", () => {
+  it("sorts by due date with all-day before timed and undated last, sub-tasks under their parent", () => {
+    expect(ids(sortItems(items, "due"))).toBe("bdcfe");
+  });
+
+  it("puts undone first and sorts A → Z with numbers in order, ties in manual order", () => {
+    expect(ids(sortItems(items, "status"))).toBe("efbcd");
+    expect(ids(sortItems(items, "alpha"))).toBe("febdc");
+  });
+
+  it("returns the stored order untouched for manual or unknown modes", () => {
+    expect(sortItems(items, "manual")).toBe(items);
+    expect(sortItems(items, "nope")).toBe(items);
+    expect(ids(items)).toBe("bcdef");
+  });
+
+  it("keeps orphans at the top level", () => {
+    expect(ids(sortItems([{ id: "x", text: "z", parentId: "gone" }, { id: "y", text: "a" }], "alpha"))).toBe("yx");
+  });
+});
+
+describe("groupByDue", () => {
+  const today = "2026-10-19"; // a Monday
+
+  it("buckets items of all sections, empty buckets left out", () => {
+    const groups = groupByDue([{ id: "s", items: items.slice(0, 3) }, { id: "t", items: items.slice(3) }], today);
+    expect(groups.map((g) => `${g.name}:${ids(g.items)}`)).toEqual(["Overdue:d", "Tomorrow:bf", "No date:ce"]);
+    expect(groups[0]).toMatchObject({ id: "due:overdue", group: true });
+  });
+
+  it("tells this week from later and done-in-the-past from overdue", () => {
+    const at = (dueDate, done = false) => ({ id: dueDate, dueDate, done });
+    const groups = groupByDue([{ id: "s", items: [at("2026-10-26"), at("2026-10-22"), at("2026-10-19"), at("2026-10-01", true)] }], today);
+    expect(groups.map((g) => [g.id, ids(g.items)])).toEqual([
+      ["due:today", "2026-10-19"],
+      ["due:week", "2026-10-22"],
+      ["due:later", "2026-10-26"],
+      ["due:earlier", "2026-10-01"],
+    ]);
+  });
+
+  it("orders a bucket by due date, then by the sort mode", () => {
+    const week = [
+      { id: "1", text: "b", dueDate: "2026-10-23" },
+      { id: "2", text: "c", dueDate: "2026-10-21" },
+      { id: "3", text: "a", dueDate: "2026-10-23" },
+    ];
+    expect(ids(groupByDue([{ id: "s", items: week }], today)[0].items)).toBe("213");
+    expect(ids(groupByDue([{ id: "s", items: week }], today, "alpha")[0].items)).toBe("231");
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Check-It service worker (offline-first).
+ * The build (vite.config.js → checkitServiceWorker) emits this file as /sw.js with
+ * `self.__CHECKIT_BUILD__ = { version, files }` prepended: the hashed assets, index.html and the public files.
+ *
+ * - install: precache every file of this build (a new build = a new version = a new cache)
+ * - waiting: the new worker waits until the app's “Reload” prompt posts SKIP_WAITING
+ * - activate: drop the caches of older builds
+ * - fetch: precached files from the cache; page loads get the cached index.html, so the app starts offline
+ */
+
+const { version, files } = self.__CHECKIT_BUILD__;
+const CACHE_PREFIX = "checkit-";
+const CACHE = `${CACHE_PREFIX}${version}`;
+const scopeURL = (path) => new URL(path, self.registration.scope).href;
+const PRECACHE = new Set(files.map(scopeURL));
+const INDEX = scopeURL("index.html");
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll([...PRECACHE])));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // Any page of the app is the SPA shell; the network is only tried when the shell is missing
+    event.respondWith(caches.match(INDEX, { cacheName: CACHE }).then((hit) => hit || fetch(request)));
+    return;
+  }
+  url.search = "";
+  if (!PRECACHE.has(url.href)) return;
+  event.respondWith(caches.match(url.href, { cacheName: CACHE }).then((hit) => hit || fetch(request)));
+});
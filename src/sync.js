@@ -0,0 +1,210 @@
+/**
+ * Sync with a self-hosted server: the workspace as records, what is waiting to be pushed and how pulled records
+ * are merged in (the cycle itself is in App.jsx). No React; used by App.jsx and live.js, covered by sync.test.js.
+ */
+
+import { COMPLETIONS_MAX } from "./history.js";
+import { repairTree, syncParents } from "./items.js";
+import { makeList, uid } from "./lists.js";
+import { isNewer, listSignature, sameJSON } from "./merge.js";
+
+export const stableJSON = (v) =>
+  Array.isArray(v)
+    ? `[${v.map((x) => (x === undefined ? "null" : stableJSON(x))).join(",")}]`
+    : v && typeof v === "object"
+      ? `{${Object.keys(v)
+          .filter((k) => v[k] !== undefined)
+          .sort()
+          .map((k) => `${JSON.stringify(k)}:${stableJSON(v[k])}`)
+          .join(",")}}`
+      : JSON.stringify(v ?? null);
+
+// FNV-1a over the stable JSON — only compared with itself, to notice local edits
+export function hashRecord(data) {
+  const s = stableJSON(data);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i += 1) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36) + s.length.toString(36);
+}
+
+// Workspace → Map of record key → data (the active checklist stays per device)
+export function toRecords(ws) {
+  const out = new Map();
+  out.set("order:lists", { lists: ws.lists.map((l) => l.id) });
+  out.set("settings:workspace", ws.settings || {});
+  for (const l of ws.lists) {
+    const { id, sections, archive = [], ...rest } = l;
+    out.set(`list:${id}`, { ...rest, sections: sections.map((s) => s.id) });
+    for (const s of sections) {
+      const { id: sid, items = [], ...srest } = s;
+      out.set(`section:${sid}`, { ...srest, listId: id, items: items.map((it) => it.id) });
+      for (const { id: iid, ...it } of items) out.set(`item:${iid}`, { ...it, listId: id, sectionId: sid });
+    }
+    for (const { id: eid, ...e } of archive) out.set(`archive:${eid}`, { ...e, listId: id });
+  }
+  for (const { id, ...t } of ws.templates || []) out.set(`template:${id}`, t);
+  for (const { id, ...v } of ws.views || []) out.set(`view:${id}`, v);
+  for (const { id, ...e } of ws.completions || []) out.set(`event:${id}`, e);
+  return out;
+}
+
+// Record map → workspace. Sections and items follow their parent's order (stragglers at the end); an item
+// whose section is gone goes to the first section of its checklist rather than getting lost.
+export function fromRecords(records, local) {
+  const of = (kind) =>
+    [...records].filter(([k]) => k.startsWith(`${kind}:`)).map(([k, data]) => ({ ...data, id: k.slice(kind.length + 1) }));
+  const inOrder = (all, ids = []) => {
+    const rank = new Map(ids.map((id, i) => [id, i]));
+    const at = (x) => (rank.has(x.id) ? rank.get(x.id) : ids.length);
+    return [...all].sort((a, b) => at(a) - at(b));
+  };
+
+  const lists = inOrder(of("list"), records.get("order:lists")?.lists);
+  const sections = of("section");
+  const sectionList = new Map(sections.map((s) => [s.id, s.listId]));
+  const items = of("item");
+  const archive = of("archive").sort((a, b) => String(b.archivedAt).localeCompare(String(a.archivedAt)));
+  const without = (x, ...keys) => {
+    const out = { ...x };
+    for (const k of keys) delete out[k];
+    return out;
+  };
+
+  const built = lists.map(({ id, sections: sectionOrder, ...rest }) => {
+    const own = inOrder(
+      sections.filter((s) => s.listId === id),
+      sectionOrder
+    );
+    const placeOf = (it) => (sectionList.get(it.sectionId) === id ? it.sectionId : it.listId === id ? own[0]?.id : null);
+    const entries = archive.filter((e) => e.listId === id).map((e) => without(e, "listId"));
+    return {
+      ...rest,
+      id,
+      sections: own.map((s) => {
+        const mine = inOrder(
+          items.filter((it) => placeOf(it) === s.id),
+          s.items
+        );
+        return { ...without(s, "listId"), items: syncParents(repairTree(mine.map((it) => without(it, "listId", "sectionId")))) };
+      }),
+      ...(entries.length ? { archive: entries } : {}),
+    };
+  });
+  // a checklist without sections cannot be shown; give it an empty one
+  for (const l of built) if (!l.sections.length) l.sections = [{ id: uid(), name: "General", items: [] }];
+
+  const sortByAt = (events) => events.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  const workspace = {
+    ...local,
+    lists: built.map((l) => {
+      const old = local.lists.find((x) => x.id === l.id);
+      return old && listSignature(old) === listSignature(l) && sameJSON(old.archive || [], l.archive || []) ? old : l;
+    }),
+    settings: records.get("settings:workspace") || {},
+    templates: of("template"),
+    views: of("view"),
+    completions: sortByAt(of("event")).slice(-COMPLETIONS_MAX),
+  };
+  for (const k of ["settings", "templates", "views", "completions"]) if (sameJSON(local[k], workspace[k])) workspace[k] = local[k];
+  if (!workspace.lists.length) workspace.lists = [makeList()];
+  if (!workspace.lists.some((l) => l.id === workspace.activeId && !l.archived)) {
+    workspace.activeId = (workspace.lists.find((l) => !l.archived) || workspace.lists[0]).id;
+  }
+  return workspace;
+}
+
+// Records that differ from the shadow: [{ key, baseRev, deleted, data }]
+export function planPush(records, shadow) {
+  const changes = [];
+  for (const [key, data] of records) {
+    const s = shadow[key];
+    if (!s || s.hash !== hashRecord(data)) changes.push({ key, baseRev: s?.rev || 0, deleted: false, data });
+  }
+  for (const [key, s] of Object.entries(shadow)) {
+    if (s.hash && !records.has(key)) changes.push({ key, baseRev: s.rev, deleted: true, data: null });
+  }
+  return changes;
+}
+
+// Shadow after a push: accepted records take their new rev (deleting what the server never had drops the key);
+// rejected ones come back as the server's record, to be merged with applyPulled and pushed again
+export function applyPushResults(shadow, changes, results) {
+  const byKey = new Map(changes.map((c) => [c.key, c]));
+  const next = { ...shadow };
+  const rejected = [];
+  for (const r of results) {
+    const c = byKey.get(r.key);
+    if (r.status === "conflict") rejected.push(r.record);
+    else if (!r.rev) delete next[r.key];
+    else next[r.key] = { rev: r.rev, hash: c.deleted ? null : hashRecord(c.data) };
+  }
+  return { shadow: next, rejected };
+}
+
+/**
+ * Merges server records into the workspace. A record this device did not change since the shadow simply takes
+ * the server's version (including deletes). Changed on both sides:
+ * - item: the newest edit (updatedAt) wins; deleted on one side + edited on the other is kept — both reported
+ * - order lists (checklists, sections, items): the server's order, plus what only this device added
+ * - anything else: this device's version (it is pushed next)
+ * Returns { workspace, shadow, conflicts }; `workspace` is `ws` itself when nothing changed.
+ */
+export function applyPulled(ws, shadow, incoming) {
+  const records = toRecords(ws);
+  const next = { ...shadow };
+  const conflicts = [];
+  let changed = false;
+  const set = (key, data) => {
+    changed = true;
+    if (data === null) records.delete(key);
+    else records.set(key, data);
+  };
+  const withLocalAdds = (server = [], local = []) => {
+    const out = [...server];
+    local.forEach((id, i) => {
+      if (out.includes(id)) return;
+      const prev = local.slice(0, i).reverse().find((p) => out.includes(p));
+      out.splice(prev ? out.indexOf(prev) + 1 : 0, 0, id);
+    });
+    return out;
+  };
+
+  for (const rec of incoming) {
+    const s = shadow[rec.key];
+    if (s && s.rev >= rec.rev) continue;
+    const mine = records.get(rec.key);
+    const serverData = rec.deleted ? null : rec.data;
+    next[rec.key] = { rev: rec.rev, hash: serverData ? hashRecord(serverData) : null };
+    const localChanged = s ? (mine ? hashRecord(mine) !== s.hash : !!s.hash) : !!mine;
+    if (!localChanged || (mine && serverData && hashRecord(mine) === hashRecord(serverData))) {
+      if (!mine !== !serverData || (mine && hashRecord(mine) !== hashRecord(serverData))) set(rec.key, serverData);
+      continue;
+    }
+
+    const kind = rec.key.slice(0, rec.key.indexOf(":"));
+    if (kind === "item") {
+      const text = (mine || serverData).text;
+      const id = rec.key.slice(5);
+      if (!serverData) conflicts.push({ id, text, why: "deleted on another device" });
+      else if (!mine) {
+        conflicts.push({ id, text, why: "deleted here" });
+        set(rec.key, serverData);
+      } else {
+        conflicts.push({ id, text, why: "edited here and on another device" });
+        if (isNewer(serverData, mine)) set(rec.key, serverData);
+      }
+    } else if (mine && serverData && (kind === "order" || kind === "list" || kind === "section")) {
+      const field = kind === "order" ? "lists" : kind === "list" ? "sections" : "items";
+      set(rec.key, { ...mine, [field]: withLocalAdds(serverData[field], mine[field]) });
+    }
+  }
+  return { workspace: changed ? fromRecords(records, ws) : ws, shadow: next, conflicts };
+}
+
+// The untouched starter checklist of a new device is dropped when the server already has data
+export const isStarterWorkspace = (ws) =>
+  ws.lists.length === 1 &&
+  !(ws.completions || []).length &&
+  !(ws.lists[0].archive || []).length &&
+  ws.lists[0].sections.length === 1 &&
+  ws.lists[0].sections[0].items.every((it) => it.text === "Add your first task" && !it.done);
@@ -0,0 +1,222 @@
+import { describe, expect, it } from "vitest";
+import { applyPulled, applyPushResults, fromRecords, hashRecord, isStarterWorkspace, planPush, stableJSON, toRecords } from "./sync.js";
+
+const at = (d) => `2026-10-${d}T10:00:00Z`;
+const workspace = (items) => ({
+  activeId: "L",
+  lists: [{ id: "L", title: "T", sections: [{ id: "s", name: "S", items }] }],
+  settings: {},
+  templates: [],
+  views: [],
+  completions: [],
+});
+const ws = workspace([
+  { id: "a", text: "A", updatedAt: at(10) },
+  { id: "b", text: "B", updatedAt: at(10) },
+]);
+// Shadow of a device that has synced `w` (every record at rev 1)
+const synced = (w) => Object.fromEntries([...toRecords(w)].map(([k, d]) => [k, { rev: 1, hash: hashRecord(d) }]));
+const texts = (w) => w.lists[0].sections[0].items.map((it) => it.text).join();
+const edit = (w, id, text, updatedAt) =>
+  workspace(w.lists[0].sections[0].items.map((it) => (it.id === id ? { ...it, text, updatedAt } : it)));
+
+// The reference server's rules (server/sync-server.js) over an in-memory space
+function fakeServer() {
+  const space = { seq: 0, records: {} };
+  const push = (changes) => ({
+    results: changes.map((c) => {
+      const cur = space.records[c.key];
+      if (cur && cur.rev !== c.baseRev) return { key: c.key, status: "conflict", record: { key: c.key, ...cur } };
+      if (!cur && c.deleted) return { key: c.key, status: "ok", rev: 0 };
+      space.seq += 1;
+      const rev = (cur?.rev || 0) + 1;
+      space.records[c.key] = { rev, seq: space.seq, deleted: c.deleted, data: c.deleted ? null : c.data };
+      return { key: c.key, status: "ok", rev };
+    }),
+  });
+  const changes = (since) => ({
+    seq: space.seq,
+    records: Object.entries(space.records)
+      .filter(([, r]) => r.seq > since)
+      .map(([key, r]) => ({ key, ...r })),
+  });
+  return { push, changes };
+}
+
+// One sync cycle of a device, as App.jsx runs it: pull, merge, then push until nothing is rejected
+function cycle(server, device) {
+  const pulled = server.changes(device.seq);
+  let { workspace: w, shadow, conflicts } = applyPulled(device.workspace, device.shadow, pulled.records);
+  for (let tries = 0; tries < 3; tries += 1) {
+    const changes = planPush(toRecords(w), shadow);
+    if (!changes.length) break;
+    const res = applyPushResults(shadow, changes, server.push(changes).results);
+    shadow = res.shadow;
+    if (!res.rejected.length) break;
+    const merged = applyPulled(w, shadow, res.rejected);
+    [w, shadow, conflicts] = [merged.workspace, merged.shadow, [...conflicts, ...merged.conflicts]];
+  }
+  return { workspace: w, shadow, seq: pulled.seq, conflicts };
+}
+
+describe("records", () => {
+  it("splits the workspace into one record per thing and builds it back", () => {
+    const records = toRecords(ws);
+    expect([...records.keys()]).toEqual(["order:lists", "settings:workspace", "list:L", "section:s", "item:a", "item:b"]);
+    expect(records.get("item:a")).toEqual({ text: "A", updatedAt: at(10), listId: "L", sectionId: "s" });
+    expect(records.get("section:s")).toEqual({ name: "S", listId: "L", items: ["a", "b"] });
+    expect(fromRecords(records, ws).lists[0]).toBe(ws.lists[0]);
+  });
+
+  it("puts an item whose section is gone into the first section of its checklist", () => {
+    const records = toRecords(ws);
+    records.set("item:c", { text: "C", listId: "L", sectionId: "gone" });
+    expect(texts(fromRecords(records, ws))).toBe("A,B,C");
+  });
+
+  it("hashes content regardless of key order", () => {
+    expect(stableJSON({ b: 1, a: [1, undefined], c: undefined })).toBe('{"a":[1,null],"b":1}');
+    expect(hashRecord({ a: 1, b: 2 })).toBe(hashRecord({ b: 2, a: 1 }));
+    expect(hashRecord({ a: 1 })).not.toBe(hashRecord({ a: 2 }));
+  });
+
+  it("knows the untouched starter checklist", () => {
+    expect(isStarterWorkspace(workspace([{ id: "x", text: "Add your first task", done: false }]))).toBe(true);
+    expect(isStarterWorkspace(ws)).toBe(false);
+  });
+});
+
+describe("planPush", () => {
+  const shadow = synced(ws);
+
+  it("queues what differs from the shadow, with the rev it was based on", () => {
+    expect(planPush(toRecords(ws), shadow)).toEqual([]);
+    const mine = workspace([{ id: "a", text: "A1", updatedAt: at(12) }, { id: "c", text: "C" }]);
+    expect(planPush(toRecords(mine), shadow).map(({ key, baseRev, deleted }) => [key, baseRev, deleted])).toEqual([
+      ["section:s", 1, false],
+      ["item:a", 1, false],
+      ["item:c", 0, false],
+      ["item:b", 1, true],
+    ]);
+  });
+
+  it("does not queue deletes of records that are already deleted", () => {
+    expect(planPush(toRecords(ws), { ...shadow, "item:z": { rev: 2, hash: null } })).toEqual([]);
+  });
+});
+
+describe("applyPulled", () => {
+  const shadow = synced(ws);
+  const theirs = (text, updatedAt, rev = 2) => ({ key: "item:a", rev, data: { text, updatedAt, listId: "L", sectionId: "s" } });
+
+  it("takes server changes this device did not touch, deletes included", () => {
+    const res = applyPulled(ws, shadow, [theirs("A2", at(11)), { key: "item:b", rev: 2, deleted: true, data: null }]);
+    expect(texts(res.workspace)).toBe("A2");
+    expect(res.conflicts).toEqual([]);
+    expect(res.shadow["item:b"]).toEqual({ rev: 2, hash: null });
+  });
+
+  it("ignores records it already has", () => {
+    const res = applyPulled(ws, shadow, [theirs("old", at(9), 1)]);
+    expect(res.workspace).toBe(ws);
+    expect(res.shadow).toEqual(shadow);
+  });
+
+  it("keeps the newest edit of an item changed on both sides and reports it", () => {
+    const mine = edit(ws, "a", "A1", at(12));
+    const kept = applyPulled(mine, shadow, [theirs("A2", at(11))]);
+    expect(kept.workspace).toBe(mine);
+    expect(kept.conflicts).toEqual([{ id: "a", text: "A1", why: "edited here and on another device" }]);
+    expect(kept.shadow["item:a"].rev).toBe(2);
+    expect(planPush(toRecords(kept.workspace), kept.shadow).map((c) => [c.key, c.baseRev])).toEqual([["item:a", 2]]);
+
+    const taken = applyPulled(mine, shadow, [theirs("A3", at(13))]);
+    expect(texts(taken.workspace)).toBe("A3,B");
+    expect(taken.conflicts).toHaveLength(1);
+  });
+
+  it("keeps an item edited here when a tombstone for it arrives, so the edit is pushed back", () => {
+    const mine = edit(ws, "b", "B1", at(12));
+    const res = applyPulled(mine, shadow, [{ key: "item:b", rev: 2, deleted: true, data: null }]);
+    expect(texts(res.workspace)).toBe("A,B1");
+    expect(res.conflicts).toEqual([{ id: "b", text: "B1", why: "deleted on another device" }]);
+    expect(planPush(toRecords(res.workspace), res.shadow).map((c) => [c.key, c.baseRev, c.deleted])).toEqual([["item:b", 2, false]]);
+  });
+
+  it("brings back an item deleted here but edited on another device", () => {
+    const mine = workspace([ws.lists[0].sections[0].items[0]]);
+    const res = applyPulled(mine, shadow, [{ key: "item:b", rev: 2, data: { text: "B2", updatedAt: at(11), listId: "L", sectionId: "s" } }]);
+    expect(texts(res.workspace)).toBe("A,B2");
+    expect(res.conflicts).toEqual([{ id: "b", text: "B2", why: "deleted here" }]);
+  });
+
+  it("keeps the server's order, with what only this device added after the item it followed here", () => {
+    const mine = workspace([...ws.lists[0].sections[0].items, { id: "c", text: "C", updatedAt: at(12) }]);
+    const res = applyPulled(mine, shadow, [{ key: "section:s", rev: 2, data: { name: "S", listId: "L", items: ["b", "a"] } }]);
+    expect(texts(res.workspace)).toBe("B,C,A");
+  });
+});
+
+describe("applyPushResults", () => {
+  it("moves accepted records to their new rev and hands back rejected ones", () => {
+    const changes = [
+      { key: "item:a", baseRev: 1, deleted: false, data: { text: "A1" } },
+      { key: "item:b", baseRev: 1, deleted: true, data: null },
+      { key: "item:z", baseRev: 1, deleted: true, data: null },
+      { key: "item:c", baseRev: 0, deleted: false, data: { text: "C" } },
+    ];
+    const server = { key: "item:c", rev: 4, deleted: false, data: { text: "C (server)" } };
+    const res = applyPushResults({ "item:z": { rev: 1, hash: "h" } }, changes, [
+      { key: "item:a", status: "ok", rev: 2 },
+      { key: "item:b", status: "ok", rev: 2 },
+      { key: "item:z", status: "ok", rev: 0 },
+      { key: "item:c", status: "conflict", record: server },
+    ]);
+    expect(res.shadow).toEqual({ "item:a": { rev: 2, hash: hashRecord({ text: "A1" }) }, "item:b": { rev: 2, hash: null } });
+    expect(res.rejected).toEqual([server]);
+  });
+});
+
+describe("two devices through the server", () => {
+  const start = () => {
+    const server = fakeServer();
+    const first = cycle(server, { workspace: ws, shadow: {}, seq: 0 });
+    const second = cycle(server, { workspace: ws, shadow: {}, seq: 0 });
+    return { server, first, second };
+  };
+
+  it("replays edits made offline on the next cycle", () => {
+    const { server, first, second } = start();
+    expect(planPush(toRecords(first.workspace), first.shadow)).toEqual([]);
+
+    // Offline: several edits pile up; they are just what differs from the shadow
+    let offline = edit(first.workspace, "a", "A1", at(12));
+    offline = workspace([...offline.lists[0].sections[0].items, { id: "c", text: "C", updatedAt: at(12) }]);
+    offline = workspace(offline.lists[0].sections[0].items.filter((it) => it.id !== "b"));
+    expect(planPush(toRecords(offline), first.shadow)).toHaveLength(4);
+
+    const back = cycle(server, { ...first, workspace: offline });
+    expect(planPush(toRecords(back.workspace), back.shadow)).toEqual([]);
+    const other = cycle(server, second);
+    expect(texts(other.workspace)).toBe("A1,C");
+    expect(other.conflicts).toEqual([]);
+  });
+
+  it("settles an item edited on both devices on the newest edit, everywhere", () => {
+    const { server, first, second } = start();
+    const one = cycle(server, { ...first, workspace: edit(first.workspace, "a", "from one", at(12)) });
+    const two = cycle(server, { ...second, workspace: edit(second.workspace, "a", "from two", at(13)) });
+    expect(texts(two.workspace)).toBe("from two,B");
+    expect(two.conflicts.map((c) => c.why)).toEqual(["edited here and on another device"]);
+    expect(texts(cycle(server, one).workspace)).toBe("from two,B");
+  });
+
+  it("keeps an item one device deleted while the other edited it", () => {
+    const { server, first, second } = start();
+    const one = cycle(server, { ...first, workspace: workspace([first.workspace.lists[0].sections[0].items[0]]) });
+    const two = cycle(server, { ...second, workspace: edit(second.workspace, "b", "B2", at(12)) });
+    expect(texts(two.workspace)).toBe("A,B2");
+    expect(two.conflicts.map((c) => c.why)).toEqual(["deleted on another device"]);
+    expect(texts(cycle(server, one).workspace)).toBe("A,B2");
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Templates: a checklist or section saved with due dates relative to a start date, and used again from one.
+ * No React; used by App.jsx, covered by templates.test.js.
+ */
+
+import { addDaysISO, daysBetween, isISODate, nowISO } from "./dates.js";
+import { itemDepths, syncParents } from "./items.js";
+import { uid } from "./lists.js";
+import { isHHMM } from "./reminders.js";
+import { firstOccurrence } from "./repeat.js";
+
+/**
+ * Template = { id, name, kind: "list" | "section", title, createdAt,
+ *              sections: [{ name, items: [{ text, done, level, dueOffset, dueTime, repeat, remind, note, priority, tags }] }] }
+ * Due dates are kept as whole days from a start date (`dueOffset`, may be negative) and become real
+ * dates from the start date picked when the template is used. `level` > 0 marks a sub-task.
+ */
+export const TEMPLATE_FORMAT = "toolstack-check-it-templates";
+
+export const describeOffset = (n) =>
+  n === 0 ? "on start" : `${n > 0 ? "+" : "−"}${Math.abs(n)} day${Math.abs(n) === 1 ? "" : "s"} from start`;
+
+// Earliest due date in `sections` (the natural "start" when saving dated items), or ""
+export const earliestDue = (sections) =>
+  sections
+    .flatMap((s) => s.items || [])
+    .map((it) => it.dueDate)
+    .filter(isISODate)
+    .sort()[0] || "";
+
+export function makeTemplate({ name, kind, title, sections, start, keepDone, keepDates }) {
+  const toTemplateItem = (it, level) => {
+    const t = { text: it.text, done: keepDone ? !!it.done : false };
+    if (level) t.level = level;
+    if (keepDates && isISODate(it.dueDate)) {
+      t.dueOffset = daysBetween(start, it.dueDate);
+      if (isHHMM(it.dueTime)) t.dueTime = it.dueTime;
+    }
+    if (it.repeat) t.repeat = it.repeat;
+    if (it.remind) t.remind = it.remind;
+    if (it.note) t.note = it.note;
+    if (it.priority) t.priority = it.priority;
+    if (it.tags?.length) t.tags = it.tags;
+    return t;
+  };
+  return {
+    id: uid(),
+    name,
+    kind,
+    title: kind === "list" ? title : undefined,
+    createdAt: nowISO(),
+    sections: sections.map((s) => {
+      const depth = itemDepths(s.items || []);
+      return { name: s.name, items: (s.items || []).map((it) => toTemplateItem(it, depth.get(it.id))) };
+    }),
+  };
+}
+
+// Fresh sections (new ids) from a template, due dates counted from `startISO`
+export function templateSections(tpl, startISO, now = nowISO()) {
+  return tpl.sections.map((s) => {
+    const parents = []; // parents[level] = id of the latest item at that level
+    const items = s.items.map((t) => {
+      const it = { id: uid(), text: t.text, done: !!t.done, dueDate: "", updatedAt: now };
+      const level = Math.min(t.level || 0, parents.length);
+      if (level) it.parentId = parents[level - 1];
+      parents.length = level;
+      parents.push(it.id);
+      if (Number.isInteger(t.dueOffset)) {
+        it.dueDate = addDaysISO(startISO, t.dueOffset);
+        if (t.dueTime) it.dueTime = t.dueTime;
+      }
+      if (t.repeat) {
+        it.repeat = t.repeat;
+        if (!it.dueDate) it.dueDate = firstOccurrence(t.repeat, startISO);
+      }
+      if (t.remind) it.remind = t.remind;
+      if (t.note) it.note = t.note;
+      if (t.priority) it.priority = t.priority;
+      if (t.tags?.length) it.tags = t.tags;
+      return it;
+    });
+    return { id: uid(), name: s.name, updatedAt: now, items: syncParents(items) };
+  });
+}
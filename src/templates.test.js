@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { describeOffset, earliestDue, makeTemplate, templateSections } from "./templates.js";
+
+const sections = [
+  {
+    id: "s",
+    name: "Release",
+    items: [
+      { id: "1", text: "Freeze", done: true, dueDate: "2026-03-02", tags: ["ops"] },
+      { id: "2", text: "Ship", done: false, dueDate: "2026-03-04", dueTime: "10:00", remind: "60", priority: "high" },
+      { id: "3", text: "Tag build", done: false, dueDate: "", parentId: "2", note: "Use `git tag`" },
+      { id: "4", text: "Retro", done: false, dueDate: "", repeat: { freq: "weekly", weekdays: [5] } },
+    ],
+  },
+];
+const save = (opts) => makeTemplate({ name: "R", kind: "section", sections, start: "2026-03-03", keepDone: false, keepDates: true, ...opts });
+
+describe("makeTemplate", () => {
+  it("keeps due dates as days from the start, with levels for sub-tasks", () => {
+    const tpl = save();
+    expect(tpl).toMatchObject({ name: "R", kind: "section", title: undefined });
+    expect(tpl.sections[0].name).toBe("Release");
+    expect(tpl.sections[0].items).toEqual([
+      { text: "Freeze", done: false, dueOffset: -1, tags: ["ops"] },
+      { text: "Ship", done: false, dueOffset: 1, dueTime: "10:00", remind: "60", priority: "high" },
+      { text: "Tag build", done: false, level: 1, note: "Use `git tag`" },
+      { text: "Retro", done: false, repeat: { freq: "weekly", weekdays: [5] } },
+    ]);
+  });
+
+  it("can keep done and drop dates", () => {
+    const tpl = save({ keepDone: true, keepDates: false, kind: "list", title: "Ops" });
+    expect(tpl.title).toBe("Ops");
+    expect(tpl.sections[0].items.map((t) => [t.done, t.dueOffset, t.dueTime])).toEqual([
+      [true, undefined, undefined],
+      [false, undefined, undefined],
+      [false, undefined, undefined],
+      [false, undefined, undefined],
+    ]);
+  });
+});
+
+describe("templateSections", () => {
+  it("makes fresh sections with dates counted from the start date", () => {
+    const [sec] = templateSections(save(), "2026-12-31", "2026-12-01T00:00:00.000Z");
+    expect(sec).toMatchObject({ name: "Release", updatedAt: "2026-12-01T00:00:00.000Z" });
+    expect(sec.id).not.toBe("s");
+    expect(sec.items.map((it) => [it.text, it.dueDate, it.dueTime])).toEqual([
+      ["Freeze", "2026-12-30", undefined],
+      ["Ship", "2027-01-01", "10:00"],
+      ["Tag build", "", undefined],
+      ["Retro", "2027-01-01", undefined],
+    ]);
+    expect(sec.items[2].parentId).toBe(sec.items[1].id);
+    expect(sec.items[1]).toMatchObject({ remind: "60", priority: "high" });
+  });
+
+  it("clamps a level with no parent above it and checks parents whose sub-tasks are all done", () => {
+    const tpl = { sections: [{ name: "S", items: [{ text: "orphan", level: 2 }, { text: "P" }, { text: "c", level: 1, done: true }] }] };
+    const [sec] = templateSections(tpl, "2026-01-01");
+    expect(sec.items[0].parentId).toBeUndefined();
+    expect(sec.items[2].parentId).toBe(sec.items[1].id);
+    expect(sec.items[1].done).toBe(true);
+  });
+});
+
+describe("helpers", () => {
+  it("finds the earliest due date", () => {
+    expect(earliestDue(sections)).toBe("2026-03-02");
+    expect(earliestDue([{ items: [{ dueDate: "" }] }, {}])).toBe("");
+  });
+
+  it("describes an offset from the start", () => {
+    expect([0, 1, 3, -1, -2].map(describeOffset)).toEqual([
+      "on start",
+      "+1 day from start",
+      "+3 days from start",
+      "−1 day from start",
+      "−2 days from start",
+    ]);
+  });
+});
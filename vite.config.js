@@ -1,7 +1,46 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Emits /sw.js on build: src/sw.js with the list of files to precache and a version that changes with every
+// build whose output changes (the hashed asset names, index.html and the public/ files), so browsers pick up the
+// new worker.
+function checkitServiceWorker() {
+  let publicDir = ''
+  return {
+    name: 'checkit-service-worker',
+    apply: 'build',
+    enforce: 'post', // after Vite has emitted index.html
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = (publicDir ? readdirSync(publicDir, { recursive: true, withFileTypes: true }) : [])
+        .filter((d) => d.isFile())
+        .map((d) => relative(publicDir, join(d.parentPath ?? d.path, d.name)).split('\\').join('/'))
+      const files = [...Object.keys(bundle).filter((f) => !f.endsWith('.map')), ...publicFiles].sort()
+      const hash = createHash('sha256')
+      for (const f of files) {
+        const out = bundle[f]
+        hash.update(f)
+        if (out?.type === 'asset') hash.update(out.source)
+        else if (!out) hash.update(readFileSync(join(publicDir, f))) // public files keep their names across edits
+      }
+      const build = { version: hash.digest('hex').slice(0, 12), files }
+      const source = readFileSync(fileURLToPath(new URL('./src/sw.js', import.meta.url)), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__CHECKIT_BUILD__ = ${JSON.stringify(build)};\n\n${source}`,
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), checkitServiceWorker()],
 })